@@ -12,10 +12,63 @@ import {
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import axios from 'axios';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { auditLogToolDefinition, createAuditLog, scrubSecrets } from './lib/audit-log.js';
+import {
+  DEFAULT_ENDPOINTS,
+  ROLES,
+  normalizeEndpoints,
+  normalizeRole,
+  renderGrid,
+  runAuthMatrix,
+} from './lib/auth-matrix.js';
+import { checkExpectations, parseExpect } from './lib/expectations.js';
+import {
+  GENERATED_TOOL_PREFIX,
+  compareBodyFields,
+  createContractValidator,
+  listOperations,
+  loadOpenApiDocument,
+  operationToolDefinition,
+} from './lib/openapi.js';
+import { listScenarios, loadScenarioFile, parseScenario, runScenario } from './lib/scenario-runner.js';
+import { createHarRecorder, harEntry, loadHar, recordedBody, replayRequest } from './lib/har.js';
+import { diffJson, isVolatileKey } from './lib/json-diff.js';
+import { inspectJwt, secondsUntilExpiry } from './lib/jwt.js';
+import { planLoad, runLoad } from './lib/load-test.js';
+import { checkCoffeeItemConsistency, checkOrderConsistency, unwrapApiData } from './lib/db-consistency.js';
+import { createDriverFromEnv } from './lib/drivers/index.js';
+import { builtInTarget, runFuzz } from './lib/fuzz.js';
+import { normalizeRoutes, renderCoverage, runOrderLifecycle } from './lib/order-lifecycle.js';
+import { createSessionStore } from './lib/sessions.js';
+import { createSnapshotStore } from './lib/snapshots.js';
 
 // API configuration from environment
 const apiBaseUrl = process.env.API_BASE_URL || 'https://localhost:7001';
 const apiTimeout = parseInt(process.env.API_TIMEOUT || '30000');
+const scenariosDir =
+  process.env.API_SCENARIOS_DIR || fileURLToPath(new URL('../scenarios', import.meta.url));
+// HAR recordings; API_RECORD_HAR=true starts recording when the server starts
+const recordingsDir =
+  process.env.API_RECORDINGS_DIR || fileURLToPath(new URL('../recordings', import.meta.url));
+const recordHarOnStart = process.env.API_RECORD_HAR === 'true';
+// Response snapshots of the request tools' snapshot argument
+const snapshotsDir =
+  process.env.API_SNAPSHOTS_DIR || fileURLToPath(new URL('../snapshots', import.meta.url));
+// Loaded at startup when set; api_load_openapi defaults to Swashbuckle's document path
+const openApiSource = process.env.API_OPENAPI_SOURCE;
+const defaultOpenApiSource = '/swagger/v1/swagger.json';
+// Defaults for new sessions; api_session_configure changes them per session
+const autoRelogin = process.env.API_AUTO_RELOGIN !== 'false';
+const reloginBeforeSeconds = parseInt(process.env.API_RELOGIN_BEFORE_SECONDS || '300');
+// Safety caps for api_load_test
+const loadCaps = {
+  maxRequests: parseInt(process.env.API_LOAD_MAX_REQUESTS || '2000'),
+  maxDurationSeconds: parseInt(process.env.API_LOAD_MAX_DURATION_SECONDS || '60'),
+  maxConcurrency: parseInt(process.env.API_LOAD_MAX_CONCURRENCY || '50'),
+};
 
 // Create axios instance
 const apiClient = axios.create({
@@ -30,8 +83,521 @@ const apiClient = axios.create({
   }),
 });
 
-// JWT token storage
-let authToken = null;
+// Every tool call is recorded in logs/api-tester-audit.jsonl, with the HTTP status of its requests
+const audit = createAuditLog('api-tester');
+
+const recorder = createHarRecorder(recordingsDir);
+const snapshots = createSnapshotStore(snapshotsDir);
+// The responses of the tool call being checked against expect or snapshot arguments
+const capturedResponses = new AsyncLocalStorage();
+process.on('exit', () => recorder.flush());
+
+function recordHttp(config, status) {
+  audit.recordHttp({
+    method: config.method,
+    url: config.url,
+    status,
+    durationMs: Math.round(performance.now() - config.startedAt),
+  });
+}
+
+// Database read by the consistency checks, with the database server's DB_* settings; connected on first use
+const db = createDriverFromEnv();
+
+// Named sessions, each with its own JWT, cookies and user; requests name theirs in config.session
+const sessions = createSessionStore({ autoRelogin: { enabled: autoRelogin, beforeSeconds: reloginBeforeSeconds } });
+
+// Tools that send no API requests, so take no session argument
+const SESSIONLESS_TOOLS = [
+  'api_session_create',
+  'api_session_list',
+  'api_session_switch',
+  'api_session_drop',
+  'api_session_configure',
+  'api_recording_start',
+  'api_recording_stop',
+  'list_scenarios',
+  'api_load_openapi',
+  'api_contract_check',
+  'api_auth_matrix',
+  'get_audit_log',
+];
+
+// Tools that return one API response, so take expect and snapshot arguments; the generated openapi_* tools too
+const ASSERTABLE_TOOLS = [
+  'api_login',
+  'api_register',
+  'api_get_coffee_items',
+  'api_create_coffee_item',
+  'api_get_orders',
+  'api_create_order',
+  'api_health_check',
+  'api_custom_request',
+];
+const isAssertable = (name) => ASSERTABLE_TOOLS.includes(name) || name.startsWith(GENERATED_TOOL_PREFIX);
+
+const canRelogin = (session) => session.autoRelogin.enabled && Boolean(session.credentials);
+
+// One login at a time per session; concurrent requests wait for the same one
+const pendingRelogins = new Map();
+
+function relogin(session, reason) {
+  if (!pendingRelogins.has(session)) {
+    const { email, password } = session.credentials;
+    pendingRelogins.set(
+      session,
+      login(session, email, password)
+        .then(() => {
+          session.relogins++;
+          session.lastReloginAt = new Date().toISOString();
+          audit.annotate({ relogin: `${session.name} (${reason})` });
+        })
+        .finally(() => pendingRelogins.delete(session))
+    );
+  }
+  return pendingRelogins.get(session);
+}
+
+apiClient.interceptors.request.use(async (config) => {
+  if (config.session) {
+    const session = sessions.resolve(config.session);
+    session.requests++;
+    session.lastUsedAt = new Date().toISOString();
+
+    // An Authorization header set by the caller (false sends none) wins over the session token;
+    // sessionAuth marks the header as the session's so a retry after a new login replaces it
+    const useToken =
+      session.token && !config.authRequest && (config.sessionAuth || !config.headers.has('Authorization'));
+    if (useToken && canRelogin(session)) {
+      const remaining = secondsUntilExpiry(session.token);
+      if (remaining !== null && remaining <= session.autoRelogin.beforeSeconds) {
+        // A failed renewal leaves the old token in place; the API's answer shows what went wrong
+        await relogin(session, remaining <= 0 ? 'expired' : 'expiring').catch(() => {});
+      }
+    }
+    if (useToken) {
+      config.headers.set('Authorization', `Bearer ${session.token}`);
+      config.sessionAuth = true;
+    }
+    if (session.cookies.size > 0 && (config.sessionCookies || !config.headers.has('Cookie'))) {
+      config.headers.set('Cookie', sessions.cookieHeader(session));
+      config.sessionCookies = true;
+    }
+  }
+  // Timed from here, so a renewed login does not count towards the request
+  config.startedAt = performance.now();
+  config.startedAtTime = Date.now();
+  return config;
+});
+
+function recordHar(config, response, error) {
+  if (recorder.active) {
+    recorder.record(
+      harEntry({
+        config,
+        url: apiClient.getUri(config),
+        response,
+        error,
+        startedAt: config.startedAtTime,
+        durationMs: Math.round(performance.now() - config.startedAt),
+        session: config.session,
+      })
+    );
+  }
+}
+
+function captureResponse(response) {
+  capturedResponses.getStore()?.push({
+    request: `${response.config.method.toUpperCase()} ${response.config.url}`,
+    status: response.status,
+    headers: response.headers.toJSON ? response.headers.toJSON() : response.headers,
+    data: response.data,
+    durationMs: Math.round(performance.now() - response.config.startedAt),
+  });
+}
+
+function storeCookies(response) {
+  if (response?.config.session) {
+    sessions.storeCookies(sessions.resolve(response.config.session), response.headers['set-cookie']);
+  }
+}
+
+// A 401 for a request sent with a session token: log in again with the stored credentials and resend it once.
+// Resolves to null when the request is not retried.
+async function retryAfterRelogin(response) {
+  const { config } = response;
+  if (response.status !== 401 || !config.sessionAuth || config.retriedAfterRelogin) {
+    return null;
+  }
+  const session = sessions.resolve(config.session);
+  if (!canRelogin(session)) {
+    return null;
+  }
+  try {
+    await relogin(session, 'unauthorized');
+  } catch {
+    return null;
+  }
+  return apiClient.request({ ...config, retriedAfterRelogin: true });
+}
+
+apiClient.interceptors.response.use(
+  async (response) => {
+    recordHttp(response.config, response.status);
+    recordHar(response.config, response);
+    captureResponse(response);
+    storeCookies(response);
+    // 401s arrive here when the caller accepts every status
+    return (await retryAfterRelogin(response)) || response;
+  },
+  async (error) => {
+    if (error.config) {
+      recordHttp(error.config, error.response?.status);
+      recordHar(error.config, error.response, error);
+    }
+    if (error.response) {
+      captureResponse(error.response);
+    }
+    storeCookies(error.response);
+    const retried = error.response && (await retryAfterRelogin(error.response));
+    return retried || Promise.reject(error);
+  }
+);
+
+function requireToken(session) {
+  if (!session.token) {
+    throw new Error(
+      session === sessions.current
+        ? 'Not authenticated. Please use api_login first.'
+        : `Session "${session.name}" is not authenticated. Please use api_login with session "${session.name}" first.`
+    );
+  }
+}
+
+// Keep the token and user of a login or registration response in the session
+function storeAuth(session, response, action) {
+  if (!response.data.success || !response.data.data.token) {
+    throw new Error(`${action} failed: No token received`);
+  }
+  session.token = response.data.data.token;
+  session.user = response.data.data.user;
+  session.expiresAt = response.data.data.expiresAt;
+  return response.data.data;
+}
+
+// Log in as the session's user; the credentials are kept for autoRelogin
+async function login(session, email, password) {
+  const response = await apiClient.post(
+    '/api/auth/login',
+    { email, password },
+    { session: session.name, authRequest: true }
+  );
+  const data = storeAuth(session, response, 'Login');
+  session.credentials = { email, password };
+  return data;
+}
+
+// Checked before anything is changed or sent, so a bad argument leaves the session as it was
+function checkRelogin(args) {
+  if (
+    args.reloginBeforeSeconds !== undefined &&
+    (!Number.isInteger(args.reloginBeforeSeconds) || args.reloginBeforeSeconds < 0)
+  ) {
+    throw new Error('reloginBeforeSeconds must be a non-negative integer');
+  }
+}
+
+// autoRelogin / reloginBeforeSeconds arguments of api_login, api_session_create and api_session_configure
+function configureRelogin(session, args) {
+  checkRelogin(args);
+  if (args.autoRelogin !== undefined) {
+    session.autoRelogin.enabled = args.autoRelogin === true;
+  }
+  if (args.reloginBeforeSeconds !== undefined) {
+    session.autoRelogin.beforeSeconds = args.reloginBeforeSeconds;
+  }
+}
+
+function reloginProperties() {
+  return {
+    autoRelogin: {
+      type: 'boolean',
+      description: `Optional: Log in again with the stored credentials on a 401 or when the token is about to expire (default: ${autoRelogin})`,
+    },
+    reloginBeforeSeconds: {
+      type: 'number',
+      description: `Optional: Renew the token this many seconds before it expires (default: ${reloginBeforeSeconds})`,
+    },
+  };
+}
+
+// Sign in a user with the role for api_auth_matrix, in its own auth-matrix-<role> session.
+// Admin defaults to the seeded account and Customer registers a throwaway user (kept for later runs);
+// Barista accounts cannot be created through the API, so they need credentials.
+async function provisionRole(role, credentials) {
+  const session = sessions.resolve(`auth-matrix-${role.toLowerCase()}`, { create: true });
+  if (role === 'anonymous') {
+    return { role, session: session.name };
+  }
+
+  if (credentials) {
+    await login(session, credentials.email, credentials.password);
+  } else if (role === 'Admin') {
+    await login(session, 'admin@coffeerestaurant.com', 'Admin123!');
+  } else if (role === 'Customer') {
+    if (!session.token || !session.user?.roles?.includes('Customer')) {
+      const account = { email: `auth-matrix-${randomUUID()}@example.com`, password: `Matrix-${randomUUID()}` };
+      const response = await apiClient.post(
+        '/api/auth/register',
+        { ...account, firstName: 'Auth', lastName: 'Matrix' },
+        { session: session.name, authRequest: true }
+      );
+      storeAuth(session, response, 'Registration');
+      session.credentials = account;
+    }
+  } else {
+    return {
+      role,
+      session: session.name,
+      skipped: `No ${role} account can be created through the API; pass credentials.${role} { email, password }`,
+    };
+  }
+
+  const provisioned = { role, session: session.name, user: session.user?.email, roles: session.user?.roles };
+  if (!session.user?.roles?.includes(role)) {
+    return { ...provisioned, skipped: `${session.user?.email} does not have the ${role} role` };
+  }
+  return provisioned;
+}
+
+// Every tool that calls the API takes an optional session argument
+function withSessionProperty(tools) {
+  return tools.map((tool) =>
+    SESSIONLESS_TOOLS.includes(tool.name)
+      ? tool
+      : {
+          ...tool,
+          inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+              ...tool.inputSchema.properties,
+              session: {
+                type: 'string',
+                description: 'Optional: Named session to send the request as (default: the current session)',
+              },
+            },
+          },
+        }
+  );
+}
+
+const ASSERTION_PROPERTIES = {
+  expect: {
+    type: 'object',
+    description:
+      'Optional: Assertions on the response, returned as pass/fail results: { status: 200 or [200, 201], maxLatencyMs: 500, schema: { JSON Schema of the body }, body: { "$.data.name": "Latte", "$.data[*].name": { "contains": "Caramel Latte" } }, headers: { "content-type": { "matches": "json" }, "location": { "exists": true } } }. Body and header values are compared for equality or with an operator: equals, notEquals, contains, matches, exists, type, gt, gte, lt, lte, length. Without status a 2xx is expected',
+  },
+  snapshot: {
+    type: 'string',
+    description:
+      'Optional: Snapshot name. The first run stores the status and body, with ids, timestamps and tokens ignored, in .mcp/snapshots/<name>.json; later runs are diffed against it',
+  },
+  updateSnapshot: {
+    type: 'boolean',
+    description: 'Optional: Replace the stored snapshot with this response (default: false)',
+  },
+};
+
+function withAssertionProperties(tools) {
+  return tools.map((tool) =>
+    isAssertable(tool.name)
+      ? { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, ...ASSERTION_PROPERTIES } } }
+      : tool
+  );
+}
+
+// OpenAPI document and the tools generated from it
+let openApi = null;
+const contract = createContractValidator();
+
+// The operation each hand-written tool calls and the body fields it sends, for api_contract_check
+const HAND_WRITTEN_OPERATIONS = {
+  api_login: { method: 'POST', path: '/api/auth/login', body: ['email', 'password'] },
+  api_register: {
+    method: 'POST',
+    path: '/api/auth/register',
+    body: ['email', 'password', 'firstName', 'lastName', 'phoneNumber'],
+  },
+  api_get_coffee_items: { method: 'GET', path: '/api/coffeeitems', body: [] },
+  api_create_coffee_item: {
+    method: 'POST',
+    path: '/api/coffeeitems',
+    body: ['name', 'description', 'price', 'categoryId', 'imageUrl'],
+  },
+  api_get_orders: { method: 'GET', path: '/api/orders', body: [] },
+  api_create_order: { method: 'POST', path: '/api/orders', body: ['customerId', 'orderItems', 'notes'] },
+};
+
+async function loadOpenApi(source) {
+  const document = await loadOpenApiDocument(source, apiClient);
+  const operations = listOperations(document);
+  openApi = {
+    source,
+    title: document.info?.title,
+    version: document.info?.version,
+    loadedAt: new Date().toISOString(),
+    operations: new Map(operations.map((operation) => [operation.toolName, operation])),
+  };
+  return openApi;
+}
+
+function findOperation(method, path) {
+  return [...(openApi?.operations.values() || [])].find(
+    (operation) => operation.method === method && operation.path.toLowerCase() === path.toLowerCase()
+  );
+}
+
+// The schema and baseline body api_fuzz works from: the schema argument, the built-in schema of the endpoint
+// (which knows the validator rules), or the request body schema of the loaded OpenAPI document
+function fuzzTarget(method, endpoint, args) {
+  const path = endpoint.split('?')[0];
+  if (args.schema !== undefined) {
+    if (args.body === undefined) {
+      throw new Error('A valid body is required with a schema');
+    }
+    return { source: 'argument', schema: args.schema, baseline: args.body };
+  }
+  const builtIn = builtInTarget(method, path);
+  if (builtIn) {
+    return { source: 'built-in', schema: builtIn.schema, baseline: args.body ?? builtIn.baseline };
+  }
+  // {id} and other path parameters match any one segment
+  const matchesPath = (template) =>
+    new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`, 'i').test(path);
+  const operation = [...(openApi?.operations.values() || [])].find(
+    (candidate) => candidate.method === method && matchesPath(candidate.path)
+  );
+  if (!operation?.requestBody?.schema) {
+    throw new Error(
+      `No schema for ${method} ${path}: pass schema, or load an OpenAPI document documenting its request body (api_load_openapi)`
+    );
+  }
+  if (args.body === undefined) {
+    throw new Error(`A valid body is required to fuzz ${method} ${path}`);
+  }
+  return { source: `openapi (${operation.toolName})`, schema: operation.requestBody.schema, baseline: args.body };
+}
+
+const CONSISTENCY_CHECKS = {
+  order: { check: checkOrderConsistency, endpoint: '/api/orders' },
+  coffeeItem: { check: checkCoffeeItemConsistency, endpoint: '/api/coffeeitems' },
+};
+
+/**
+ * Compare an API object with its database rows. Without apiObject, the object with the id is read from the
+ * API's list endpoint first (GET /api/orders or /api/coffeeitems) as the session's user.
+ */
+async function checkDatabaseConsistency(entity, id, apiObject, session) {
+  const { check, endpoint } = CONSISTENCY_CHECKS[entity];
+  let object = apiObject;
+  if (object === undefined) {
+    const response = await apiClient.get(endpoint, { session: session.name });
+    const list = unwrapApiData(response.data);
+    object = Array.isArray(list)
+      ? list.find((candidate) => String(candidate.id).toLowerCase() === String(id).toLowerCase())
+      : undefined;
+    if (!object) {
+      throw new Error(`GET ${endpoint} did not return ${entity} ${id}`);
+    }
+  }
+
+  try {
+    await db.connect();
+  } catch (error) {
+    throw new Error(`Cannot connect to the database (DB_DRIVER=${process.env.DB_DRIVER || 'mssql'}): ${error.message}`);
+  }
+  const result = await check(db, object);
+  audit.annotate({ databaseConsistent: result.consistent, drift: result.drift.length });
+  return result;
+}
+
+// A create tool's result; with verifyDatabase, a successful creation is followed by the database check
+async function createdResponse(response, entity, verifyDatabase, session) {
+  const content = [
+    {
+      type: 'text',
+      text: JSON.stringify(response.data, null, 2),
+    },
+  ];
+  const created = unwrapApiData(response.data);
+  if (verifyDatabase === true && created?.id) {
+    const result = await checkDatabaseConsistency(entity, created.id, created, session);
+    content.push({ type: 'text', text: JSON.stringify({ databaseCheck: result }, null, 2) });
+  }
+  return { content };
+}
+
+// Call a generated tool's operation; the request is checked before sending and the response after
+async function callOperation(operation, args, session) {
+  const requestCheck = contract.validateRequest(operation, args);
+  if (!requestCheck.valid && args.skipRequestValidation !== true) {
+    const problems = requestCheck.errors.map((error) => `${error.path}: ${error.message}`).join('; ');
+    throw new Error(`Request does not match the OpenAPI schema - ${problems}`);
+  }
+
+  const valuesIn = (location) =>
+    Object.fromEntries(
+      operation.parameters
+        .filter((parameter) => parameter.in === location && args[parameter.name] !== undefined)
+        .map((parameter) => [parameter.name, args[parameter.name]])
+    );
+  const response = await apiClient.request({
+    method: operation.method.toLowerCase(),
+    url: operation.path.replace(/\{([^}]+)\}/g, (match, name) => encodeURIComponent(args[name])),
+    params: valuesIn('query'),
+    headers: valuesIn('header'),
+    data: args.body,
+    validateStatus: () => true,
+    session: session.name,
+  });
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    data: response.data,
+    contract: {
+      request: requestCheck,
+      response: contract.validateResponse(operation, response.status, response.data),
+    },
+  };
+}
+
+// Send one scenario request; error statuses are returned rather than thrown so steps can assert on them.
+// A step's request.session overrides the session the scenario runs in.
+async function sendScenarioRequest(request, session) {
+  const config = {
+    method: request.method.toLowerCase(),
+    url: request.endpoint,
+    params: request.query,
+    data: request.body,
+    headers: { ...request.headers },
+    validateStatus: () => true,
+    session: sessions.resolve(request.session ?? session.name).name,
+  };
+  if (request.auth === false && !config.headers.Authorization) {
+    // false removes the stored token header for this request
+    config.headers.Authorization = false;
+  }
+
+  const startedAt = performance.now();
+  const response = await apiClient.request(config);
+  return {
+    status: response.status,
+    headers: response.headers.toJSON ? response.headers.toJSON() : response.headers,
+    data: response.data,
+    durationMs: Math.round(performance.now() - startedAt),
+  };
+}
 
 // Create MCP server
 const server = new Server(
@@ -41,7 +607,8 @@ const server = new Server(
   },
   {
     capabilities: {
-      tools: {},
+      // Tools generated from the OpenAPI document appear once it is loaded
+      tools: { listChanged: true },
     },
   }
 );
@@ -49,10 +616,11 @@ const server = new Server(
 // Define available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
-    tools: [
+    tools: withAssertionProperties(withSessionProperty([
       {
         name: 'api_login',
-        description: 'Login to the API and store JWT token for subsequent requests',
+        description:
+          'Login to the API and store JWT token for subsequent requests (in the named session, which is created if needed)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -64,12 +632,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'User password (default: Admin123!)',
             },
+            ...reloginProperties(),
           },
         },
       },
       {
         name: 'api_register',
-        description: 'Register a new user account',
+        description: 'Register a new user account (new accounts get the Customer role)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -81,17 +650,20 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'User password',
             },
-            fullName: {
+            firstName: {
+              type: 'string',
+              description: 'User first name',
+            },
+            lastName: {
               type: 'string',
-              description: 'User full name',
+              description: 'User last name',
             },
-            role: {
+            phoneNumber: {
               type: 'string',
-              enum: ['Customer', 'Barista', 'Admin'],
-              description: 'User role (default: Customer)',
+              description: 'User phone number (optional)',
             },
           },
-          required: ['email', 'password', 'fullName'],
+          required: ['email', 'password', 'firstName', 'lastName'],
         },
       },
       {
@@ -124,9 +696,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'Category GUID',
             },
-            isAvailable: {
+            imageUrl: {
+              type: 'string',
+              description: 'Image URL (optional)',
+            },
+            verifyDatabase: {
               type: 'boolean',
-              description: 'Availability status (default: true)',
+              description:
+                'Optional: After creating, compare the response with the CoffeeItems rows read from the database (default: false)',
             },
           },
           required: ['name', 'description', 'price', 'categoryId'],
@@ -150,10 +727,6 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'Customer GUID',
             },
-            baristaId: {
-              type: 'string',
-              description: 'Barista GUID (optional)',
-            },
             orderItems: {
               type: 'array',
               description: 'Array of order items',
@@ -168,10 +741,23 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     type: 'number',
                     description: 'Quantity',
                   },
+                  specialInstructions: {
+                    type: 'string',
+                    description: 'Special instructions (optional)',
+                  },
                 },
                 required: ['coffeeItemId', 'quantity'],
               },
             },
+            notes: {
+              type: 'string',
+              description: 'Order notes (optional)',
+            },
+            verifyDatabase: {
+              type: 'boolean',
+              description:
+                'Optional: After creating, compare the response with the Orders and OrderItems rows read from the database (default: false)',
+            },
           },
           required: ['customerId', 'orderItems'],
         },
@@ -211,198 +797,1061 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['method', 'endpoint'],
         },
       },
-    ],
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'api_login': {
-        const email = args.email || 'admin@coffeerestaurant.com';
-        const password = args.password || 'Admin123!';
-
-        const response = await apiClient.post('/api/auth/login', {
-          email,
-          password,
-        });
-
-        if (response.data.success && response.data.data.token) {
-          authToken = response.data.data.token;
-          apiClient.defaults.headers.common['Authorization'] = `Bearer ${authToken}`;
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(
-                  {
-                    success: true,
-                    message: 'Login successful',
-                    user: response.data.data.user,
-                    tokenStored: true,
-                  },
-                  null,
-                  2
-                ),
-              },
-            ],
-          };
-        } else {
-          throw new Error('Login failed: No token received');
-        }
-      }
-
-      case 'api_register': {
-        const response = await apiClient.post('/api/auth/register', {
-          email: args.email,
-          password: args.password,
-          fullName: args.fullName,
-          role: args.role || 'Customer',
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
+      {
+        name: 'run_scenario',
+        description:
+          'Run a multi-step API scenario (YAML or JSON): requests in order, values captured from responses with JSONPath into {{variables}} for later steps, and assertions on status, body and headers. Returns a pass/fail report per step',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file: {
+              type: 'string',
+              description: 'Scenario file in .mcp/scenarios (e.g. order-flow.yaml, extension optional); or use scenario',
             },
-          ],
-        };
-      }
-
-      case 'api_get_coffee_items': {
-        const response = await apiClient.get('/api/coffeeitems');
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
+            scenario: {
+              type: ['string', 'object'],
+              description:
+                'Inline scenario as YAML/JSON text or an object: { name, variables, steps: [{ name, request: { method, endpoint, body, query, headers, auth, session }, capture: { var: "$.data.id" }, expect: { status, body: { "$.path": value }, headers } }] }',
             },
-          ],
-        };
-      }
-
-      case 'api_create_coffee_item': {
-        if (!authToken) {
-          throw new Error('Not authenticated. Please use api_login first.');
-        }
-
-        const response = await apiClient.post('/api/coffeeitems', {
-          name: args.name,
-          description: args.description,
-          price: args.price,
-          categoryId: args.categoryId,
-          isAvailable: args.isAvailable !== undefined ? args.isAvailable : true,
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
+            variables: {
+              type: 'object',
+              description: 'Optional: Variables that override the scenario\'s own (e.g. { "customerId": "..." })',
             },
-          ],
-        };
-      }
-
-      case 'api_get_orders': {
-        if (!authToken) {
-          throw new Error('Not authenticated. Please use api_login first.');
-        }
-
-        const response = await apiClient.get('/api/orders');
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
+          },
+        },
+      },
+      {
+        name: 'api_load_test',
+        description:
+          'Load-test an endpoint or a scenario: a fixed number of requests, a duration or a target rate, with a concurrency limit. Reports throughput, error rate, status distribution and latency percentiles (p50/p90/p99)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            endpoint: {
+              type: 'string',
+              description: 'API endpoint path to call (e.g. /api/orders); or use file/scenario',
             },
-          ],
-        };
-      }
-
-      case 'api_create_order': {
-        if (!authToken) {
-          throw new Error('Not authenticated. Please use api_login first.');
-        }
-
-        const response = await apiClient.post('/api/orders', {
-          customerId: args.customerId,
-          baristaId: args.baristaId,
-          orderItems: args.orderItems,
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
+            method: {
+              type: 'string',
+              enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+              description: 'Optional: HTTP method for endpoint (default: GET)',
+            },
+            body: {
+              type: 'object',
+              description: 'Optional: Request body for endpoint',
+            },
+            query: {
+              type: 'object',
+              description: 'Optional: Query string parameters for endpoint',
+            },
+            file: {
+              type: 'string',
+              description: 'Scenario file in .mcp/scenarios to run as one iteration',
+            },
+            scenario: {
+              type: ['string', 'object'],
+              description: 'Inline scenario to run as one iteration (see run_scenario)',
+            },
+            variables: {
+              type: 'object',
+              description: 'Optional: Scenario variables',
+            },
+            requests: {
+              type: 'number',
+              description: `Optional: Number of requests/iterations (default: 100 when no duration or rate is given; cap ${loadCaps.maxRequests})`,
+            },
+            durationSeconds: {
+              type: 'number',
+              description: `Optional: Run for this long (cap ${loadCaps.maxDurationSeconds}); with rps and no requests the default is 10`,
+            },
+            rps: {
+              type: 'number',
+              description: 'Optional: Target requests per second; without it requests are sent as fast as concurrency allows',
+            },
+            concurrency: {
+              type: 'number',
+              description: `Optional: Maximum requests in flight (default: 10, cap ${loadCaps.maxConcurrency})`,
+            },
+          },
+        },
+      },
+      {
+        name: 'list_scenarios',
+        description: 'List the scenario files in .mcp/scenarios with their names and step counts',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'api_recording_start',
+        description:
+          'Start recording every API request and response the tester makes (including api_custom_request) to a HAR file, with tokens, cookies and passwords redacted',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Optional: File name prefix (default: recording)',
+            },
+          },
+        },
+      },
+      {
+        name: 'api_recording_stop',
+        description: 'Stop the HAR recording and return the file it was written to',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'api_replay',
+        description:
+          'Replay the requests of a HAR file against the current API_BASE_URL and diff each new response (status and JSON body) against the recorded one',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file: {
+              type: 'string',
+              description: 'HAR file in .mcp/recordings (extension optional)',
+            },
+            ignoreFields: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Field names to leave out of the body comparison',
+            },
+            compareVolatile: {
+              type: 'boolean',
+              description: 'Optional: Also compare ids, timestamps and tokens (default: false)',
+            },
+          },
+          required: ['file'],
+        },
+      },
+      {
+        name: 'api_load_openapi',
+        description:
+          'Load (or reload) the API\'s OpenAPI document and generate one openapi_* tool per operation, with request and response validation',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              description: `Optional: URL, API path or local file of the document (default: API_OPENAPI_SOURCE or ${defaultOpenApiSource})`,
+            },
+          },
+        },
+      },
+      {
+        name: 'api_contract_check',
+        description:
+          'Compare the hand-written API tools with the loaded OpenAPI document: undocumented or missing required body fields, missing operations, and operations without a hand-written tool',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'api_auth_matrix',
+        description:
+          'Call every endpoint as every role (anonymous, Customer, Barista, Admin) and compare the status codes with the expected authorization; returns a grid of actual vs expected statuses with violations marked',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            endpoints: {
+              type: 'array',
+              description:
+                'Optional: Endpoints to check (default: the coffee items, orders and /api/auth/me endpoints with their documented rules). allow is "anonymous", "authenticated" (default) or a list of roles: allowed roles must get past authorization (any status but 401/403), anonymous callers 401 and other roles 403. expected overrides a role with a status, a list of statuses or a class such as "2xx". POST/PUT/PATCH send body, {} by default',
+              items: {
+                type: 'object',
+                properties: {
+                  method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+                  endpoint: { type: 'string' },
+                  body: { type: 'object' },
+                  allow: { type: ['string', 'array'], items: { type: 'string' } },
+                  expected: { type: 'object' },
+                },
+                required: ['endpoint'],
+              },
+            },
+            roles: {
+              type: 'array',
+              items: { type: 'string', enum: ROLES },
+              description: `Optional: Roles to test (default: ${ROLES.join(', ')})`,
+            },
+            credentials: {
+              type: 'object',
+              description:
+                'Optional: Accounts per role, e.g. { "Barista": { "email": "...", "password": "..." } }. Without them Admin uses the seeded admin, Customer registers a test user and Barista is skipped',
+            },
+          },
+        },
+      },
+      {
+        name: 'api_order_lifecycle_test',
+        description:
+          'Create orders and drive every status change, cancellation and barista assignment from every order status, checking that the Order state machine allows and rejects the right transitions and that totals equal unit price × quantity; returns a coverage table. Needs an Admin or Barista session. Creates orders, so run it against a test database',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            customerId: {
+              type: 'string',
+              description: 'Customer GUID the test orders are placed for (an existing Customers row)',
+            },
+            baristaId: {
+              type: 'string',
+              description: 'Optional: Barista GUID for the assignment checks (skipped without it)',
+            },
+            items: {
+              type: 'array',
+              description: 'Optional: Order items as [{ coffeeItemId, quantity }] (default: the first two menu items)',
+              items: {
+                type: 'object',
+                properties: {
+                  coffeeItemId: { type: 'string' },
+                  quantity: { type: 'number' },
+                },
+                required: ['coffeeItemId', 'quantity'],
+              },
+            },
+            routes: {
+              type: 'object',
+              description:
+                'Optional: Status endpoints as { changeStatus, cancel, assignBarista }, each { method, endpoint } with {id} for the order id (default: PUT /api/orders/{id}/status, POST /api/orders/{id}/cancel, POST /api/orders/{id}/assign-barista)',
+            },
+          },
+          required: ['customerId'],
+        },
+      },
+      {
+        name: 'api_fuzz',
+        description:
+          'Fuzz an endpoint\'s input validation: starting from a valid body, send one case per field and boundary or malformed value (empty, overlong and unicode strings, negative and huge numbers, bad GUIDs, wrong types, missing fields) and flag 5xx responses and invalid input that was accepted. POST /api/coffeeitems (needs Admin) and POST /api/orders have built-in schemas with the validator rules; other endpoints use the schema argument or the loaded OpenAPI document. Accepted cases create records, so run it against a test database or the mock API',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            method: {
+              type: 'string',
+              enum: ['POST', 'PUT', 'PATCH'],
+              description: 'HTTP method',
+            },
+            endpoint: {
+              type: 'string',
+              description: 'API endpoint path (e.g., /api/coffeeitems)',
+            },
+            body: {
+              type: 'object',
+              description:
+                'Optional: A valid request body the cases are derived from (default for the built-in endpoints: a new item in the first menu category, or an order of the first menu item)',
+            },
+            customerId: {
+              type: 'string',
+              description: 'Customer GUID for the default POST /api/orders body',
+            },
+            schema: {
+              type: 'object',
+              description: 'Optional: JSON Schema of the request body, overriding the built-in and OpenAPI schemas',
+            },
+            maxCases: {
+              type: 'number',
+              description: 'Optional: Maximum number of cases to send (default: 300)',
+            },
+          },
+          required: ['method', 'endpoint'],
+        },
+      },
+      {
+        name: 'api_db_consistency_check',
+        description:
+          'Read the Orders and OrderItems (or CoffeeItems) rows behind an API order or coffee item directly from the database and diff them field by field against the API response - totals, statuses, timestamps, item counts - reporting any drift. Uses the database server\'s DB_* settings',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            orderId: {
+              type: 'string',
+              description: 'Order GUID to check (give orderId or coffeeItemId)',
+            },
+            coffeeItemId: {
+              type: 'string',
+              description: 'Coffee item GUID to check',
+            },
+            response: {
+              type: 'object',
+              description:
+                'Optional: The API response to compare (e.g. from api_create_order), as the ApiResponse or its data. Without it the object is read from GET /api/orders or /api/coffeeitems',
+            },
+          },
+        },
+      },
+      {
+        name: 'api_session_create',
+        description:
+          'Create a named session with its own JWT, cookies and user (e.g. "admin" and "customer" side by side); logs in when email and password are given',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Session name (letters, digits, ".", "-", "_")',
+            },
+            email: {
+              type: 'string',
+              description: 'Optional: Email to log in with',
+            },
+            password: {
+              type: 'string',
+              description: 'Optional: Password to log in with',
+            },
+            switchTo: {
+              type: 'boolean',
+              description: 'Optional: Make it the current session (default: false)',
+            },
+            ...reloginProperties(),
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'api_session_list',
+        description: 'List the sessions with their user, roles, token expiry, cookies and request counts',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'api_session_switch',
+        description: 'Make a session the current one, used by tools called without a session argument',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Session name',
+            },
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'api_session_configure',
+        description: 'Change a session\'s automatic re-login: on or off, and how long before expiry the token is renewed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Session name (default: the current session)',
+            },
+            ...reloginProperties(),
+          },
+        },
+      },
+      {
+        name: 'api_inspect_token',
+        description:
+          'Decode the session\'s JWT (or a given token): header, claims, roles, issuer, audience and expiry, with a warning when it is expired or about to expire. The signature is not verified',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            token: {
+              type: 'string',
+              description: 'Optional: Token to decode instead of the session\'s',
+            },
+          },
+        },
+      },
+      {
+        name: 'api_session_drop',
+        description: 'Drop a session with its token and cookies (the default session cannot be dropped)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Session name',
+            },
+          },
+          required: ['name'],
+        },
+      },
+      auditLogToolDefinition(),
+      ...[...(openApi?.operations.values() || [])].map(operationToolDefinition),
+    ])),
+  };
+});
+
+// Handle tool calls
+async function handleToolCall(name, args) {
+  try {
+    // api_login creates the session it names; other tools need an existing one
+    const session = SESSIONLESS_TOOLS.includes(name)
+      ? null
+      : sessions.resolve(args.session, { create: name === 'api_login' });
+    if (session) {
+      audit.annotate({ session: session.name });
+    }
+
+    switch (name) {
+      case 'api_login': {
+        const email = args.email || 'admin@coffeerestaurant.com';
+        const password = args.password || 'Admin123!';
+        checkRelogin(args);
+
+        const data = await login(session, email, password);
+        configureRelogin(session, args);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  success: true,
+                  message: 'Login successful',
+                  session: session.name,
+                  user: data.user,
+                  tokenStored: true,
+                  autoRelogin: session.autoRelogin,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case 'api_register': {
+        const response = await apiClient.post(
+          '/api/auth/register',
+          {
+            email: args.email,
+            password: args.password,
+            firstName: args.firstName,
+            lastName: args.lastName,
+            phoneNumber: args.phoneNumber,
+          },
+          { session: session.name }
+        );
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(response.data, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_get_coffee_items': {
+        const response = await apiClient.get('/api/coffeeitems', { session: session.name });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(response.data, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_create_coffee_item': {
+        requireToken(session);
+
+        const response = await apiClient.post(
+          '/api/coffeeitems',
+          {
+            name: args.name,
+            description: args.description,
+            price: args.price,
+            categoryId: args.categoryId,
+            imageUrl: args.imageUrl,
+          },
+          { session: session.name }
+        );
+
+        return createdResponse(response, 'coffeeItem', args.verifyDatabase, session);
+      }
+
+      case 'api_get_orders': {
+        requireToken(session);
+
+        const response = await apiClient.get('/api/orders', { session: session.name });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(response.data, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_create_order': {
+        requireToken(session);
+
+        const response = await apiClient.post(
+          '/api/orders',
+          {
+            customerId: args.customerId,
+            orderItems: args.orderItems,
+            notes: args.notes,
+          },
+          { session: session.name }
+        );
+
+        return createdResponse(response, 'order', args.verifyDatabase, session);
+      }
+
+      case 'api_health_check': {
+        try {
+          const response = await apiClient.get('/api/coffeeitems', { session: session.name });
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    status: 'healthy',
+                    statusCode: response.status,
+                    message: 'API is running and responsive',
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    status: 'unhealthy',
+                    error: error.message,
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        }
+      }
+
+      case 'api_custom_request': {
+        const requiresAuth = args.requiresAuth !== false;
+
+        if (requiresAuth && !session.token) {
+          throw new Error('Not authenticated. Please use api_login first or set requiresAuth to false.');
+        }
+
+        const config = {
+          method: args.method.toLowerCase(),
+          url: args.endpoint,
+          session: session.name,
+        };
+        if (!requiresAuth) {
+          config.headers = { Authorization: false };
+        }
+
+        if (args.body && ['post', 'put', 'patch'].includes(config.method)) {
+          config.data = args.body;
+        }
+
+        const response = await apiClient.request(config);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  status: response.status,
+                  statusText: response.statusText,
+                  data: response.data,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case 'run_scenario': {
+        if ((args.file === undefined) === (args.scenario === undefined)) {
+          throw new Error('Provide either file or scenario');
+        }
+        if (args.variables !== undefined && (typeof args.variables !== 'object' || Array.isArray(args.variables))) {
+          throw new Error('variables must be an object');
+        }
+        const scenario =
+          args.file !== undefined ? loadScenarioFile(scenariosDir, args.file) : parseScenario(args.scenario);
+        const report = await runScenario(scenario, {
+          send: (stepRequest) => sendScenarioRequest(stepRequest, session),
+          variables: args.variables,
+        });
+        audit.annotate({ scenario: report.scenario, scenarioPassed: report.passed });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              // Captured tokens and passwords stay out of the report
+              text: JSON.stringify(scrubSecrets(report), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_load_test': {
+        if ((args.endpoint === undefined) === (args.file === undefined && args.scenario === undefined)) {
+          throw new Error('Provide either endpoint or a scenario (file or scenario)');
+        }
+        const plan = planLoad(args, loadCaps);
+
+        let target;
+        let iterate;
+        if (args.endpoint !== undefined) {
+          const method = String(args.method || 'GET').toUpperCase();
+          target = `${method} ${args.endpoint}`;
+          iterate = async () => {
+            try {
+              const response = await apiClient.request({
+                method: method.toLowerCase(),
+                url: args.endpoint,
+                params: args.query,
+                data: args.body,
+                session: session.name,
+                validateStatus: () => true,
+              });
+              return { status: response.status, ...(response.status >= 400 ? { error: `HTTP ${response.status}` } : {}) };
+            } catch (error) {
+              return { error: error.message };
+            }
+          };
+        } else {
+          const scenario =
+            args.file !== undefined ? loadScenarioFile(scenariosDir, args.file) : parseScenario(args.scenario);
+          target = `scenario ${scenario.name}`;
+          iterate = async () => {
+            const report = await runScenario(scenario, {
+              send: (stepRequest) => sendScenarioRequest(stepRequest, session),
+              variables: args.variables,
+            });
+            if (report.passed) {
+              return { status: 'passed' };
+            }
+            const failedStep = report.steps.find((step) => step.passed === false);
+            const failedAssertion = failedStep.assertions?.find((assertion) => !assertion.passed);
+            return {
+              status: 'failed',
+              error: `${failedStep.name}: ${failedStep.error || `${failedAssertion.target} was ${JSON.stringify(failedAssertion.actual)}`}`,
+            };
+          };
+        }
+
+        const result = await runLoad(iterate, plan, loadCaps);
+        audit.annotate({ loadRequests: result.requests, loadErrorRate: result.errorRate });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ target, plan, ...result }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'list_scenarios': {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ directory: scenariosDir, scenarios: listScenarios(scenariosDir) }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_recording_start': {
+        const started = recorder.start(args.name);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ recording: true, ...started }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_recording_stop': {
+        const stopped = recorder.stop();
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ recording: false, ...stopped }, null, 2),
             },
           ],
         };
       }
 
-      case 'api_health_check': {
-        try {
-          const response = await apiClient.get('/api/coffeeitems');
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(
-                  {
-                    status: 'healthy',
-                    statusCode: response.status,
-                    message: 'API is running and responsive',
-                  },
-                  null,
-                  2
-                ),
-              },
-            ],
+      case 'api_replay': {
+        const har = loadHar(recordingsDir, args.file);
+        const ignoreFields = args.ignoreFields || [];
+        const ignoreKey = (key) => ignoreFields.includes(key) || (args.compareVolatile !== true && isVolatileKey(key));
+
+        const results = [];
+        for (const [index, entry] of har.entries.entries()) {
+          const replay = replayRequest(entry);
+          const result = {
+            entry: index + 1,
+            request: `${replay.method} ${replay.endpoint}`,
+            recordedStatus: entry.response?.status,
           };
-        } catch (error) {
+          if (replay.redacted) {
+            // The session's own token stands in for a recorded login
+            results.push({ ...result, skipped: 'The recorded request had secrets redacted (e.g. a login password)' });
+            continue;
+          }
+          try {
+            const response = await apiClient.request({
+              method: replay.method.toLowerCase(),
+              url: replay.endpoint,
+              headers: replay.headers,
+              data: replay.body,
+              session: session.name,
+              validateStatus: () => true,
+            });
+            const { count, differences } = diffJson(recordedBody(entry), response.data, { ignoreKey });
+            results.push({
+              ...result,
+              status: response.status,
+              matches: response.status === result.recordedStatus && count === 0,
+              ...(count > 0 ? { differenceCount: count, differences } : {}),
+            });
+          } catch (error) {
+            results.push({ ...result, matches: false, error: error.message });
+          }
+        }
+        const count = (predicate) => results.filter(predicate).length;
+        const summary = {
+          entries: results.length,
+          matched: count((result) => result.matches === true),
+          differed: count((result) => result.matches === false),
+          skipped: count((result) => result.skipped),
+        };
+        audit.annotate({ replayed: har.file, differed: summary.differed });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ file: har.file, baseUrl: apiBaseUrl, summary, results }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_load_openapi': {
+        const loaded = await loadOpenApi(args.source || openApiSource || defaultOpenApiSource);
+        await server.sendToolListChanged();
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  source: loaded.source,
+                  title: loaded.title,
+                  version: loaded.version,
+                  operations: [...loaded.operations.values()].map((operation) => ({
+                    tool: operation.toolName,
+                    method: operation.method,
+                    path: operation.path,
+                    summary: operation.summary,
+                  })),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case 'api_contract_check': {
+        if (!openApi) {
+          throw new Error('No OpenAPI document loaded. Please use api_load_openapi first.');
+        }
+
+        const tools = Object.entries(HAND_WRITTEN_OPERATIONS).map(([tool, { method, path, body }]) => {
+          const operation = findOperation(method, path);
+          if (!operation) {
+            return { tool, operation: `${method} ${path}`, documented: false, ok: false };
+          }
+          const fields = compareBodyFields(operation, body);
           return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(
-                  {
-                    status: 'unhealthy',
-                    error: error.message,
-                  },
-                  null,
-                  2
-                ),
-              },
-            ],
+            tool,
+            operation: `${method} ${path}`,
+            documented: true,
+            ok: fields.undocumentedFields.length === 0 && fields.missingRequiredFields.length === 0,
+            ...fields,
           };
+        });
+        const covered = Object.values(HAND_WRITTEN_OPERATIONS).map(({ method, path }) => `${method} ${path.toLowerCase()}`);
+        const uncoveredOperations = [...openApi.operations.values()]
+          .filter((operation) => !covered.includes(`${operation.method} ${operation.path.toLowerCase()}`))
+          .map((operation) => ({ operation: `${operation.method} ${operation.path}`, tool: operation.toolName }));
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  source: openApi.source,
+                  ok: tools.every((tool) => tool.ok),
+                  tools,
+                  uncoveredOperations,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case 'api_auth_matrix': {
+        const endpoints = normalizeEndpoints(args.endpoints ?? DEFAULT_ENDPOINTS);
+        const roles = [...new Set((args.roles ?? ROLES).map(normalizeRole))];
+        const credentials = Object.fromEntries(
+          Object.entries(args.credentials || {}).map(([role, account]) => [normalizeRole(role), account])
+        );
+
+        const provisioned = [];
+        for (const role of roles) {
+          try {
+            provisioned.push(await provisionRole(role, credentials[role]));
+          } catch (error) {
+            provisioned.push({ role, skipped: `Sign-in failed: ${error.response?.data?.message || error.message}` });
+          }
         }
+        const skipped = Object.fromEntries(
+          provisioned.filter((entry) => entry.skipped).map((entry) => [entry.role, entry.skipped])
+        );
+
+        const matrix = await runAuthMatrix(endpoints, roles, {
+          skipped,
+          send: async (endpoint, role) => {
+            try {
+              const response = await apiClient.request({
+                method: endpoint.method.toLowerCase(),
+                url: endpoint.endpoint,
+                data: endpoint.body,
+                headers: role === 'anonymous' ? { Authorization: false } : {},
+                session: `auth-matrix-${role.toLowerCase()}`,
+                validateStatus: () => true,
+              });
+              return { status: response.status };
+            } catch (error) {
+              return { error: error.message };
+            }
+          },
+        });
+        audit.annotate({ authMatrixPassed: matrix.passed, violations: matrix.violations.length });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: renderGrid(roles, matrix.rows),
+            },
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  passed: matrix.passed,
+                  summary: matrix.summary,
+                  violations: matrix.violations,
+                  roles: provisioned,
+                  rows: matrix.rows,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
       }
 
-      case 'api_custom_request': {
-        const requiresAuth = args.requiresAuth !== false;
+      case 'api_order_lifecycle_test': {
+        const report = await runOrderLifecycle({
+          send: (request) => sendScenarioRequest(request, session),
+          customerId: args.customerId,
+          baristaId: args.baristaId,
+          items: args.items,
+          routes: normalizeRoutes(args.routes),
+        });
+        audit.annotate({ lifecyclePassed: report.passed, failures: report.failures.length });
 
-        if (requiresAuth && !authToken) {
-          throw new Error('Not authenticated. Please use api_login first or set requiresAuth to false.');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: renderCoverage(report.checks),
+            },
+            {
+              type: 'text',
+              text: JSON.stringify(report, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_fuzz': {
+        const method = args.method.toUpperCase();
+        const target = fuzzTarget(method, args.endpoint, args);
+        const report = await runFuzz({
+          send: (request) => sendScenarioRequest(request, session),
+          method,
+          endpoint: args.endpoint,
+          target,
+          customerId: args.customerId,
+          maxCases: args.maxCases,
+        });
+        audit.annotate({ fuzzPassed: report.passed, findings: report.findings.length });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ schemaSource: target.source, ...report }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_db_consistency_check': {
+        if (Boolean(args.orderId) === Boolean(args.coffeeItemId)) {
+          throw new Error('Give either orderId or coffeeItemId');
+        }
+        const entity = args.orderId ? 'order' : 'coffeeItem';
+        const id = args.orderId || args.coffeeItemId;
+        const apiObject = args.response === undefined ? undefined : unwrapApiData(args.response);
+        if (apiObject !== undefined && String(apiObject?.id).toLowerCase() !== String(id).toLowerCase()) {
+          throw new Error(`The response is not for ${entity} ${id} (its id is ${apiObject?.id})`);
         }
+        const result = await checkDatabaseConsistency(entity, id, apiObject, session);
 
-        const config = {
-          method: args.method.toLowerCase(),
-          url: args.endpoint,
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
         };
+      }
 
-        if (args.body && ['post', 'put', 'patch'].includes(config.method)) {
-          config.data = args.body;
+      case 'api_session_create': {
+        const created = sessions.create(args.name);
+        try {
+          configureRelogin(created, args);
+          if (args.email !== undefined || args.password !== undefined) {
+            if (!args.email || !args.password) {
+              throw new Error('Provide both email and password to log in');
+            }
+            await login(created, args.email, args.password);
+          }
+        } catch (error) {
+          // A session whose login failed is not kept
+          sessions.drop(created.name);
+          throw error;
+        }
+        if (args.switchTo === true) {
+          sessions.switchTo(created.name);
         }
 
-        const response = await apiClient.request(config);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(sessions.summarize(created), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_session_list': {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(sessions.list(), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_session_switch': {
+        const current = sessions.switchTo(args.name);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(sessions.summarize(current), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_session_configure': {
+        const configured = sessions.resolve(args.name);
+        configureRelogin(configured, args);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(sessions.summarize(configured), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'api_inspect_token': {
+        if (args.token === undefined) {
+          requireToken(session);
+        }
+        const inspection = inspectJwt(args.token ?? session.token, {
+          warnBeforeSeconds: session.autoRelogin.beforeSeconds,
+        });
+        const renewDue =
+          inspection.expiresInSeconds !== null && inspection.expiresInSeconds <= session.autoRelogin.beforeSeconds;
+        if (args.token === undefined && renewDue) {
+          inspection.warnings.push(
+            canRelogin(session)
+              ? 'The session logs in again automatically before its next request'
+              : 'Automatic re-login is off or no credentials are stored; use api_login to renew the token'
+          );
+        }
 
         return {
           content: [
@@ -410,9 +1859,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: 'text',
               text: JSON.stringify(
                 {
-                  status: response.status,
-                  statusText: response.statusText,
-                  data: response.data,
+                  ...(args.token === undefined ? { session: session.name } : {}),
+                  ...inspection,
+                  ...(args.token === undefined
+                    ? { autoRelogin: { ...session.autoRelogin, credentialsStored: Boolean(session.credentials) } }
+                    : {}),
                 },
                 null,
                 2
@@ -422,35 +1873,146 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(
+      case 'api_session_drop': {
+        sessions.drop(args.name);
+
+        return {
+          content: [
             {
-              error: error.message,
-              response: error.response?.data,
-              status: error.response?.status,
+              type: 'text',
+              text: JSON.stringify({ dropped: args.name, current: sessions.current.name }, null, 2),
             },
-            null,
-            2
-          ),
-        },
-      ],
-      isError: true,
-    };
+          ],
+        };
+      }
+
+      case 'get_audit_log': {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(audit.query(args), null, 2),
+            },
+          ],
+        };
+      }
+
+      default: {
+        const operation = openApi?.operations.get(name);
+        if (!operation) {
+          throw new Error(`Unknown tool: ${name}`);
+        }
+        const result = await callOperation(operation, args, session);
+        audit.annotate({ contractValid: result.contract.request.valid && result.contract.response.valid });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+    }
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+function errorResult(error) {
+  audit.annotate({ error: error.message });
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            error: error.message,
+            response: error.response?.data,
+            status: error.response?.status,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Run a request tool called with expect or snapshot: the last API response of the call is checked and the
+ * results follow the tool's own output as { passed, request, status, durationMs, assertions, snapshot }.
+ * A call that got a response is not an error whatever its status, as the assertions say whether it was right.
+ */
+async function callWithAssertions(name, args) {
+  const expect = args.expect === undefined ? undefined : parseExpect(args.expect);
+  const responses = [];
+  const result = await capturedResponses.run(responses, () => handleToolCall(name, args));
+  const response = responses.at(-1);
+  if (!response) {
+    // The tool failed before it reached the API
+    return result;
   }
-});
+
+  const assertions = expect ? checkExpectations(expect, response) : [];
+  const snapshot =
+    args.snapshot === undefined
+      ? undefined
+      : snapshots.check(args.snapshot, response, { request: response.request, update: args.updateSnapshot === true });
+  const passed = assertions.every((assertion) => assertion.passed) && (snapshot?.passed ?? true);
+  audit.annotate({ assertionsPassed: passed });
+
+  return {
+    content: [
+      ...result.content,
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            passed,
+            request: response.request,
+            status: response.status,
+            durationMs: response.durationMs,
+            ...(expect ? { assertions } : {}),
+            ...(snapshot ? { snapshot } : {}),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+server.setRequestHandler(CallToolRequestSchema, audit.wrapToolHandler(async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  if (isAssertable(name) && (args.expect !== undefined || args.snapshot !== undefined)) {
+    try {
+      return await callWithAssertions(name, args);
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+  return handleToolCall(name, args);
+}));
 
 // Start server
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('Coffee Restaurant API Tester MCP server running on stdio');
+
+  if (recordHarOnStart) {
+    console.error(`Recording API requests to ${recorder.start().file}`);
+  }
+
+  if (openApiSource) {
+    loadOpenApi(openApiSource)
+      .then(() => server.sendToolListChanged())
+      .catch((error) => console.error(error.message));
+  }
 }
 
 main().catch((error) => {
@@ -1,44 +1,997 @@
 #!/usr/bin/env node
 
 /**
- * MCP Server for SQL Server Database Access
- * Provides tools to query Coffee Restaurant database
+ * MCP Server for Coffee Restaurant Database Access
+ * Provides tools to query the Coffee Restaurant database on SQL Server or a local SQLite copy
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import sql from 'mssql';
-
-// Database configuration from environment
-const dbConfig = {
-  server: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'CoffeeRestaurantDb',
-  user: process.env.DB_USER || 'sa',
-  password: process.env.DB_PASSWORD || 'YourStrong@Passw0rd',
-  options: {
-    encrypt: true,
-    trustServerCertificate: true,
-    enableArithAbort: true,
+import { fileURLToPath } from 'node:url';
+import {
+  ORDER_STATUSES,
+  checkBaristaAssignment,
+  checkItemPrice,
+  checkStatusTransition,
+} from './lib/order-rules.js';
+import { auditLogToolDefinition, countRows, createAuditLog } from './lib/audit-log.js';
+import { createDriverFromEnv } from './lib/drivers/index.js';
+import { QueryBuilder, Types } from './lib/query-builder.js';
+import { summarizeShowplan, summarizeSqlitePlan, summarizeStatisticsMessages } from './lib/query-plan.js';
+import { loadRedactionPolicy, planQueryRedaction, redactPayload, redactionProperties } from './lib/redaction.js';
+import { ResultCache, parseCacheTtls } from './lib/result-cache.js';
+import { formatProperties, formatToolResult } from './lib/result-formatter.js';
+import { validateReadOnlyQuery } from './lib/sql-validator.js';
+
+// Limits applied to execute_custom_query
+const customQueryMaxRows = parseInt(process.env.DB_QUERY_MAX_ROWS || '1000');
+const customQueryTimeout = parseInt(process.env.DB_QUERY_TIMEOUT || '10000');
+
+// Write tools are only registered when explicitly enabled
+const allowWrites = process.env.DB_ALLOW_WRITES === 'true';
+
+// Customer PII is masked according to the redaction policy; unmask is only honoured when enabled
+const redactionPolicy = loadRedactionPolicy(
+  process.env.DB_REDACTION_POLICY || fileURLToPath(new URL('../redaction-policy.json', import.meta.url))
+);
+const allowUnmask = process.env.DB_ALLOW_UNMASK === 'true';
+
+// Every tool call is recorded in logs/database-audit.jsonl
+const audit = createAuditLog('database');
+
+// Tables execute_custom_query may read from
+const CUSTOM_QUERY_TABLES = ['CoffeeItems', 'Categories', 'Orders', 'OrderItems', 'Customers', 'Baristas'];
+
+// Database backend: mssql (SQL Server, default) or sqlite (local database seeded from .mcp/sqlite)
+const db = createDriverFromEnv();
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Input validation helpers - reject bad input before it reaches the database
+function validateGuid(value, field) {
+  if (typeof value !== 'string' || !GUID_PATTERN.test(value)) {
+    throw new Error(`${field} must be a valid GUID`);
+  }
+  return value;
+}
+
+function validateEnum(value, allowed, field) {
+  if (!allowed.includes(value)) {
+    throw new Error(`${field} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function validateString(value, field, maxLength = 256) {
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be a string`);
+  }
+  if (value.length > maxLength) {
+    throw new Error(`${field} cannot exceed ${maxLength} characters`);
+  }
+  return value;
+}
+
+function validateInteger(value, field, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${field} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function validateBoolean(value, field) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`${field} must be a boolean`);
+  }
+  return value;
+}
+
+// Accepts ISO dates (2024-05-01) or date-times; returns a Date
+function validateDate(value, field) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be an ISO date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Cursors are opaque to callers: base64url-encoded offset plus the sort they were issued for
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(validateString(cursor, 'cursor'), 'base64url').toString('utf8'));
+    if (!Number.isInteger(state.offset) || state.offset < 0) {
+      throw new Error();
+    }
+    return state;
+  } catch {
+    throw new Error('cursor is invalid - pass the nextCursor value from a previous page');
+  }
+}
+
+// Shared input schema properties for paginated tools
+function paginationProperties(sortColumns) {
+  return {
+    pageSize: {
+      type: 'integer',
+      description: `Optional: Rows per page (default ${DEFAULT_PAGE_SIZE}, max ${MAX_PAGE_SIZE})`,
+    },
+    cursor: {
+      type: 'string',
+      description: 'Optional: nextCursor from a previous page to continue from',
+    },
+    offset: {
+      type: 'integer',
+      description: 'Optional: Number of rows to skip (ignored when cursor is given)',
+    },
+    sortBy: {
+      type: 'string',
+      enum: Object.keys(sortColumns),
+      description: 'Optional: Column to sort by',
+    },
+    sortDirection: {
+      type: 'string',
+      enum: ['asc', 'desc'],
+      description: 'Optional: Sort direction',
+    },
+  };
+}
+
+/**
+ * Resolve pageSize, offset and sort order from tool arguments.
+ * sortOptions: { columns: { sortBy: sqlExpression }, defaultSort, defaultDirection, tiebreaker }
+ */
+function resolvePaging(args, sortOptions) {
+  const pageSize =
+    args.pageSize !== undefined
+      ? validateInteger(args.pageSize, 'pageSize', { min: 1, max: MAX_PAGE_SIZE })
+      : DEFAULT_PAGE_SIZE;
+  const sortBy =
+    args.sortBy !== undefined
+      ? validateEnum(args.sortBy, Object.keys(sortOptions.columns), 'sortBy')
+      : sortOptions.defaultSort;
+  const sortDirection =
+    args.sortDirection !== undefined
+      ? validateEnum(args.sortDirection, ['asc', 'desc'], 'sortDirection')
+      : sortOptions.defaultDirection;
+
+  let offset = args.offset !== undefined ? validateInteger(args.offset, 'offset') : 0;
+  if (args.cursor !== undefined) {
+    const state = decodeCursor(args.cursor);
+    if (state.sortBy !== sortBy || state.sortDirection !== sortDirection) {
+      throw new Error('cursor was issued for a different sort order - pass the same sortBy and sortDirection');
+    }
+    offset = state.offset;
+  }
+
+  return { pageSize, offset, sortBy, sortDirection };
+}
+
+// Sort by the requested column with the id as tiebreaker, then select the page
+function orderPage(query, paging, sortOptions) {
+  const direction = paging.sortDirection.toUpperCase();
+  return query
+    .orderBy(`${sortOptions.columns[paging.sortBy]} ${direction}, ${sortOptions.tiebreaker} ${direction}`)
+    .page(paging.offset, paging.pageSize);
+}
+
+/**
+ * Execute one page of a query and wrap it in the paging envelope:
+ * { items, nextCursor, totalCount, pageSize, offset, sort, filters }
+ */
+async function executePage(query, paging, sortOptions, filters) {
+  const totalCount = await query.executeCount(db);
+
+  orderPage(query, paging, sortOptions);
+  const result = await query.execute(db);
+
+  const nextOffset = paging.offset + result.recordset.length;
+  return {
+    items: result.recordset,
+    nextCursor:
+      nextOffset < totalCount
+        ? encodeCursor({ offset: nextOffset, sortBy: paging.sortBy, sortDirection: paging.sortDirection })
+        : null,
+    totalCount,
+    pageSize: paging.pageSize,
+    offset: paging.offset,
+    sort: { sortBy: paging.sortBy, sortDirection: paging.sortDirection },
+    filters,
+  };
+}
+
+// Run a validated read-only query through the driver's sandbox, capped at customQueryMaxRows
+async function runReadOnlyQuery(queryText) {
+  const rows = await db.runReadOnly(queryText, { maxRows: customQueryMaxRows, timeout: customQueryTimeout });
+  const truncated = rows.length > customQueryMaxRows;
+  return {
+    rowCount: truncated ? customQueryMaxRows : rows.length,
+    truncated,
+    maxRows: customQueryMaxRows,
+    rows: truncated ? rows.slice(0, customQueryMaxRows) : rows,
+  };
+}
+
+// Schema introspection - the driver reads its catalog, these add the MCP-level details
+async function listTables() {
+  const tables = await db.listTables();
+  return tables.map((table) => ({
+    ...table,
+    Queryable: CUSTOM_QUERY_TABLES.includes(table.TableName),
+  }));
+}
+
+async function getRelationships(tableName) {
+  if (tableName !== undefined) {
+    validateString(tableName, 'tableName', 128);
+  }
+  return db.getRelationships(tableName);
+}
+
+async function describeTable(tableName) {
+  validateString(tableName, 'tableName', 128);
+
+  const table = await db.describeTable(tableName);
+  if (!table) {
+    throw new Error(`Table not found: ${tableName}`);
+  }
+
+  const relationships = await getRelationships(tableName);
+
+  return {
+    table: tableName,
+    queryable: CUSTOM_QUERY_TABLES.includes(tableName),
+    columns: table.columns.map((column) => ({
+      ...column,
+      IsPrimaryKey: table.primaryKey.includes(column.ColumnName),
+    })),
+    primaryKey: table.primaryKey,
+    foreignKeys: relationships.filter((fk) => fk.FromTable === tableName),
+    referencedBy: relationships.filter((fk) => fk.ToTable === tableName && fk.FromTable !== tableName),
+    indexes: table.indexes,
+  };
+}
+
+// Analytics - date ranges and tabular results for charting; period buckets come from the driver dialect
+const PERIODS = Object.keys(db.dialect.periodStart);
+
+function dateRangeProperties() {
+  return {
+    startDate: {
+      type: 'string',
+      description: 'Optional: Start date, inclusive (YYYY-MM-DD)',
+    },
+    endDate: {
+      type: 'string',
+      description: 'Optional: End date, inclusive (YYYY-MM-DD)',
+    },
+  };
+}
+
+// Validate startDate/endDate arguments; the returned end is exclusive (the day after endDate)
+function resolveDateRange(args) {
+  const range = {};
+  if (args.startDate !== undefined) {
+    range.start = validateDate(args.startDate, 'startDate');
+  }
+  if (args.endDate !== undefined) {
+    range.end = validateDate(args.endDate, 'endDate');
+    range.end.setUTCDate(range.end.getUTCDate() + 1);
+  }
+  if (range.start && range.end && range.start >= range.end) {
+    throw new Error('startDate must be on or before endDate');
+  }
+  return range;
+}
+
+// The validated date range arguments, for the parameters echo of a result
+function rangeParameters(args, range) {
+  return {
+    ...(range.start ? { startDate: args.startDate } : {}),
+    ...(range.end ? { endDate: args.endDate } : {}),
+  };
+}
+
+// Bind a date range against column and return the conditions (for WHERE or JOIN ... ON)
+function dateRangeConditions(query, column, range) {
+  const conditions = [];
+  if (range.start) {
+    conditions.push(`${column} >= ${query.addParam(Types.DateTime2, range.start)}`);
+  }
+  if (range.end) {
+    conditions.push(`${column} < ${query.addParam(Types.DateTime2, range.end)}`);
+  }
+  return conditions;
+}
+
+function tabularResult(result, parameters) {
+  const rows = result.recordset;
+  return {
+    parameters,
+    columns: Object.keys(rows.columns || rows[0] || {}),
+    rows,
+  };
+}
+
+async function revenueByPeriod(args) {
+  const period = args.period !== undefined ? validateEnum(args.period, PERIODS, 'period') : 'day';
+  const status = args.status !== undefined ? validateEnum(args.status, ORDER_STATUSES, 'status') : 'Completed';
+  const range = resolveDateRange(args);
+  const bucket = db.dialect.periodStart[period]('o.OrderDate');
+
+  const query = new QueryBuilder({
+    select: `
+      ${bucket} AS PeriodStart,
+      COUNT(*) AS OrderCount,
+      SUM(o.TotalPrice) AS Revenue,
+      AVG(o.TotalPrice) AS AverageOrderValue`,
+    from: 'Orders o',
+  })
+    .whereEquals('o.Status', Types.NVarChar(20), status)
+    .groupBy(bucket)
+    .orderBy('PeriodStart');
+  dateRangeConditions(query, 'o.OrderDate', range).forEach((condition) => query.where(condition));
+
+  return tabularResult(await query.execute(db), { period, status, ...rangeParameters(args, range) });
+}
+
+async function topSellingItems(args) {
+  const rankBy = args.rankBy !== undefined ? validateEnum(args.rankBy, ['quantity', 'revenue'], 'rankBy') : 'quantity';
+  const limit = args.limit !== undefined ? validateInteger(args.limit, 'limit', { min: 1, max: 100 }) : 10;
+  const perCategory = args.perCategory !== undefined ? validateBoolean(args.perCategory, 'perCategory') : false;
+  const range = resolveDateRange(args);
+  const metric = rankBy === 'quantity' ? 'SUM(oi.Quantity)' : 'SUM(oi.Subtotal)';
+
+  const query = new QueryBuilder({
+    select: `
+      ci.Id AS CoffeeItemId, ci.Name AS CoffeeItemName, c.Name AS CategoryName,
+      SUM(oi.Quantity) AS QuantitySold,
+      SUM(oi.Subtotal) AS Revenue,
+      COUNT(DISTINCT o.Id) AS OrderCount,
+      ROW_NUMBER() OVER (${perCategory ? 'PARTITION BY c.Name ' : ''}ORDER BY ${metric} DESC) AS ItemRank`,
+    from: `OrderItems oi
+      INNER JOIN Orders o ON oi.OrderId = o.Id
+      INNER JOIN CoffeeItems ci ON oi.CoffeeItemId = ci.Id
+      INNER JOIN Categories c ON ci.CategoryId = c.Id`,
+  })
+    .where("o.Status <> 'Cancelled'")
+    .groupBy('ci.Id, ci.Name, c.Name');
+
+  const categoryName = args.categoryName !== undefined ? validateString(args.categoryName, 'categoryName', 100) : undefined;
+  if (categoryName !== undefined) {
+    query.whereLike('c.Name', Types.NVarChar(100), categoryName);
+  }
+  dateRangeConditions(query, 'o.OrderDate', range).forEach((condition) => query.where(condition));
+
+  const limitParam = query.addParam(Types.Int, limit);
+  const inner = query.build(db.dialect);
+  const result = await query.execute(db, {
+    text: `SELECT * FROM (\n${inner.text}\n) AS ranked
+      WHERE ItemRank <= ${limitParam}
+      ORDER BY ${perCategory ? 'CategoryName, ' : ''}ItemRank`,
+    params: inner.params,
+  });
+
+  return tabularResult(result, {
+    rankBy,
+    limit,
+    perCategory,
+    ...(categoryName !== undefined ? { categoryName } : {}),
+    ...rangeParameters(args, range),
+  });
+}
+
+async function baristaPerformance(args) {
+  const range = resolveDateRange(args);
+  const query = new QueryBuilder({
+    select: `
+      b.Id AS BaristaId, b.Name AS BaristaName, b.IsActive,
+      COUNT(o.Id) AS OrdersHandled,
+      SUM(CASE WHEN o.Status = 'Completed' THEN 1 ELSE 0 END) AS CompletedOrders,
+      SUM(CASE WHEN o.Status = 'Cancelled' THEN 1 ELSE 0 END) AS CancelledOrders,
+      SUM(CASE WHEN o.Status = 'Completed' THEN o.TotalPrice ELSE 0 END) AS Revenue,
+      AVG(CASE WHEN o.Status = 'Completed' AND o.UpdatedAt IS NOT NULL
+        THEN ${db.dialect.minutesBetween('o.OrderDate', 'o.UpdatedAt')} END) AS AvgMinutesToComplete`,
+    from: 'Baristas b',
+  });
+
+  // Date filters go in the join so baristas without orders still appear
+  const joinConditions = ['o.BaristaId = b.Id', ...dateRangeConditions(query, 'o.OrderDate', range)];
+  query.from += `
+    LEFT JOIN Orders o ON ${joinConditions.join(' AND ')}`;
+  query.groupBy('b.Id, b.Name, b.IsActive').orderBy('OrdersHandled DESC, b.Name');
+
+  const baristaId = args.baristaId !== undefined ? validateGuid(args.baristaId, 'baristaId') : undefined;
+  if (baristaId !== undefined) {
+    query.whereEquals('b.Id', Types.UniqueIdentifier, baristaId);
+  }
+
+  const table = tabularResult(await query.execute(db), {
+    ...(baristaId !== undefined ? { baristaId } : {}),
+    ...rangeParameters(args, range),
+  });
+  // There is no status history table: completion time is OrderDate -> UpdatedAt of completed orders
+  table.notes = 'AvgMinutesToComplete is measured from OrderDate to the last update of completed orders';
+  return table;
+}
+
+async function orderStatusFunnel(args) {
+  const range = resolveDateRange(args);
+  const query = new QueryBuilder({
+    select: `
+      o.Status,
+      COUNT(*) AS OrderCount,
+      SUM(o.TotalPrice) AS TotalValue`,
+    from: 'Orders o',
+  }).groupBy('o.Status');
+  dateRangeConditions(query, 'o.OrderDate', range).forEach((condition) => query.where(condition));
+
+  const result = await query.execute(db);
+  const counts = Object.fromEntries(ORDER_STATUSES.map((status) => [status, 0]));
+  for (const row of result.recordset) {
+    counts[row.Status] = row.OrderCount;
+  }
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const percentage = (count) => (total === 0 ? 0 : Math.round((count / total) * 10000) / 100);
+
+  // An order that reached a stage is at that stage or any later one (cancelled orders only count as placed)
+  const stages = ['InProgress', 'Ready', 'Completed'];
+  const funnel = [{ Stage: 'Placed', OrderCount: total, Percentage: percentage(total) }];
+  stages.forEach((stage, index) => {
+    const reached = stages.slice(index).reduce((sum, status) => sum + counts[status], 0);
+    funnel.push({ Stage: stage, OrderCount: reached, Percentage: percentage(reached) });
+  });
+
+  return {
+    parameters: rangeParameters(args, range),
+    columns: ['Stage', 'OrderCount', 'Percentage'],
+    rows: funnel,
+    statuses: ORDER_STATUSES.map((status) => ({
+      Status: status,
+      OrderCount: counts[status],
+      Percentage: percentage(counts[status]),
+      TotalValue: result.recordset.find((row) => row.Status === status)?.TotalValue ?? 0,
+    })),
+    cancellationRate: percentage(counts.Cancelled),
+  };
+}
+
+async function customerCohorts(args) {
+  const period = args.period !== undefined ? validateEnum(args.period, ['week', 'month'], 'period') : 'month';
+  const range = resolveDateRange(args);
+  const bucket = db.dialect.periodStart[period]('co.FirstOrderDate');
+
+  const query = new QueryBuilder({
+    select: `
+      ${bucket} AS CohortStart,
+      COUNT(*) AS Customers,
+      SUM(CASE WHEN co.OrderCount > 1 THEN 1 ELSE 0 END) AS RepeatCustomers,
+      SUM(CASE WHEN co.OrderCount > 1 THEN 1 ELSE 0 END) * 1.0 / COUNT(*) AS RepeatRate,
+      SUM(co.OrderCount) AS TotalOrders,
+      AVG(co.TotalSpent) AS AverageLifetimeValue,
+      SUM(co.TotalSpent) AS CohortRevenue`,
+    from: `(
+      SELECT o.CustomerId, MIN(o.OrderDate) AS FirstOrderDate, COUNT(*) AS OrderCount, SUM(o.TotalPrice) AS TotalSpent
+      FROM Orders o
+      WHERE o.Status <> 'Cancelled'
+      GROUP BY o.CustomerId
+    ) AS co`,
+  })
+    .groupBy(bucket)
+    .orderBy('CohortStart');
+  dateRangeConditions(query, 'co.FirstOrderDate', range).forEach((condition) => query.where(condition));
+
+  return tabularResult(await query.execute(db), { period, ...rangeParameters(args, range) });
+}
+
+const ANALYTICS_TOOLS = {
+  revenue_by_period: revenueByPeriod,
+  top_selling_items: topSellingItems,
+  barista_performance: baristaPerformance,
+  order_status_funnel: orderStatusFunnel,
+  customer_cohorts: customerCohorts,
+};
+
+/**
+ * Run a guarded write in a transaction.
+ * load(transaction) returns the current row (locked for update); plan(row) validates the change
+ * and returns { values, apply(transaction) }, or null when there is nothing to change.
+ * With dryRun the transaction is rolled back and the response previews the row after the change.
+ */
+async function executeWrite({ dryRun, load, plan }) {
+  const transaction = await db.beginTransaction();
+
+  try {
+    const before = await load(transaction);
+    const change = plan(before);
+
+    if (!change || dryRun) {
+      await transaction.rollback();
+      return {
+        dryRun,
+        changed: Boolean(change),
+        before,
+        after: change ? { ...before, ...change.values } : before,
+      };
+    }
+
+    await change.apply(transaction);
+    const after = await load(transaction);
+    await transaction.commit();
+    return { dryRun, changed: true, before, after };
+  } catch (error) {
+    try {
+      await transaction.rollback();
+    } catch {
+      // Already rolled back
+    }
+    throw error;
+  }
+}
+
+async function loadOrderForUpdate(transaction, orderId) {
+  const result = await new QueryBuilder({
+    select: 'o.Id, o.Status, o.BaristaId, o.CustomerId, o.TotalPrice, o.OrderDate, o.UpdatedAt',
+    from: `Orders o ${db.dialect.updateLock}`,
+  })
+    .whereEquals('o.Id', Types.UniqueIdentifier, orderId)
+    .execute(transaction);
+  if (result.recordset.length === 0) {
+    throw new Error(`Order not found: ${orderId}`);
+  }
+  return result.recordset[0];
+}
+
+async function loadCoffeeItemForUpdate(transaction, coffeeItemId) {
+  const result = await new QueryBuilder({
+    select: 'ci.Id, ci.Name, ci.Price, ci.IsAvailable, ci.UpdatedAt',
+    from: `CoffeeItems ci ${db.dialect.updateLock}`,
+  })
+    .whereEquals('ci.Id', Types.UniqueIdentifier, coffeeItemId)
+    .execute(transaction);
+  if (result.recordset.length === 0) {
+    throw new Error(`Coffee item not found: ${coffeeItemId}`);
+  }
+  return result.recordset[0];
+}
+
+async function updateOrderStatus(args, dryRun) {
+  const orderId = validateGuid(args.orderId, 'orderId');
+  const status = validateEnum(args.status, ORDER_STATUSES, 'status');
+
+  return executeWrite({
+    dryRun,
+    load: (transaction) => loadOrderForUpdate(transaction, orderId),
+    plan: (order) => {
+      if (!checkStatusTransition(order.Status, status)) {
+        return null;
+      }
+      return {
+        values: { Status: status },
+        apply: (transaction) =>
+          transaction.query(`UPDATE Orders SET Status = @status, UpdatedAt = ${db.dialect.now} WHERE Id = @id`, [
+            { name: 'id', type: Types.UniqueIdentifier, value: orderId },
+            { name: 'status', type: Types.NVarChar(20), value: status },
+          ]),
+      };
+    },
+  });
+}
+
+async function assignBarista(args, dryRun) {
+  const orderId = validateGuid(args.orderId, 'orderId');
+  const baristaId = validateGuid(args.baristaId, 'baristaId');
+
+  const barista = await new QueryBuilder({ select: 'b.Id, b.Name, b.IsActive', from: 'Baristas b' })
+    .whereEquals('b.Id', Types.UniqueIdentifier, baristaId)
+    .execute(db);
+  if (barista.recordset.length === 0) {
+    throw new Error(`Barista not found: ${baristaId}`);
+  }
+
+  return executeWrite({
+    dryRun,
+    load: (transaction) => loadOrderForUpdate(transaction, orderId),
+    plan: (order) => {
+      // Order.AssignBarista: pending orders only, and the order moves to InProgress
+      checkBaristaAssignment(order.Status);
+      return {
+        values: { BaristaId: baristaId, Status: 'InProgress' },
+        apply: (transaction) =>
+          transaction.query(
+            `
+              UPDATE Orders
+              SET BaristaId = @baristaId, Status = 'InProgress', UpdatedAt = ${db.dialect.now}
+              WHERE Id = @id
+            `,
+            [
+              { name: 'id', type: Types.UniqueIdentifier, value: orderId },
+              { name: 'baristaId', type: Types.UniqueIdentifier, value: baristaId },
+            ]
+          ),
+      };
+    },
+  });
+}
+
+async function setItemAvailability(args, dryRun) {
+  const coffeeItemId = validateGuid(args.coffeeItemId, 'coffeeItemId');
+  const isAvailable = validateBoolean(args.isAvailable, 'isAvailable');
+
+  return executeWrite({
+    dryRun,
+    load: (transaction) => loadCoffeeItemForUpdate(transaction, coffeeItemId),
+    plan: (item) => {
+      if (item.IsAvailable === isAvailable) {
+        return null;
+      }
+      return {
+        values: { IsAvailable: isAvailable },
+        apply: (transaction) =>
+          transaction.query(
+            `UPDATE CoffeeItems SET IsAvailable = @isAvailable, UpdatedAt = ${db.dialect.now} WHERE Id = @id`,
+            [
+              { name: 'id', type: Types.UniqueIdentifier, value: coffeeItemId },
+              { name: 'isAvailable', type: Types.Bit, value: isAvailable },
+            ]
+          ),
+      };
+    },
+  });
+}
+
+async function changeItemPrice(args, dryRun) {
+  const coffeeItemId = validateGuid(args.coffeeItemId, 'coffeeItemId');
+  checkItemPrice(args.price);
+  const price = args.price;
+
+  return executeWrite({
+    dryRun,
+    load: (transaction) => loadCoffeeItemForUpdate(transaction, coffeeItemId),
+    plan: (item) => {
+      if (item.Price === price) {
+        return null;
+      }
+      return {
+        values: { Price: price },
+        apply: (transaction) =>
+          transaction.query(`UPDATE CoffeeItems SET Price = @price, UpdatedAt = ${db.dialect.now} WHERE Id = @id`, [
+            { name: 'id', type: Types.UniqueIdentifier, value: coffeeItemId },
+            { name: 'price', type: Types.Decimal(18, 2), value: price },
+          ]),
+      };
+    },
+  });
+}
+
+const WRITE_TOOLS = {
+  update_order_status: updateOrderStatus,
+  assign_barista: assignBarista,
+  set_item_availability: setItemAvailability,
+  change_item_price: changeItemPrice,
+};
+
+const dryRunProperty = {
+  dryRun: {
+    type: 'boolean',
+    description: 'Optional: Preview the before/after rows without committing (default false)',
   },
-  pool: {
-    max: 10,
-    min: 0,
-    idleTimeoutMillis: 30000,
+};
+
+const WRITE_TOOL_DEFINITIONS = [
+  {
+    name: 'update_order_status',
+    description:
+      'Change an order status following the Order rules (Pending -> InProgress -> Ready -> Completed; any but Completed can be Cancelled)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        orderId: {
+          type: 'string',
+          description: 'Order GUID',
+        },
+        status: {
+          type: 'string',
+          enum: ORDER_STATUSES,
+          description: 'New status',
+        },
+        ...dryRunProperty,
+      },
+      required: ['orderId', 'status'],
+    },
   },
+  {
+    name: 'assign_barista',
+    description: 'Assign a barista to a pending order, moving it to InProgress',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        orderId: {
+          type: 'string',
+          description: 'Order GUID',
+        },
+        baristaId: {
+          type: 'string',
+          description: 'Barista GUID',
+        },
+        ...dryRunProperty,
+      },
+      required: ['orderId', 'baristaId'],
+    },
+  },
+  {
+    name: 'set_item_availability',
+    description: 'Mark a coffee item as available or unavailable',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coffeeItemId: {
+          type: 'string',
+          description: 'Coffee item GUID',
+        },
+        isAvailable: {
+          type: 'boolean',
+          description: 'New availability',
+        },
+        ...dryRunProperty,
+      },
+      required: ['coffeeItemId', 'isAvailable'],
+    },
+  },
+  {
+    name: 'change_item_price',
+    description: 'Change a coffee item price (greater than 0, at most 10,000, 2 decimals)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coffeeItemId: {
+          type: 'string',
+          description: 'Coffee item GUID',
+        },
+        price: {
+          type: 'number',
+          description: 'New price',
+        },
+        ...dryRunProperty,
+      },
+      required: ['coffeeItemId', 'price'],
+    },
+  },
+];
+
+// Sortable columns per paginated tool (sortBy value -> SQL expression)
+const COFFEE_ITEM_SORT = {
+  columns: { name: 'ci.Name', price: 'ci.Price', categoryName: 'c.Name', createdAt: 'ci.CreatedAt' },
+  defaultSort: 'createdAt',
+  defaultDirection: 'desc',
+  tiebreaker: 'ci.Id',
+};
+
+const ORDER_SORT = {
+  columns: { orderDate: 'o.OrderDate', totalPrice: 'o.TotalPrice', status: 'o.Status', customerName: 'c.Name' },
+  defaultSort: 'orderDate',
+  defaultDirection: 'desc',
+  tiebreaker: 'o.Id',
+};
+
+const CUSTOMER_SORT = {
+  columns: { name: 'c.Name', email: 'c.Email', totalOrders: 'COUNT(o.Id)', totalSpent: 'SUM(o.TotalPrice)' },
+  defaultSort: 'name',
+  defaultDirection: 'asc',
+  tiebreaker: 'c.Id',
+};
+
+const CATEGORY_SORT = {
+  columns: { name: 'c.Name', itemCount: 'COUNT(ci.Id)' },
+  defaultSort: 'name',
+  defaultDirection: 'asc',
+  tiebreaker: 'c.Id',
+};
+
+// Queries behind the paginated tools - shared by the tools and explain_query
+function buildCoffeeItemsQuery(args) {
+  const paging = resolvePaging(args, COFFEE_ITEM_SORT);
+  const filters = {};
+  const query = new QueryBuilder({
+    select: `
+      ci.Id, ci.Name, ci.Description, ci.Price, ci.IsAvailable,
+      c.Name as CategoryName, c.Description as CategoryDescription,
+      ci.CreatedAt, ci.UpdatedAt`,
+    from: `CoffeeItems ci
+      INNER JOIN Categories c ON ci.CategoryId = c.Id`,
+  });
+
+  if (args.categoryName !== undefined) {
+    filters.categoryName = validateString(args.categoryName, 'categoryName', 100);
+    query.whereLike('c.Name', Types.NVarChar(100), filters.categoryName);
+  }
+  if (args.available !== undefined) {
+    filters.available = validateBoolean(args.available, 'available');
+    query.whereEquals('ci.IsAvailable', Types.Bit, filters.available);
+  }
+
+  return { query, paging, filters };
+}
+
+function buildOrdersQuery(args) {
+  const paging = resolvePaging({ pageSize: args.limit, ...args }, ORDER_SORT);
+  const filters = {};
+  const query = new QueryBuilder({
+    select: `
+      o.Id, o.Status, o.TotalPrice, o.OrderDate,
+      c.Id as CustomerId, c.Name as CustomerName, c.Email as CustomerEmail,
+      b.Id as BaristaId, b.Name as BaristaName`,
+    from: `Orders o
+      LEFT JOIN Customers c ON o.CustomerId = c.Id
+      LEFT JOIN Baristas b ON o.BaristaId = b.Id`,
+  });
+
+  if (args.status !== undefined) {
+    filters.status = validateEnum(args.status, ORDER_STATUSES, 'status');
+    query.whereEquals('o.Status', Types.NVarChar(20), filters.status);
+  }
+  if (args.customerId !== undefined) {
+    filters.customerId = validateGuid(args.customerId, 'customerId');
+    query.whereEquals('o.CustomerId', Types.UniqueIdentifier, filters.customerId);
+  }
+
+  return { query, paging, filters };
+}
+
+function buildCustomersQuery(args) {
+  const paging = resolvePaging(args, CUSTOMER_SORT);
+  const filters = {};
+  const query = new QueryBuilder({
+    select: `
+      c.Id, c.Name, c.Email, c.Phone as PhoneNumber,
+      COUNT(o.Id) as TotalOrders,
+      SUM(o.TotalPrice) as TotalSpent`,
+    from: `Customers c
+      LEFT JOIN Orders o ON c.Id = o.CustomerId`,
+  });
+
+  if (args.email !== undefined) {
+    filters.email = validateString(args.email, 'email', 100);
+    query.whereLike('c.Email', Types.NVarChar(100), filters.email);
+  }
+
+  query.groupBy('c.Id, c.Name, c.Email, c.Phone');
+
+  return { query, paging, filters };
+}
+
+function buildCategoriesQuery(args) {
+  const paging = resolvePaging(args, CATEGORY_SORT);
+  const query = new QueryBuilder({
+    select: `
+      c.Id, c.Name, c.Description,
+      COUNT(ci.Id) as ItemCount`,
+    from: `Categories c
+      LEFT JOIN CoffeeItems ci ON c.Id = ci.CategoryId`,
+  }).groupBy('c.Id, c.Name, c.Description');
+
+  return { query, paging, filters: {} };
+}
+
+const PAGED_QUERIES = {
+  query_coffee_items: { build: buildCoffeeItemsQuery, sortOptions: COFFEE_ITEM_SORT },
+  query_orders: { build: buildOrdersQuery, sortOptions: ORDER_SORT },
+  query_customers: { build: buildCustomersQuery, sortOptions: CUSTOMER_SORT },
+  query_categories: { build: buildCategoriesQuery, sortOptions: CATEGORY_SORT },
 };
 
-let pool = null;
+/**
+ * Explain a custom SELECT, or the page query a paginated tool runs for the given arguments.
+ * Estimated plans only compile the query; actual plans run it in the read-only sandbox.
+ */
+async function explainQuery(args) {
+  if ((args.query === undefined) === (args.tool === undefined)) {
+    throw new Error('Provide either query or tool');
+  }
+  const actual = args.actual !== undefined ? validateBoolean(args.actual, 'actual') : false;
+  const includeXml = args.includeXml !== undefined ? validateBoolean(args.includeXml, 'includeXml') : false;
 
-// Initialize database connection
-async function initDatabase() {
-  if (!pool) {
-    pool = await sql.connect(dbConfig);
+  let source;
+  let text;
+  let params = [];
+  if (args.query !== undefined) {
+    const validated = validateReadOnlyQuery(args.query, { allowedTables: CUSTOM_QUERY_TABLES });
+    text = validated.text;
+    source = { query: text, tables: validated.tables };
+  } else {
+    const tool = validateEnum(args.tool, Object.keys(PAGED_QUERIES), 'tool');
+    const toolArgs = args.arguments ?? {};
+    if (typeof toolArgs !== 'object' || toolArgs === null || Array.isArray(toolArgs)) {
+      throw new Error('arguments must be an object');
+    }
+    const { query, paging } = PAGED_QUERIES[tool].build(toolArgs);
+    ({ text, params } = orderPage(query, paging, PAGED_QUERIES[tool].sortOptions).build(db.dialect));
+    source = {
+      tool,
+      arguments: toolArgs,
+      query: text.trim(),
+      parameters: Object.fromEntries(params.map((param) => [param.name, param.value])),
+    };
   }
-  return pool;
+
+  const plan = await db.explain(text, params, { actual, maxRows: customQueryMaxRows, timeout: customQueryTimeout });
+  const statements =
+    plan.format === 'showplan' ? summarizeShowplan(plan.plans) : summarizeSqlitePlan(plan.planRows, text);
+
+  const result = { driver: db.name, mode: actual ? 'actual' : 'estimated', source, statements };
+  if (actual) {
+    result.actual = {
+      rowCount: Math.min(plan.rowCount, customQueryMaxRows),
+      truncated: plan.rowCount > customQueryMaxRows,
+      elapsedMs: plan.elapsedMs,
+      ...(plan.messages ? { statistics: summarizeStatisticsMessages(plan.messages) } : {}),
+    };
+  }
+  if (includeXml && plan.plans) {
+    result.planXml = plan.plans;
+  }
+  return result;
+}
+
+// Read-only tools whose results may be cached; writes clear the whole cache
+const CACHEABLE_TOOLS = [
+  'query_coffee_items',
+  'query_orders',
+  'query_customers',
+  'query_categories',
+  'execute_custom_query',
+  'list_tables',
+  'describe_table',
+  'get_relationships',
+  'get_database_stats',
+  ...Object.keys(ANALYTICS_TOOLS),
+];
+
+// The menu and the schema rarely change, so their tools are cached by default; DB_CACHE_TTLS overrides per tool
+const DEFAULT_CACHE_TTLS = {
+  query_categories: 300000,
+  query_coffee_items: 60000,
+  describe_table: 300000,
+  get_database_stats: 30000,
+};
+
+const cache = new ResultCache({
+  ttls: parseCacheTtls(process.env.DB_CACHE_TTLS, DEFAULT_CACHE_TTLS, CACHEABLE_TOOLS),
+  maxEntries: parseInt(process.env.DB_CACHE_MAX_ENTRIES || '200'),
+});
+
+// Add the bypassCache argument to the tools that are cached
+function withCacheProperties(tools) {
+  return tools.map((tool) =>
+    cache.isCacheable(tool.name)
+      ? {
+          ...tool,
+          inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+              ...tool.inputSchema.properties,
+              bypassCache: {
+                type: 'boolean',
+                description: 'Optional: Read from the database even if a cached result exists (the cache is refreshed)',
+              },
+            },
+          },
+        }
+      : tool
+  );
 }
 
 // Create MCP server
@@ -50,6 +1003,7 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {},
     },
   }
 );
@@ -57,10 +1011,10 @@ const server = new Server(
 // Define available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
-    tools: [
+    tools: withCacheProperties([
       {
         name: 'query_coffee_items',
-        description: 'Query all coffee items with their categories, prices, and availability',
+        description: 'Query coffee items with their categories, prices, and availability (paginated)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -72,18 +1026,20 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'boolean',
               description: 'Optional: Filter by availability status',
             },
+            ...paginationProperties(COFFEE_ITEM_SORT.columns),
+            ...formatProperties(),
           },
         },
       },
       {
         name: 'query_orders',
-        description: 'Query orders with customer, barista, and order items details',
+        description: 'Query orders with customer, barista, and order items details (paginated)',
         inputSchema: {
           type: 'object',
           properties: {
             status: {
               type: 'string',
-              enum: ['Pending', 'InProgress', 'Ready', 'Completed', 'Cancelled'],
+              enum: ORDER_STATUSES,
               description: 'Optional: Filter by order status',
             },
             customerId: {
@@ -91,15 +1047,22 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Optional: Filter by customer GUID',
             },
             limit: {
-              type: 'number',
-              description: 'Optional: Limit number of results (default 50)',
+              type: 'integer',
+              description: 'Deprecated: alias for pageSize',
+            },
+            includeItems: {
+              type: 'boolean',
+              description: 'Optional: Include order items (default true); set false to return order headers only',
             },
+            ...paginationProperties(ORDER_SORT.columns),
+            ...formatProperties(),
+            ...redactionProperties(),
           },
         },
       },
       {
         name: 'query_customers',
-        description: 'Query customer information including their orders count',
+        description: 'Query customer information including their orders count (paginated)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -107,20 +1070,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'Optional: Filter by customer email',
             },
+            ...paginationProperties(CUSTOMER_SORT.columns),
+            ...formatProperties(),
+            ...redactionProperties(),
           },
         },
       },
       {
         name: 'query_categories',
-        description: 'Query all coffee categories with item counts',
+        description: 'Query coffee categories with item counts (paginated)',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            ...paginationProperties(CATEGORY_SORT.columns),
+            ...formatProperties(),
+          },
         },
       },
       {
         name: 'execute_custom_query',
-        description: 'Execute a custom SELECT query (read-only, no INSERT/UPDATE/DELETE)',
+        description:
+          'Execute a custom SELECT query (single read-only statement over CoffeeItems, Categories, Orders, OrderItems, Customers and Baristas; CTEs allowed; rows are capped)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -128,179 +1098,366 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'SQL SELECT query to execute',
             },
+            ...formatProperties(),
+            ...redactionProperties(),
           },
           required: ['query'],
         },
       },
+      {
+        name: 'explain_query',
+        description:
+          'Show the execution plan of a custom SELECT or of the query behind a paginated tool: operator tree with estimated costs, tables scanned or sought, missing-index suggestions and warnings. With actual=true the query is run (read-only, rows capped) and actual rows, logical reads and elapsed time are reported',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'SQL SELECT query to explain (same rules as execute_custom_query); or use tool',
+            },
+            tool: {
+              type: 'string',
+              enum: Object.keys(PAGED_QUERIES),
+              description: 'Paginated tool whose query to explain; or use query',
+            },
+            arguments: {
+              type: 'object',
+              description: 'Optional: Arguments for the tool (filters, sort, page), as the tool would receive them',
+            },
+            actual: {
+              type: 'boolean',
+              description: 'Optional: Run the query and report actual statistics instead of the estimated plan only (default false)',
+            },
+            includeXml: {
+              type: 'boolean',
+              description: 'Optional: Also return the raw showplan XML (SQL Server only)',
+            },
+          },
+        },
+      },
+      {
+        name: 'list_tables',
+        description: 'List database tables with row counts and whether execute_custom_query may read them',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...formatProperties(),
+          },
+        },
+      },
+      {
+        name: 'describe_table',
+        description: 'Describe a table: columns, types, nullability, primary key, foreign keys and indexes',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tableName: {
+              type: 'string',
+              description: 'Table name (e.g., Orders)',
+            },
+          },
+          required: ['tableName'],
+        },
+      },
+      {
+        name: 'get_relationships',
+        description: 'List foreign key relationships between tables',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tableName: {
+              type: 'string',
+              description: 'Optional: Only relationships from or to this table',
+            },
+            ...formatProperties(),
+          },
+        },
+      },
       {
         name: 'get_database_stats',
         description: 'Get database statistics: total orders, customers, coffee items, revenue',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            ...formatProperties(),
+          },
         },
       },
-    ],
+      {
+        name: 'revenue_by_period',
+        description: 'Revenue, order count and average order value bucketed by day, week or month',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            period: {
+              type: 'string',
+              enum: ['day', 'week', 'month'],
+              description: 'Optional: Bucket size (default day; weeks start on Monday)',
+            },
+            status: {
+              type: 'string',
+              enum: ORDER_STATUSES,
+              description: 'Optional: Order status to count (default Completed)',
+            },
+            ...dateRangeProperties(),
+            ...formatProperties(),
+          },
+        },
+      },
+      {
+        name: 'top_selling_items',
+        description: 'Best-selling coffee items by quantity or revenue, overall or per category (cancelled orders excluded)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            rankBy: {
+              type: 'string',
+              enum: ['quantity', 'revenue'],
+              description: 'Optional: Ranking metric (default quantity)',
+            },
+            limit: {
+              type: 'integer',
+              description: 'Optional: Items to return, or per category with perCategory (default 10, max 100)',
+            },
+            perCategory: {
+              type: 'boolean',
+              description: 'Optional: Rank items within each category (default false)',
+            },
+            categoryName: {
+              type: 'string',
+              description: 'Optional: Filter by category name',
+            },
+            ...dateRangeProperties(),
+            ...formatProperties(),
+          },
+        },
+      },
+      {
+        name: 'barista_performance',
+        description: 'Orders handled, completed and cancelled per barista, with revenue and average minutes to completion',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            baristaId: {
+              type: 'string',
+              description: 'Optional: Only this barista (GUID)',
+            },
+            ...dateRangeProperties(),
+            ...formatProperties(),
+          },
+        },
+      },
+      {
+        name: 'order_status_funnel',
+        description: 'Order counts per status and the Placed -> InProgress -> Ready -> Completed funnel with cancellation rate',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...dateRangeProperties(),
+            ...formatProperties(),
+          },
+        },
+      },
+      {
+        name: 'customer_cohorts',
+        description: 'Customer cohorts by first order week or month: size, repeat rate and average lifetime value',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            period: {
+              type: 'string',
+              enum: ['week', 'month'],
+              description: 'Optional: Cohort bucket (default month)',
+            },
+            ...dateRangeProperties(),
+            ...formatProperties(),
+          },
+        },
+      },
+      ...(allowWrites ? WRITE_TOOL_DEFINITIONS : []),
+      {
+        name: 'clear_cache',
+        description: 'Clear cached tool results (all, or one tool) and show cache statistics',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tool: {
+              type: 'string',
+              enum: CACHEABLE_TOOLS,
+              description: 'Optional: Only clear the results of this tool',
+            },
+          },
+        },
+      },
+      auditLogToolDefinition(),
+    ]),
   };
 });
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+server.setRequestHandler(CallToolRequestSchema, audit.wrapToolHandler(async (request) => {
+  const { name, arguments: args = {} } = request.params;
 
   try {
-    await initDatabase();
+    // Reading the audit log does not need the database
+    if (name === 'get_audit_log') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(audit.query(args), null, 2),
+          },
+        ],
+      };
+    }
 
-    switch (name) {
-      case 'query_coffee_items': {
-        let query = `
-          SELECT 
-            ci.Id, ci.Name, ci.Description, ci.Price, ci.IsAvailable,
-            c.Name as CategoryName, c.Description as CategoryDescription,
-            ci.CreatedAt, ci.UpdatedAt
-          FROM CoffeeItems ci
-          INNER JOIN Categories c ON ci.CategoryId = c.Id
-          WHERE 1=1
-        `;
+    if (name === 'clear_cache') {
+      const tool = args.tool !== undefined ? validateEnum(args.tool, CACHEABLE_TOOLS, 'tool') : undefined;
+      const cleared = cache.clear(tool);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ cleared, ...cache.stats() }, null, 2),
+          },
+        ],
+      };
+    }
 
-        if (args.categoryName) {
-          query += ` AND c.Name LIKE '%${args.categoryName}%'`;
-        }
-        if (args.available !== undefined) {
-          query += ` AND ci.IsAvailable = ${args.available ? 1 : 0}`;
-        }
+    await db.connect();
 
-        query += ' ORDER BY ci.CreatedAt DESC';
+    const unmask = args.unmask !== undefined ? validateBoolean(args.unmask, 'unmask') : false;
+    if (unmask && !allowUnmask) {
+      throw new Error('Unmasking is disabled. Set DB_ALLOW_UNMASK=true to enable it.');
+    }
+    const bypassCache = args.bypassCache !== undefined ? validateBoolean(args.bypassCache, 'bypassCache') : false;
 
-        const result = await pool.request().query(query);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result.recordset, null, 2),
-            },
-          ],
-        };
+    /**
+     * Cache (or take from the cache), redact, record the row count and format a tool payload.
+     * Cache metadata goes into the envelope, or into a separate content item for plain rows.
+     */
+    const respond = (payload, query, cacheInfo) => {
+      if (!cacheInfo && cache.isCacheable(name)) {
+        cacheInfo = cache.set(name, args, { payload, query }, bypassCache ? 'bypass' : 'miss');
+      }
+      audit.annotate({ rowCount: countRows(payload), cache: cacheInfo?.status });
+
+      let body = redactPayload(payload, redactionPolicy, { tool: name, query, unmask });
+      const isEnvelope = !Array.isArray(body) && (Array.isArray(body.items) || Array.isArray(body.rows));
+      if (cacheInfo && isEnvelope) {
+        body = { ...body, cache: cacheInfo };
+      }
+      const result = formatToolResult(body, args);
+      if (cacheInfo && !isEnvelope) {
+        result.content.push({ type: 'text', text: JSON.stringify({ cache: cacheInfo }, null, 2) });
+      }
+      return result;
+    };
+
+    if (cache.isCacheable(name) && !bypassCache) {
+      const cached = cache.get(name, args);
+      if (cached) {
+        return respond(cached.value.payload, cached.value.query, cached.info);
+      }
+    }
+
+    switch (name) {
+      case 'query_coffee_items': {
+        const { query, paging, filters } = buildCoffeeItemsQuery(args);
+        const page = await executePage(query, paging, COFFEE_ITEM_SORT, filters);
+        return respond(page);
       }
 
       case 'query_orders': {
-        const limit = args.limit || 50;
-        let query = `
-          SELECT TOP ${limit}
-            o.Id, o.Status, o.TotalPrice, o.OrderDate,
-            c.Id as CustomerId, c.Name as CustomerName, c.Email as CustomerEmail,
-            b.Id as BaristaId, b.Name as BaristaName
-          FROM Orders o
-          LEFT JOIN Customers c ON o.CustomerId = c.Id
-          LEFT JOIN Baristas b ON o.BaristaId = b.Id
-          WHERE 1=1
-        `;
+        const { query, paging, filters } = buildOrdersQuery(args);
 
-        if (args.status) {
-          query += ` AND o.Status = '${args.status}'`;
-        }
-        if (args.customerId) {
-          query += ` AND o.CustomerId = '${args.customerId}'`;
-        }
+        const includeItems = args.includeItems !== undefined ? validateBoolean(args.includeItems, 'includeItems') : true;
+        const startedAt = performance.now();
+        const page = await executePage(query, paging, ORDER_SORT, filters);
+        const ordersLoadedAt = performance.now();
+
+        // Fetch the items for the whole page in one set-based query and stitch them by order id
+        let roundTrips = 2;
+        if (includeItems && page.items.length > 0) {
+          const itemsQuery = new QueryBuilder({
+            select: `
+              oi.OrderId, oi.Id, oi.Quantity, oi.UnitPrice, oi.Subtotal,
+              ci.Name as CoffeeItemName`,
+            from: `OrderItems oi
+              INNER JOIN CoffeeItems ci ON oi.CoffeeItemId = ci.Id`,
+          })
+            .whereIn('oi.OrderId', Types.UniqueIdentifier, page.items.map((order) => order.Id))
+            .orderBy('oi.OrderId, ci.Name');
+          const items = await itemsQuery.execute(db);
+          roundTrips++;
 
-        query += ' ORDER BY o.OrderDate DESC';
-
-        const result = await pool.request().query(query);
-
-        // Get order items for each order
-        for (const order of result.recordset) {
-          const itemsQuery = `
-            SELECT 
-              oi.Id, oi.Quantity, oi.Price,
-              ci.Name as CoffeeItemName
-            FROM OrderItems oi
-            INNER JOIN CoffeeItems ci ON oi.CoffeeItemId = ci.Id
-            WHERE oi.OrderId = '${order.Id}'
-          `;
-          const items = await pool.request().query(itemsQuery);
-          order.Items = items.recordset;
+          const itemsByOrder = new Map(page.items.map((order) => [order.Id.toUpperCase(), []]));
+          for (const { OrderId, ...item } of items.recordset) {
+            itemsByOrder.get(OrderId.toUpperCase())?.push(item);
+          }
+          for (const order of page.items) {
+            order.Items = itemsByOrder.get(order.Id.toUpperCase());
+          }
         }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result.recordset, null, 2),
-            },
-          ],
+        const finishedAt = performance.now();
+        page.timing = {
+          includeItems,
+          ordersMs: Math.round(ordersLoadedAt - startedAt),
+          itemsMs: includeItems ? Math.round(finishedAt - ordersLoadedAt) : 0,
+          totalMs: Math.round(finishedAt - startedAt),
+          roundTrips,
         };
+
+        return respond(page);
       }
 
       case 'query_customers': {
-        let query = `
-          SELECT 
-            c.Id, c.Name, c.Email, c.PhoneNumber,
-            COUNT(o.Id) as TotalOrders,
-            SUM(o.TotalPrice) as TotalSpent
-          FROM Customers c
-          LEFT JOIN Orders o ON c.Id = o.CustomerId
-          WHERE 1=1
-        `;
+        const { query, paging, filters } = buildCustomersQuery(args);
+        const page = await executePage(query, paging, CUSTOMER_SORT, filters);
+        return respond(page);
+      }
 
-        if (args.email) {
-          query += ` AND c.Email LIKE '%${args.email}%'`;
-        }
+      case 'query_categories': {
+        const { query, paging, filters } = buildCategoriesQuery(args);
+        const page = await executePage(query, paging, CATEGORY_SORT, filters);
+        return respond(page);
+      }
 
-        query += ' GROUP BY c.Id, c.Name, c.Email, c.PhoneNumber';
+      case 'execute_custom_query': {
+        const validated = validateReadOnlyQuery(args.query, { allowedTables: CUSTOM_QUERY_TABLES });
+        // Planned before the query runs, as it rejects queries that hide a redacted column
+        const redaction = planQueryRedaction(redactionPolicy, validated, { tool: name, unmask });
+        const result = await runReadOnlyQuery(validated.text);
 
-        const result = await pool.request().query(query);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result.recordset, null, 2),
-            },
-          ],
-        };
+        return respond({ tables: validated.tables, ...result }, redaction);
       }
 
-      case 'query_categories': {
-        const query = `
-          SELECT 
-            c.Id, c.Name, c.Description,
-            COUNT(ci.Id) as ItemCount
-          FROM Categories c
-          LEFT JOIN CoffeeItems ci ON c.Id = ci.CategoryId
-          GROUP BY c.Id, c.Name, c.Description
-          ORDER BY c.Name
-        `;
-
-        const result = await pool.request().query(query);
+      case 'explain_query': {
+        const explanation = await explainQuery(args);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(result.recordset, null, 2),
+              text: JSON.stringify(explanation, null, 2),
             },
           ],
         };
       }
 
-      case 'execute_custom_query': {
-        const query = args.query.trim().toUpperCase();
+      case 'list_tables': {
+        const tables = await listTables();
+        return respond(tables);
+      }
 
-        // Security: Only allow SELECT queries
-        if (!query.startsWith('SELECT')) {
-          throw new Error('Only SELECT queries are allowed');
-        }
-        if (query.includes('INSERT') || query.includes('UPDATE') || query.includes('DELETE') || query.includes('DROP')) {
-          throw new Error('Only read operations are allowed');
-        }
+      case 'describe_table': {
+        const description = await describeTable(args.tableName);
+        return respond(description);
+      }
 
-        const result = await pool.request().query(args.query);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result.recordset, null, 2),
-            },
-          ],
-        };
+      case 'get_relationships': {
+        const relationships = await getRelationships(args.tableName);
+        return respond(relationships);
       }
 
       case 'get_database_stats': {
@@ -314,21 +1471,47 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             (SELECT COUNT(*) FROM Orders WHERE Status = 'Pending') as PendingOrders
         `;
 
-        const result = await pool.request().query(statsQuery);
+        const result = await db.query(statsQuery);
+        return respond(result.recordset[0]);
+      }
+
+      case 'update_order_status':
+      case 'assign_barista':
+      case 'set_item_availability':
+      case 'change_item_price': {
+        if (!allowWrites) {
+          throw new Error('Write tools are disabled. Set DB_ALLOW_WRITES=true to enable them.');
+        }
+        const dryRun = args.dryRun !== undefined ? validateBoolean(args.dryRun, 'dryRun') : false;
+        const outcome = await WRITE_TOOLS[name](args, dryRun);
+        audit.annotate({ rowCount: outcome.changed && !dryRun ? 1 : 0 });
+        if (outcome.changed && !dryRun) {
+          cache.clear();
+        }
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(result.recordset[0], null, 2),
+              text: JSON.stringify({ tool: name, ...outcome }, null, 2),
             },
           ],
         };
       }
 
+      case 'revenue_by_period':
+      case 'top_selling_items':
+      case 'barista_performance':
+      case 'order_status_funnel':
+      case 'customer_cohorts': {
+        const table = await ANALYTICS_TOOLS[name](args);
+        return respond(table);
+      }
+
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
+    audit.annotate({ error: error.message });
     return {
       content: [
         {
@@ -339,6 +1522,73 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
+}));
+
+// Expose the schema as MCP resources
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  await db.connect();
+  const tables = await listTables();
+  return {
+    resources: [
+      {
+        uri: 'schema://tables',
+        name: 'Database tables',
+        description: 'All tables with row counts',
+        mimeType: 'application/json',
+      },
+      {
+        uri: 'schema://relationships',
+        name: 'Table relationships',
+        description: 'Foreign key relationships between tables',
+        mimeType: 'application/json',
+      },
+      ...tables.map((table) => ({
+        uri: `schema://tables/${table.TableName}`,
+        name: `${table.TableName} table`,
+        description: `Columns, keys and indexes of ${table.TableName}`,
+        mimeType: 'application/json',
+      })),
+    ],
+  };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: 'schema://tables/{tableName}',
+        name: 'Table schema',
+        description: 'Columns, keys and indexes of a table',
+        mimeType: 'application/json',
+      },
+    ],
+  };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  await db.connect();
+
+  let contents;
+  if (uri === 'schema://tables') {
+    contents = await listTables();
+  } else if (uri === 'schema://relationships') {
+    contents = await getRelationships();
+  } else if (uri.startsWith('schema://tables/')) {
+    contents = await describeTable(decodeURIComponent(uri.slice('schema://tables/'.length)));
+  } else {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(contents, null, 2),
+      },
+    ],
+  };
 });
 
 // Start server
@@ -0,0 +1,288 @@
+/**
+ * Audit log and telemetry for the MCP servers
+ * Records every tool call as a JSON line (arguments with secrets scrubbed, duration, outcome, rows or HTTP status)
+ * in a size-rotated local file, and reads it back for get_audit_log
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const auditEnabled = process.env.AUDIT_LOG_ENABLED !== 'false';
+const auditDir =
+  process.env.AUDIT_LOG_DIR || fileURLToPath(new URL('../../logs', import.meta.url));
+const auditMaxBytes = parseInt(process.env.AUDIT_LOG_MAX_BYTES || '5242880');
+const auditMaxFiles = parseInt(process.env.AUDIT_LOG_MAX_FILES || '5');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Argument and header names whose values are never written to the log
+const SECRET_KEY_PATTERN = /^pass$|passw(or)?d|pwd|secret|token|authorization|api[-_]?key|cookie|jwt|credential/i;
+const JWT_PATTERN = /eyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/-]+=*/gi;
+
+// Scrub secrets from a value before it is logged: secret-looking keys, JWTs and bearer tokens anywhere
+export function scrubSecrets(value, key = '') {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && SECRET_KEY_PATTERN.test(key)) {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string') {
+    return value.replace(JWT_PATTERN, '[REDACTED_JWT]').replace(BEARER_PATTERN, 'Bearer [REDACTED]');
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => scrubSecrets(item));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, scrubSecrets(item, name)]));
+  }
+  return value;
+}
+
+// Number of rows in a tool payload (array, envelope with items/rows, or single row)
+export function countRows(payload) {
+  if (Array.isArray(payload)) {
+    return payload.length;
+  }
+  for (const rowsKey of ['items', 'rows']) {
+    if (Array.isArray(payload?.[rowsKey])) {
+      return payload[rowsKey].length;
+    }
+  }
+  return payload ? 1 : 0;
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * fraction) - 1)];
+}
+
+// Per-tool call counts, error counts and latency for a set of entries
+function summarize(entries) {
+  const byTool = new Map();
+  for (const entry of entries) {
+    if (!byTool.has(entry.tool)) {
+      byTool.set(entry.tool, { tool: entry.tool, calls: 0, errors: 0, durations: [] });
+    }
+    const stats = byTool.get(entry.tool);
+    stats.calls++;
+    if (entry.outcome === 'error') {
+      stats.errors++;
+    }
+    stats.durations.push(entry.durationMs);
+  }
+  return [...byTool.values()].map(({ durations, ...stats }) => {
+    durations.sort((a, b) => a - b);
+    return {
+      ...stats,
+      avgMs: Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length),
+      p95Ms: percentile(durations, 0.95),
+      maxMs: durations[durations.length - 1],
+    };
+  });
+}
+
+/**
+ * Create the audit log for one server.
+ * Files live in AUDIT_LOG_DIR as <serverName>-audit.jsonl, rotated to .1.jsonl ... .N.jsonl at AUDIT_LOG_MAX_BYTES.
+ */
+export function createAuditLog(serverName) {
+  const storage = new AsyncLocalStorage();
+  const filePath = path.join(auditDir, `${serverName}-audit.jsonl`);
+  const rotatedPath = (index) => path.join(auditDir, `${serverName}-audit.${index}.jsonl`);
+  let currentSize = null;
+  let writeFailed = false;
+
+  function rotate() {
+    fs.rmSync(rotatedPath(auditMaxFiles), { force: true });
+    for (let index = auditMaxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotatedPath(index))) {
+        fs.renameSync(rotatedPath(index), rotatedPath(index + 1));
+      }
+    }
+    fs.renameSync(filePath, rotatedPath(1));
+    currentSize = 0;
+  }
+
+  function write(entry) {
+    if (!auditEnabled) {
+      return;
+    }
+    try {
+      const line = `${JSON.stringify(entry)}\n`;
+      if (currentSize === null) {
+        fs.mkdirSync(auditDir, { recursive: true });
+        currentSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      }
+      if (currentSize > 0 && currentSize + Buffer.byteLength(line) > auditMaxBytes) {
+        rotate();
+      }
+      fs.appendFileSync(filePath, line);
+      currentSize += Buffer.byteLength(line);
+    } catch (error) {
+      // Auditing must never break a tool call; report the first failure only
+      if (!writeFailed) {
+        writeFailed = true;
+        console.error(`Audit log write failed (${filePath}):`, error.message);
+      }
+    }
+  }
+
+  // Entries from the current file and its rotations, newest first
+  function readEntries() {
+    const files = [filePath];
+    for (let index = 1; index <= auditMaxFiles; index++) {
+      files.push(rotatedPath(index));
+    }
+    const entries = [];
+    for (const file of files) {
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // Skip a line cut short by a crash
+        }
+      }
+    }
+    return entries;
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Wrap a CallTool handler: handler(request, telemetry) runs with a telemetry object that
+     * annotate() fills in; the call is logged once the handler returns.
+     */
+    wrapToolHandler(handler) {
+      return async (request, extra) => {
+        const { name, arguments: args = {} } = request.params;
+        const telemetry = {};
+        const startedAt = performance.now();
+        let result;
+        try {
+          result = await storage.run(telemetry, () => handler(request, extra));
+          return result;
+        } finally {
+          write({
+            timestamp: new Date().toISOString(),
+            server: serverName,
+            tool: name,
+            arguments: scrubSecrets(args),
+            outcome: !result || result.isError ? 'error' : 'success',
+            durationMs: Math.round(performance.now() - startedAt),
+            ...scrubSecrets(telemetry),
+          });
+        }
+      };
+    },
+
+    // Attach telemetry (rowCount, httpStatus, error, ...) to the tool call in progress
+    annotate(fields) {
+      const telemetry = storage.getStore();
+      if (telemetry) {
+        Object.assign(telemetry, fields);
+      }
+    },
+
+    // Count an HTTP request made during the tool call in progress
+    recordHttp({ method, url, status, durationMs }) {
+      const telemetry = storage.getStore();
+      if (!telemetry) {
+        return;
+      }
+      telemetry.httpRequests = (telemetry.httpRequests || 0) + 1;
+      telemetry.httpStatus = status ?? null;
+      telemetry.httpMethod = method?.toUpperCase();
+      telemetry.endpoint = url;
+      telemetry.httpMs = (telemetry.httpMs || 0) + durationMs;
+      if (status === undefined || status === null || status >= 400) {
+        telemetry.httpErrors = (telemetry.httpErrors || 0) + 1;
+      }
+    },
+
+    /**
+     * Query recent entries, newest first.
+     * filters: { tool, since, until, outcome, limit } - since/until are ISO date-times
+     */
+    query({ tool, since, until, outcome, limit = DEFAULT_LIMIT } = {}) {
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+      }
+      const parseTime = (value, field) => {
+        const time = Date.parse(value);
+        if (typeof value !== 'string' || Number.isNaN(time)) {
+          throw new Error(`${field} must be an ISO date-time`);
+        }
+        return time;
+      };
+      const sinceTime = since !== undefined ? parseTime(since, 'since') : null;
+      const untilTime = until !== undefined ? parseTime(until, 'until') : null;
+      if (outcome !== undefined && !['success', 'error'].includes(outcome)) {
+        throw new Error('outcome must be one of: success, error');
+      }
+
+      const matching = readEntries().filter((entry) => {
+        const time = Date.parse(entry.timestamp);
+        return (
+          (tool === undefined || entry.tool === tool) &&
+          (outcome === undefined || entry.outcome === outcome) &&
+          (sinceTime === null || time >= sinceTime) &&
+          (untilTime === null || time < untilTime)
+        );
+      });
+      const entries = matching.slice(0, limit);
+
+      return {
+        enabled: auditEnabled,
+        file: filePath,
+        totalMatching: matching.length,
+        returned: entries.length,
+        summary: summarize(matching),
+        entries,
+      };
+    },
+  };
+}
+
+// Shared tool definition for get_audit_log
+export function auditLogToolDefinition() {
+  return {
+    name: 'get_audit_log',
+    description:
+      'Show recent tool calls from this server\'s audit log (arguments with secrets scrubbed, duration, outcome, rows or HTTP status) with per-tool telemetry',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: {
+          type: 'string',
+          description: 'Optional: Only calls of this tool',
+        },
+        since: {
+          type: 'string',
+          description: 'Optional: Only calls at or after this ISO date-time',
+        },
+        until: {
+          type: 'string',
+          description: 'Optional: Only calls before this ISO date-time',
+        },
+        outcome: {
+          type: 'string',
+          enum: ['success', 'error'],
+          description: 'Optional: Only successful or only failed calls',
+        },
+        limit: {
+          type: 'integer',
+          description: `Optional: Maximum entries to return, newest first (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})`,
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Authorization matrix for api_auth_matrix
+ * Calls every endpoint as every role and compares the status codes with what the endpoint's [Authorize]
+ * rules should produce, as a grid of expected vs actual statuses with the violations marked
+ */
+
+import { METHODS } from './scenario-runner.js';
+
+export const ROLES = ['anonymous', 'Customer', 'Barista', 'Admin'];
+
+// The API's own rules; POSTs send an empty body, so allowed roles get a validation error and nothing is created
+export const DEFAULT_ENDPOINTS = [
+  { method: 'GET', endpoint: '/api/coffeeitems', allow: 'anonymous' },
+  { method: 'POST', endpoint: '/api/coffeeitems', allow: ['Admin'] },
+  { method: 'GET', endpoint: '/api/orders', allow: 'authenticated' },
+  { method: 'POST', endpoint: '/api/orders', allow: 'authenticated' },
+  { method: 'GET', endpoint: '/api/auth/me', allow: 'authenticated' },
+];
+
+// Any status except 401 and 403: the request got past authorization, even if it then failed validation
+const ALLOWED = 'allowed';
+
+export function normalizeRole(role) {
+  const match = ROLES.find((candidate) => candidate.toLowerCase() === String(role).toLowerCase());
+  if (!match) {
+    throw new Error(`Unknown role "${role}" (roles: ${ROLES.join(', ')})`);
+  }
+  return match;
+}
+
+function checkExpectation(expected, where) {
+  const values = [expected].flat();
+  const valid = values.every(
+    (value) => Number.isInteger(value) || value === ALLOWED || /^[1-5]xx$/i.test(String(value))
+  );
+  if (!valid || values.length === 0) {
+    throw new Error(`${where} must be a status code, a list of them, "2xx"-style classes or "${ALLOWED}"`);
+  }
+  return expected;
+}
+
+/**
+ * Validate the endpoint list: [{ method, endpoint, body, allow, expected }]
+ * allow is "anonymous" (everyone), "authenticated" (any signed-in user) or a list of roles;
+ * expected maps a role to the status(es) it should get and overrides what allow implies.
+ */
+export function normalizeEndpoints(endpoints) {
+  if (!Array.isArray(endpoints) || endpoints.length === 0) {
+    throw new Error('endpoints must be a non-empty list');
+  }
+  return endpoints.map((entry, index) => {
+    const where = `endpoints[${index}]`;
+    const method = String(entry?.method || 'GET').toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw new Error(`${where}.method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (typeof entry.endpoint !== 'string' || !entry.endpoint.startsWith('/')) {
+      throw new Error(`${where}.endpoint must be a path starting with /`);
+    }
+    const allow = entry.allow ?? 'authenticated';
+    if (!['anonymous', 'authenticated'].includes(allow) && !Array.isArray(allow)) {
+      throw new Error(`${where}.allow must be "anonymous", "authenticated" or a list of roles`);
+    }
+    const expected = {};
+    for (const [role, value] of Object.entries(entry.expected || {})) {
+      expected[normalizeRole(role)] = checkExpectation(value, `${where}.expected.${role}`);
+    }
+    return {
+      method,
+      endpoint: entry.endpoint,
+      body: entry.body ?? (['POST', 'PUT', 'PATCH'].includes(method) ? {} : undefined),
+      allow: Array.isArray(allow) ? allow.map(normalizeRole) : allow,
+      expected,
+    };
+  });
+}
+
+// What a role should get: an explicit expectation, else allowed / 401 for anonymous / 403 for other roles
+export function expectedFor(endpoint, role) {
+  if (endpoint.expected[role] !== undefined) {
+    return endpoint.expected[role];
+  }
+  if (endpoint.allow === 'anonymous') {
+    return ALLOWED;
+  }
+  if (role === 'anonymous') {
+    return 401;
+  }
+  if (endpoint.allow === 'authenticated' || endpoint.allow.includes(role)) {
+    return ALLOWED;
+  }
+  return 403;
+}
+
+export function statusMatches(status, expected) {
+  return [expected].flat().some((value) => {
+    if (value === ALLOWED) {
+      return status !== undefined && status !== 401 && status !== 403;
+    }
+    if (typeof value === 'string') {
+      return String(status)[0] === value[0];
+    }
+    return status === value;
+  });
+}
+
+/**
+ * Call every endpoint as every role. send(endpoint, role) resolves to { status } (undefined when no response
+ * came back); roles listed in skipped (role -> reason) are not called.
+ */
+export async function runAuthMatrix(endpoints, roles, { send, skipped = {} }) {
+  const rows = [];
+  const violations = [];
+  let checked = 0;
+  let skippedCells = 0;
+
+  for (const endpoint of endpoints) {
+    const row = { endpoint: `${endpoint.method} ${endpoint.endpoint}`, cells: {} };
+    for (const role of roles) {
+      const expected = expectedFor(endpoint, role);
+      if (skipped[role]) {
+        row.cells[role] = { expected, skipped: true };
+        skippedCells++;
+        continue;
+      }
+      const { status, error } = await send(endpoint, role);
+      const ok = statusMatches(status, expected);
+      checked++;
+      row.cells[role] = { expected, actual: status ?? null, ok, ...(error ? { error } : {}) };
+      if (!ok) {
+        violations.push({ endpoint: row.endpoint, role, expected, actual: status ?? null, ...(error ? { error } : {}) });
+      }
+    }
+    rows.push(row);
+  }
+
+  return {
+    passed: violations.length === 0,
+    summary: { checked, violations: violations.length, skipped: skippedCells },
+    rows,
+    violations,
+  };
+}
+
+const describeExpected = (expected) => [expected].flat().join('/');
+
+// Markdown grid: "actual (expected)" per cell, violations in bold with a cross
+export function renderGrid(roles, rows) {
+  const lines = [
+    `| Endpoint | ${roles.join(' | ')} |`,
+    `|---|${roles.map(() => '---').join('|')}|`,
+  ];
+  for (const row of rows) {
+    const cells = roles.map((role) => {
+      const cell = row.cells[role];
+      if (cell.skipped) {
+        return `skipped (${describeExpected(cell.expected)})`;
+      }
+      const actual = cell.actual ?? 'no response';
+      return cell.ok
+        ? `${actual} (${describeExpected(cell.expected)})`
+        : `**${actual}** ❌ (expected ${describeExpected(cell.expected)})`;
+    });
+    lines.push(`| ${row.endpoint} | ${cells.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
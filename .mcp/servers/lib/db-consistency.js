@@ -0,0 +1,237 @@
+/**
+ * API-versus-database consistency checks
+ * Reads the Orders, OrderItems and CoffeeItems rows behind an API response straight from the database and
+ * compares them field by field, so serialization and persistence bugs show up as drift
+ */
+
+import { QueryBuilder, Types } from './query-builder.js';
+
+// API fields and the columns they come from, with how the two are compared
+const ORDER_COLUMNS = {
+  id: ['Id', 'guid'],
+  customerId: ['CustomerId', 'guid'],
+  baristaId: ['BaristaId', 'guid'],
+  orderDate: ['OrderDate', 'timestamp'],
+  totalPrice: ['TotalPrice', 'money'],
+  status: ['Status', 'text'],
+  notes: ['Notes', 'text'],
+  createdAt: ['CreatedAt', 'timestamp'],
+  updatedAt: ['UpdatedAt', 'timestamp'],
+};
+
+const ORDER_ITEM_COLUMNS = {
+  id: ['Id', 'guid'],
+  coffeeItemId: ['CoffeeItemId', 'guid'],
+  quantity: ['Quantity', 'number'],
+  unitPrice: ['UnitPrice', 'money'],
+  subtotal: ['Subtotal', 'money'],
+  specialInstructions: ['SpecialInstructions', 'text'],
+  coffeeItemName: ['CoffeeItemName', 'text', 'CoffeeItems.Name'],
+  coffeeItemDescription: ['CoffeeItemDescription', 'text', 'CoffeeItems.Description'],
+};
+
+const COFFEE_ITEM_COLUMNS = {
+  id: ['Id', 'guid'],
+  name: ['Name', 'text'],
+  description: ['Description', 'text'],
+  price: ['Price', 'money'],
+  isAvailable: ['IsAvailable', 'boolean'],
+  imageUrl: ['ImageUrl', 'text'],
+  categoryId: ['CategoryId', 'guid'],
+  createdAt: ['CreatedAt', 'timestamp'],
+  updatedAt: ['UpdatedAt', 'timestamp'],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The data of an ApiResponse envelope, or the value itself
+export function unwrapApiData(body) {
+  return isPlainObject(body) && typeof body.success === 'boolean' && 'data' in body ? body.data : body;
+}
+
+// Milliseconds since the epoch; .NET writes DateTime values of unspecified kind without an offset, meaning UTC
+function toMillis(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  const match = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2})(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/i.exec(String(value));
+  if (!match) {
+    return NaN;
+  }
+  const [, dateTime, fraction = '', offset = 'Z'] = match;
+  return Date.parse(`${dateTime.replace(' ', 'T')}${fraction.slice(0, 4)}${offset}`);
+}
+
+function sameValue(kind, apiValue, dbValue) {
+  if (apiValue === null || apiValue === undefined || dbValue === null || dbValue === undefined) {
+    return (apiValue ?? null) === (dbValue ?? null);
+  }
+  switch (kind) {
+    case 'guid':
+      return String(apiValue).toLowerCase() === String(dbValue).toLowerCase();
+    case 'money':
+      return Math.abs(Number(apiValue) - Number(dbValue)) < 0.005;
+    // DATETIME2 keeps 100 ns ticks, JavaScript dates milliseconds
+    case 'timestamp':
+      return Math.abs(toMillis(apiValue) - toMillis(dbValue)) <= 1;
+    case 'boolean':
+      return apiValue === Boolean(dbValue);
+    default:
+      return apiValue === dbValue;
+  }
+}
+
+const dbJson = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+/**
+ * Compare the fields of one API object that have a column. Returns the names of the fields compared and of
+ * those without a column; differences are pushed onto drift.
+ */
+function compareFields(apiObject, row, columns, table, path, drift) {
+  const compared = [];
+  const notCompared = [];
+  for (const [field, apiValue] of Object.entries(apiObject)) {
+    const mapping = columns[field];
+    if (!mapping || Array.isArray(apiValue)) {
+      notCompared.push(field);
+      continue;
+    }
+    const [column, kind, source = `${table}.${column}`] = mapping;
+    compared.push(field);
+    if (!sameValue(kind, apiValue, row[column])) {
+      drift.push({
+        path: `${path}.${field}`,
+        column: source,
+        kind: 'value',
+        api: apiValue,
+        database: dbJson(row[column]),
+      });
+    }
+  }
+  return { compared, notCompared };
+}
+
+async function loadOrderRows(db, orderId) {
+  const orders = await new QueryBuilder({
+    select: 'o.Id, o.CustomerId, o.BaristaId, o.OrderDate, o.TotalPrice, o.Status, o.Notes, o.CreatedAt, o.UpdatedAt',
+    from: 'Orders o',
+  })
+    .whereEquals('o.Id', Types.UniqueIdentifier, orderId)
+    .execute(db);
+  const items = await new QueryBuilder({
+    select: `
+      oi.Id, oi.CoffeeItemId, oi.Quantity, oi.UnitPrice, oi.Subtotal, oi.SpecialInstructions,
+      ci.Name AS CoffeeItemName, ci.Description AS CoffeeItemDescription`,
+    from: `OrderItems oi
+      INNER JOIN CoffeeItems ci ON oi.CoffeeItemId = ci.Id`,
+  })
+    .whereEquals('oi.OrderId', Types.UniqueIdentifier, orderId)
+    .orderBy('oi.CreatedAt, oi.Id')
+    .execute(db);
+  return { order: orders.recordset[0], items: items.recordset };
+}
+
+/**
+ * Compare an order from the API (a CreateOrderResponse or GetOrdersResponse) with its Orders and OrderItems rows:
+ * every field with a column, the number of items, items missing on either side (matched by id, or by coffee
+ * item when the API gives no item ids), and that Orders.TotalPrice is the sum of the stored subtotals.
+ * Returns { entity, id, consistent, compared, notCompared, drift: [{ path, column, kind, api, database }] } where
+ * kind is value, count, missing row (in the API response only), extra row (in the database only) or total.
+ */
+export async function checkOrderConsistency(db, apiOrder) {
+  if (!isPlainObject(apiOrder) || !apiOrder.id) {
+    throw new Error('The API order has no id');
+  }
+  const { order, items } = await loadOrderRows(db, apiOrder.id);
+  const drift = [];
+  if (!order) {
+    drift.push({ path: '$', column: 'Orders.Id', kind: 'missing row', api: apiOrder.id, database: null });
+    return { entity: 'order', id: apiOrder.id, consistent: false, drift };
+  }
+
+  const orderFields = compareFields(apiOrder, order, ORDER_COLUMNS, 'Orders', '$', drift);
+  let compared = orderFields.compared.length;
+  const notCompared = new Set(orderFields.notCompared.filter((field) => field !== 'orderItems'));
+
+  const apiItems = Array.isArray(apiOrder.orderItems) ? apiOrder.orderItems : [];
+  if (apiItems.length !== items.length) {
+    drift.push({
+      path: '$.orderItems',
+      column: 'OrderItems',
+      kind: 'count',
+      api: apiItems.length,
+      database: items.length,
+    });
+  }
+  const unmatched = [...items];
+  apiItems.forEach((apiItem, index) => {
+    const path = `$.orderItems[${index}]`;
+    const position = unmatched.findIndex((row) =>
+      apiItem.id ? sameValue('guid', apiItem.id, row.Id) : sameValue('guid', apiItem.coffeeItemId, row.CoffeeItemId)
+    );
+    if (position === -1) {
+      const column = apiItem.id ? 'OrderItems.Id' : 'OrderItems.CoffeeItemId';
+      drift.push({ path, column, kind: 'missing row', api: apiItem.id ?? apiItem.coffeeItemId, database: null });
+      return;
+    }
+    const [row] = unmatched.splice(position, 1);
+    const itemFields = compareFields(apiItem, row, ORDER_ITEM_COLUMNS, 'OrderItems', path, drift);
+    compared += itemFields.compared.length;
+    itemFields.notCompared.forEach((field) => notCompared.add(`orderItems[].${field}`));
+  });
+  for (const row of unmatched) {
+    drift.push({ path: '$.orderItems', column: 'OrderItems.Id', kind: 'extra row', api: null, database: row.Id });
+  }
+
+  // Within the database, the order total must be what its stored items add up to
+  const storedTotal = Math.round(items.reduce((sum, row) => sum + Number(row.Subtotal), 0) * 100) / 100;
+  if (!sameValue('money', storedTotal, order.TotalPrice)) {
+    drift.push({
+      path: '$.totalPrice',
+      column: 'Orders.TotalPrice',
+      kind: 'total',
+      expected: storedTotal,
+      database: order.TotalPrice,
+      message: 'Orders.TotalPrice is not the sum of OrderItems.Subtotal',
+    });
+  }
+
+  return {
+    entity: 'order',
+    id: apiOrder.id,
+    consistent: drift.length === 0,
+    compared,
+    notCompared: [...notCompared],
+    drift,
+  };
+}
+
+// Compare a coffee item from the API with its CoffeeItems row
+export async function checkCoffeeItemConsistency(db, apiItem) {
+  if (!isPlainObject(apiItem) || !apiItem.id) {
+    throw new Error('The API coffee item has no id');
+  }
+  const result = await new QueryBuilder({
+    select: `
+      ci.Id, ci.Name, ci.Description, ci.Price, ci.IsAvailable, ci.ImageUrl, ci.CategoryId,
+      ci.CreatedAt, ci.UpdatedAt`,
+    from: 'CoffeeItems ci',
+  })
+    .whereEquals('ci.Id', Types.UniqueIdentifier, apiItem.id)
+    .execute(db);
+  const row = result.recordset[0];
+  const drift = [];
+  if (!row) {
+    drift.push({ path: '$', column: 'CoffeeItems.Id', kind: 'missing row', api: apiItem.id, database: null });
+    return { entity: 'coffeeItem', id: apiItem.id, consistent: false, drift };
+  }
+  const { compared, notCompared } = compareFields(apiItem, row, COFFEE_ITEM_COLUMNS, 'CoffeeItems', '$', drift);
+  return {
+    entity: 'coffeeItem',
+    id: apiItem.id,
+    consistent: drift.length === 0,
+    compared: compared.length,
+    notCompared,
+    drift,
+  };
+}
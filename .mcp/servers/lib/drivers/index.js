@@ -0,0 +1,48 @@
+/**
+ * Database driver selection
+ * DB_DRIVER picks the backend: mssql (default, SQL Server) or sqlite (local sql.js database)
+ */
+
+import { createMssqlDriver } from './mssql-driver.js';
+import { createSqliteDriver } from './sqlite-driver.js';
+
+export const DRIVERS = ['mssql', 'sqlite'];
+
+export function createDriver(name, { mssql, sqlite }) {
+  switch (name) {
+    case 'mssql':
+      return createMssqlDriver(mssql);
+    case 'sqlite':
+      return createSqliteDriver(sqlite);
+    default:
+      throw new Error(`Unknown DB_DRIVER "${name}" (expected one of: ${DRIVERS.join(', ')})`);
+  }
+}
+
+// SQL Server connection settings from DB_HOST, DB_NAME, DB_USER and DB_PASSWORD
+export function mssqlConfigFromEnv(env = process.env) {
+  return {
+    server: env.DB_HOST || 'localhost',
+    database: env.DB_NAME || 'CoffeeRestaurantDb',
+    user: env.DB_USER || 'sa',
+    password: env.DB_PASSWORD || 'YourStrong@Passw0rd',
+    options: {
+      encrypt: true,
+      trustServerCertificate: true,
+      enableArithAbort: true,
+    },
+    pool: {
+      max: 10,
+      min: 0,
+      idleTimeoutMillis: 30000,
+    },
+  };
+}
+
+// The driver DB_DRIVER selects, configured from the environment (shared by the database and API tester servers)
+export function createDriverFromEnv(env = process.env) {
+  return createDriver(env.DB_DRIVER || 'mssql', {
+    mssql: mssqlConfigFromEnv(env),
+    sqlite: { filePath: env.DB_SQLITE_PATH || null },
+  });
+}
@@ -0,0 +1,254 @@
+/**
+ * SQL Server database driver (mssql)
+ * Binds driver-neutral parameter types and renders the T-SQL dialect
+ */
+
+import sql from 'mssql';
+
+const dialect = {
+  name: 'mssql',
+  paging: (offset, pageSize) => `OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY`,
+  now: 'SYSUTCDATETIME()',
+  updateLock: 'WITH (UPDLOCK, ROWLOCK)',
+  periodStart: {
+    day: (column) => `CAST(${column} AS date)`,
+    // Day 0 (1900-01-01) is a Monday, so this yields the Monday starting the week
+    week: (column) => `DATEADD(day, -(DATEDIFF(day, 0, ${column}) % 7), CAST(${column} AS date))`,
+    month: (column) => `DATEFROMPARTS(YEAR(${column}), MONTH(${column}), 1)`,
+  },
+  minutesBetween: (start, end) => `DATEDIFF(second, ${start}, ${end}) / 60.0`,
+};
+
+function toSqlType(type) {
+  switch (type.name) {
+    case 'NVarChar':
+      return sql.NVarChar(type.length ?? sql.MAX);
+    case 'Decimal':
+      return sql.Decimal(type.precision, type.scale);
+    default:
+      return sql[type.name];
+  }
+}
+
+function bind(request, params) {
+  for (const param of params) {
+    request.input(param.name, toSqlType(param.type), param.value);
+  }
+  return request;
+}
+
+export function createMssqlDriver(config) {
+  let pool = null;
+
+  return {
+    name: 'mssql',
+    dialect,
+
+    async connect() {
+      if (!pool) {
+        pool = await sql.connect(config);
+      }
+    },
+
+    query(text, params = []) {
+      return bind(pool.request(), params).query(text);
+    },
+
+    async beginTransaction() {
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin(sql.ISOLATION_LEVEL.READ_COMMITTED);
+      return {
+        dialect,
+        query: (text, params = []) => bind(new sql.Request(transaction), params).query(text),
+        commit: () => transaction.commit(),
+        rollback: () => transaction.rollback(),
+      };
+    },
+
+    /**
+     * Run a validated read-only query inside a transaction that is always rolled back.
+     * Rows are capped with SET ROWCOUNT and the statement is cancelled after the timeout.
+     */
+    async runReadOnly(queryText, { maxRows, timeout }) {
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin(sql.ISOLATION_LEVEL.READ_COMMITTED);
+
+      const request = new sql.Request(transaction);
+      request.input('rowCap', sql.Int, maxRows + 1);
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        request.cancel();
+      }, timeout);
+
+      try {
+        const result = await request.query(`SET LOCK_TIMEOUT ${timeout};\nSET ROWCOUNT @rowCap;\n${queryText}\n;`);
+        return result.recordset || [];
+      } catch (error) {
+        if (timedOut) {
+          throw new Error(`Query exceeded the ${timeout} ms statement timeout`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        try {
+          await transaction.rollback();
+        } catch {
+          // The server already rolled the transaction back (e.g. after a cancel)
+        }
+      }
+    },
+
+    /**
+     * Capture showplan XML for a read-only query inside a transaction that is always rolled back.
+     * Estimated plans only compile the query; actual plans run it under the row cap and timeout
+     * and also collect the STATISTICS IO / TIME messages.
+     */
+    async explain(queryText, params, { actual, maxRows, timeout }) {
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin(sql.ISOLATION_LEVEL.READ_COMMITTED);
+      // SHOWPLAN_XML must be the only statement in its batch
+      const settings = actual ? ['STATISTICS XML', 'STATISTICS IO', 'STATISTICS TIME'] : ['SHOWPLAN_XML'];
+
+      const request = bind(new sql.Request(transaction), params);
+      const messages = [];
+      request.on('info', (info) => messages.push(info.message));
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        request.cancel();
+      }, timeout);
+
+      try {
+        for (const setting of settings) {
+          await new sql.Request(transaction).batch(`SET ${setting} ON`);
+        }
+        const startedAt = performance.now();
+        let result;
+        if (actual) {
+          request.input('rowCap', sql.Int, maxRows + 1);
+          result = await request.query(`SET LOCK_TIMEOUT ${timeout};\nSET ROWCOUNT @rowCap;\n${queryText}\n;`);
+        } else {
+          result = await request.query(queryText);
+        }
+        const elapsedMs = Math.round(performance.now() - startedAt);
+
+        const isPlan = (recordset) => Object.keys(recordset.columns || {}).some((column) => /showplan/i.test(column));
+        const recordsets = result.recordsets || [];
+        const rows = recordsets.find((recordset) => !isPlan(recordset)) || [];
+        return {
+          format: 'showplan',
+          plans: recordsets.filter(isPlan).map((recordset) => Object.values(recordset[0])[0]),
+          messages,
+          rowCount: actual ? rows.length : null,
+          elapsedMs: actual ? elapsedMs : null,
+        };
+      } catch (error) {
+        if (timedOut) {
+          throw new Error(`Query exceeded the ${timeout} ms statement timeout`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        try {
+          // SET options outlive the transaction, so reset them before the connection returns to the pool
+          for (const setting of settings) {
+            await new sql.Request(transaction).batch(`SET ${setting} OFF`);
+          }
+          await transaction.rollback();
+        } catch {
+          // The server already rolled the transaction back (e.g. after a cancel)
+        }
+      }
+    },
+
+    // Schema introspection - reads the dbo catalog via INFORMATION_SCHEMA and sys views
+    async listTables() {
+      const result = await pool.request().query(`
+        SELECT t.name AS TableName, SUM(p.rows) AS [RowCount]
+        FROM sys.tables t
+        INNER JOIN sys.schemas s ON t.schema_id = s.schema_id
+        INNER JOIN sys.partitions p ON p.object_id = t.object_id AND p.index_id IN (0, 1)
+        WHERE s.name = 'dbo' AND t.is_ms_shipped = 0
+        GROUP BY t.name
+        ORDER BY t.name
+      `);
+      return result.recordset;
+    },
+
+    async getRelationships(tableName) {
+      const request = pool.request();
+      let filter = '';
+      if (tableName !== undefined) {
+        request.input('tableName', sql.NVarChar(128), tableName);
+        filter = 'WHERE tp.name = @tableName OR tr.name = @tableName';
+      }
+      const result = await request.query(`
+        SELECT
+          fk.name AS ConstraintName,
+          tp.name AS FromTable, cp.name AS FromColumn,
+          tr.name AS ToTable, cr.name AS ToColumn,
+          fk.delete_referential_action_desc AS OnDelete
+        FROM sys.foreign_keys fk
+        INNER JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+        INNER JOIN sys.tables tp ON tp.object_id = fkc.parent_object_id
+        INNER JOIN sys.columns cp ON cp.object_id = fkc.parent_object_id AND cp.column_id = fkc.parent_column_id
+        INNER JOIN sys.tables tr ON tr.object_id = fkc.referenced_object_id
+        INNER JOIN sys.columns cr ON cr.object_id = fkc.referenced_object_id AND cr.column_id = fkc.referenced_column_id
+        ${filter}
+        ORDER BY tp.name, fk.name
+      `);
+      return result.recordset;
+    },
+
+    // Returns { columns, primaryKey, indexes }, or null when the table does not exist
+    async describeTable(tableName) {
+      const columnsResult = await pool.request().input('tableName', sql.NVarChar(128), tableName).query(`
+        SELECT
+          c.COLUMN_NAME AS ColumnName, c.DATA_TYPE AS DataType,
+          c.CHARACTER_MAXIMUM_LENGTH AS MaxLength,
+          c.NUMERIC_PRECISION AS NumericPrecision, c.NUMERIC_SCALE AS NumericScale,
+          CAST(CASE WHEN c.IS_NULLABLE = 'YES' THEN 1 ELSE 0 END AS bit) AS IsNullable,
+          c.COLUMN_DEFAULT AS DefaultValue
+        FROM INFORMATION_SCHEMA.COLUMNS c
+        WHERE c.TABLE_SCHEMA = 'dbo' AND c.TABLE_NAME = @tableName
+        ORDER BY c.ORDINAL_POSITION
+      `);
+      if (columnsResult.recordset.length === 0) {
+        return null;
+      }
+
+      const primaryKeyResult = await pool.request().input('tableName', sql.NVarChar(128), tableName).query(`
+        SELECT kcu.COLUMN_NAME AS ColumnName
+        FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+        INNER JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+          ON tc.CONSTRAINT_NAME = kcu.CONSTRAINT_NAME AND tc.TABLE_SCHEMA = kcu.TABLE_SCHEMA
+        WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY' AND tc.TABLE_SCHEMA = 'dbo' AND tc.TABLE_NAME = @tableName
+        ORDER BY kcu.ORDINAL_POSITION
+      `);
+
+      const indexesResult = await pool.request().input('tableName', sql.NVarChar(128), tableName).query(`
+        SELECT
+          i.name AS IndexName, i.type_desc AS IndexType,
+          i.is_unique AS IsUnique, i.is_primary_key AS IsPrimaryKey,
+          STRING_AGG(c.name, ', ') WITHIN GROUP (ORDER BY ic.key_ordinal) AS Columns
+        FROM sys.indexes i
+        INNER JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+        INNER JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE i.object_id = OBJECT_ID(N'dbo.' + QUOTENAME(@tableName))
+          AND ic.is_included_column = 0
+          AND i.name IS NOT NULL
+        GROUP BY i.name, i.type_desc, i.is_unique, i.is_primary_key
+        ORDER BY i.name
+      `);
+
+      return {
+        columns: columnsResult.recordset,
+        primaryKey: primaryKeyResult.recordset.map((row) => row.ColumnName),
+        indexes: indexesResult.recordset,
+      };
+    },
+  };
+}
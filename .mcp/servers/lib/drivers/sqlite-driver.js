@@ -0,0 +1,291 @@
+/**
+ * SQLite database driver (sql.js)
+ * Runs the database tools against a local SQLite copy of the Coffee Restaurant schema, no SQL Server needed
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import initSqlJs from 'sql.js';
+
+const SQLITE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../sqlite');
+
+// Columns named IsXxx are BIT in SQL Server; SQLite hands them back as 0/1
+const BOOLEAN_COLUMN_PATTERN = /^Is[A-Z]/;
+
+const dialect = {
+  name: 'sqlite',
+  paging: (offset, pageSize) => `LIMIT ${pageSize} OFFSET ${offset}`,
+  now: "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')",
+  updateLock: '',
+  periodStart: {
+    day: (column) => `date(${column})`,
+    // %w is 0 for Sunday; shift so weeks start on Monday like the mssql dialect
+    week: (column) => `date(${column}, '-' || ((CAST(strftime('%w', ${column}) AS INTEGER) + 6) % 7) || ' days')`,
+    month: (column) => `strftime('%Y-%m-01', ${column})`,
+  },
+  minutesBetween: (start, end) => `(strftime('%s', ${end}) - strftime('%s', ${start})) / 60.0`,
+};
+
+// GUIDs are stored upper-case (as SQL Server returns them) and dates as ISO 8601 text
+function toSqlValue(type, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (type.name) {
+    case 'UniqueIdentifier':
+      return String(value).toUpperCase();
+    case 'Bit':
+      return value ? 1 : 0;
+    case 'DateTime2':
+      return value instanceof Date ? value.toISOString() : value;
+    default:
+      return value;
+  }
+}
+
+function bindings(params) {
+  return Object.fromEntries(params.map((param) => [`@${param.name}`, toSqlValue(param.type, param.value)]));
+}
+
+function toRow(row) {
+  for (const key of Object.keys(row)) {
+    if (BOOLEAN_COLUMN_PATTERN.test(key) && (row[key] === 0 || row[key] === 1)) {
+      row[key] = row[key] === 1;
+    }
+  }
+  return row;
+}
+
+// Step through a prepared statement, stopping after maxRows rows
+function readRows(database, text, params, maxRows = Infinity) {
+  const statement = database.prepare(text);
+  try {
+    statement.bind(bindings(params));
+    const rows = [];
+    while (rows.length < maxRows && statement.step()) {
+      rows.push(toRow(statement.getAsObject()));
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+export function createSqliteDriver({ filePath } = {}) {
+  let database = null;
+  // sql.js has a single connection, so transactions are serialized, and reads outside a transaction wait for
+  // the running one: it awaits between statements, and its uncommitted rows are not visible (READ COMMITTED, as
+  // with the mssql pool)
+  let transactionLock = Promise.resolve();
+
+  // Wait for the running transaction, if any; resolves to a release function
+  async function acquire() {
+    let release;
+    const previous = transactionLock;
+    transactionLock = new Promise((resolve) => {
+      release = resolve;
+    });
+    await previous;
+    return release;
+  }
+
+  async function serialized(read) {
+    const release = await acquire();
+    try {
+      return read();
+    } finally {
+      release();
+    }
+  }
+
+  const query = (text, params = []) => serialized(() => ({ recordset: readRows(database, text, params) }));
+
+  // Statements of the transaction holding the lock
+  const transactionQuery = (text, params = []) => Promise.resolve({ recordset: readRows(database, text, params) });
+
+  function persist() {
+    if (filePath) {
+      fs.writeFileSync(filePath, Buffer.from(database.export()));
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    dialect,
+
+    async connect() {
+      if (database) {
+        return;
+      }
+      const SQL = await initSqlJs();
+      if (filePath && fs.existsSync(filePath)) {
+        database = new SQL.Database(fs.readFileSync(filePath));
+      } else {
+        database = new SQL.Database();
+        database.exec(fs.readFileSync(path.join(SQLITE_DIR, 'schema.sql'), 'utf8'));
+        database.exec(fs.readFileSync(path.join(SQLITE_DIR, 'seed.sql'), 'utf8'));
+        persist();
+      }
+      database.exec('PRAGMA foreign_keys = ON');
+    },
+
+    query,
+
+    async beginTransaction() {
+      const release = await acquire();
+      database.exec('BEGIN');
+      let done = false;
+      const finish = (statement) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        try {
+          database.exec(statement);
+        } finally {
+          release();
+        }
+      };
+      return {
+        dialect,
+        query: transactionQuery,
+        commit: async () => {
+          finish('COMMIT');
+          persist();
+        },
+        rollback: async () => finish('ROLLBACK'),
+      };
+    },
+
+    /**
+     * Run a validated read-only query inside a transaction that is always rolled back.
+     * Stops reading after maxRows + 1 rows. sql.js runs synchronously, so the timeout is not enforced.
+     */
+    async runReadOnly(queryText, { maxRows }) {
+      const release = await acquire();
+      database.exec('PRAGMA query_only = ON; BEGIN');
+      try {
+        return readRows(database, queryText, [], maxRows + 1);
+      } finally {
+        database.exec('ROLLBACK; PRAGMA query_only = OFF');
+        release();
+      }
+    },
+
+    /**
+     * EXPLAIN QUERY PLAN for a read-only query. Actual mode also runs the query inside a rolled-back
+     * transaction, reading at most maxRows + 1 rows, and times it.
+     */
+    async explain(queryText, params, { actual, maxRows }) {
+      const release = await acquire();
+      database.exec('PRAGMA query_only = ON; BEGIN');
+      try {
+        const planRows = readRows(database, `EXPLAIN QUERY PLAN ${queryText}`, params);
+        if (!actual) {
+          return { format: 'sqlite', planRows, rowCount: null, elapsedMs: null };
+        }
+        const startedAt = performance.now();
+        const rows = readRows(database, queryText, params, maxRows + 1);
+        return {
+          format: 'sqlite',
+          planRows,
+          rowCount: rows.length,
+          elapsedMs: Math.round((performance.now() - startedAt) * 100) / 100,
+        };
+      } finally {
+        database.exec('ROLLBACK; PRAGMA query_only = OFF');
+        release();
+      }
+    },
+
+    // Schema introspection - reads sqlite_master and the table pragmas, shaped like the mssql catalog
+    listTables() {
+      return serialized(() => {
+        const tables = readRows(database, `
+          SELECT name AS TableName FROM sqlite_master
+          WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+          ORDER BY name
+        `, []);
+        return tables.map(({ TableName }) => ({
+          TableName,
+          RowCount: readRows(database, `SELECT COUNT(*) AS RowCount FROM "${TableName.replace(/"/g, '""')}"`, [])[0]
+            .RowCount,
+        }));
+      });
+    },
+
+    getRelationships(tableName) {
+      return serialized(() => readRows(database, `
+        SELECT
+          'FK_' || m.name || '_' || fk."table" || '_' || fk."from" AS ConstraintName,
+          m.name AS FromTable, fk."from" AS FromColumn,
+          fk."table" AS ToTable, fk."to" AS ToColumn,
+          upper(replace(fk.on_delete, ' ', '_')) AS OnDelete
+        FROM sqlite_master m
+        INNER JOIN pragma_foreign_key_list(m.name) fk
+        WHERE m.type = 'table'
+          AND (@tableName IS NULL OR m.name = @tableName OR fk."table" = @tableName)
+        ORDER BY m.name, ConstraintName
+      `, [{ name: 'tableName', type: { name: 'NVarChar' }, value: tableName ?? null }]));
+    },
+
+    // Returns { columns, primaryKey, indexes }, or null when the table does not exist
+    describeTable(tableName) {
+      return serialized(() => readTableDescription(tableName));
+    },
+  };
+
+  function readTableDescription(tableName) {
+    const tableParam = [{ name: 'tableName', type: { name: 'NVarChar' }, value: tableName }];
+    const columns = readRows(database, `
+      SELECT name, type, "notnull", dflt_value, pk
+      FROM pragma_table_info(@tableName)
+      ORDER BY cid
+    `, tableParam);
+    if (columns.length === 0) {
+      return null;
+    }
+
+    const primaryKey = columns
+      .filter((column) => column.pk > 0)
+      .sort((a, b) => a.pk - b.pk)
+      .map((column) => column.name);
+
+    const indexes = readRows(database, `
+      SELECT
+        il.name AS IndexName,
+        CASE WHEN il.origin = 'pk' THEN 'CLUSTERED' ELSE 'NONCLUSTERED' END AS IndexType,
+        il."unique" AS IsUnique,
+        il.origin = 'pk' AS IsPrimaryKey,
+        (SELECT group_concat(name, ', ') FROM (SELECT name FROM pragma_index_info(il.name) ORDER BY seqno)) AS Columns
+      FROM pragma_index_list(@tableName) il
+      ORDER BY il.name
+    `, tableParam).map((index) => ({ ...index, IsUnique: index.IsUnique === 1, IsPrimaryKey: index.IsPrimaryKey === 1 }));
+
+    return {
+      columns: columns.map((column) => describeColumn(column)),
+      primaryKey,
+      indexes,
+    };
+  }
+}
+
+// Map a declared SQLite column type such as NVARCHAR(100) or DECIMAL(18, 2) to the mssql catalog shape
+function describeColumn(column) {
+  const match = /^(\w+)\s*(?:\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\))?/.exec(column.type || '');
+  const dataType = (match?.[1] || column.type || '').toLowerCase();
+  const first = match?.[2] !== undefined ? Number(match[2]) : null;
+  const second = match?.[3] !== undefined ? Number(match[3]) : null;
+  const isNumeric = ['decimal', 'numeric'].includes(dataType);
+  const isGuid = dataType === 'char' && first === 36;
+  return {
+    ColumnName: column.name,
+    DataType: isGuid ? 'uniqueidentifier' : dataType,
+    MaxLength: !isNumeric && !isGuid ? first : null,
+    NumericPrecision: isNumeric ? first : dataType === 'int' ? 10 : null,
+    NumericScale: isNumeric ? second ?? 0 : dataType === 'int' ? 0 : null,
+    IsNullable: column.notnull === 0 && column.pk === 0,
+    DefaultValue: column.dflt_value,
+  };
+}
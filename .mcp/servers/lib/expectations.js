@@ -0,0 +1,192 @@
+/**
+ * Response assertions shared by run_scenario steps and the expect argument of the request tools
+ * An expectation names the status, the latency limit, a JSON Schema for the body, and JSONPath and header checks;
+ * every check is reported as a pass/fail assertion
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { readJsonPath } from './json-path.js';
+
+export const OPERATORS = ['equals', 'notEquals', 'contains', 'matches', 'exists', 'type', 'gt', 'gte', 'lt', 'lte', 'length'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkMap(value, where) {
+  if (value === undefined) {
+    return {};
+  }
+  if (!isPlainObject(value)) {
+    throw new Error(`${where} must be an object`);
+  }
+  return value;
+}
+
+/**
+ * Validate an expectation and fill in defaults:
+ * { status: 200 or [200, 201], maxLatencyMs: 500, schema: { JSON Schema of the body },
+ *   body: { '$.data.name': 'Latte', '$.data': { exists: true } }, headers: { 'content-type': { matches: 'json' } } }
+ */
+export function parseExpect(expect, where = 'expect') {
+  const checked = checkMap(expect, where);
+  const statuses = checked.status === undefined ? [] : [checked.status].flat();
+  if (statuses.some((status) => !Number.isInteger(status))) {
+    throw new Error(`${where}.status must be a status code or a list of status codes`);
+  }
+  if (checked.maxLatencyMs !== undefined && !(typeof checked.maxLatencyMs === 'number' && checked.maxLatencyMs > 0)) {
+    throw new Error(`${where}.maxLatencyMs must be a positive number`);
+  }
+  if (checked.schema !== undefined && !isPlainObject(checked.schema) && typeof checked.schema !== 'boolean') {
+    throw new Error(`${where}.schema must be a JSON Schema object`);
+  }
+  return {
+    status: statuses,
+    body: checkMap(checked.body, `${where}.body`),
+    headers: checkMap(checked.headers, `${where}.headers`),
+    ...(checked.schema !== undefined ? { schema: checked.schema } : {}),
+    ...(checked.maxLatencyMs !== undefined ? { maxLatencyMs: checked.maxLatencyMs } : {}),
+  };
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function contains(actual, expected) {
+  if (typeof actual === 'string') {
+    return actual.includes(String(expected));
+  }
+  if (Array.isArray(actual)) {
+    return actual.some((item) => deepEqual(item, expected));
+  }
+  if (isPlainObject(actual) && isPlainObject(expected)) {
+    return Object.entries(expected).every(([key, value]) => deepEqual(actual[key], value));
+  }
+  return false;
+}
+
+const CHECKS = {
+  equals: (actual, expected) => deepEqual(actual, expected),
+  notEquals: (actual, expected) => !deepEqual(actual, expected),
+  contains,
+  matches: (actual, expected) => actual !== undefined && new RegExp(expected).test(String(actual)),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === Boolean(expected),
+  type: (actual, expected) => typeOf(actual) === expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  length: (actual, expected) => actual !== null && actual !== undefined && actual.length === expected,
+};
+
+/**
+ * Check one value against an expectation: a plain value (deep equality) or an operator object
+ * such as { contains: 'Admin' }, { gt: 0 }, { exists: true }, { type: 'array' }, { matches: '^[0-9a-f-]{36}$' }.
+ * Returns one assertion result per operator.
+ */
+export function checkValue(target, actual, expected) {
+  const isOperatorObject =
+    isPlainObject(expected) && Object.keys(expected).length > 0 && Object.keys(expected).every((key) => OPERATORS.includes(key));
+  const operators = isOperatorObject ? Object.entries(expected) : [['equals', expected]];
+  return operators.map(([operator, value]) => ({
+    target,
+    operator,
+    expected: value,
+    actual,
+    passed: CHECKS[operator](actual, value),
+  }));
+}
+
+const ajv = new Ajv({
+  strict: false,
+  allErrors: true,
+  logger: false,
+  formats: { int32: true, int64: true, float: true, double: true, byte: true, binary: true, password: true },
+});
+addFormats(ajv);
+// .NET writes DateTime values of unspecified kind without an offset
+ajv.addFormat('date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/i);
+
+// Schemas arrive as tool arguments, so compiled validators are kept by their JSON text
+const compiledSchemas = new Map();
+
+function schemaErrors(schema, value) {
+  const key = JSON.stringify(schema);
+  if (!compiledSchemas.has(key)) {
+    try {
+      compiledSchemas.set(key, ajv.compile(schema));
+    } catch (error) {
+      return [`invalid schema: ${error.message}`];
+    }
+  }
+  const validate = compiledSchemas.get(key);
+  return validate(value) ? [] : validate.errors.map((error) => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Check a response ({ status, headers, data, durationMs }) against a parsed expectation.
+ * Without expected statuses the response must be 2xx.
+ */
+export function checkExpectations(expect, response) {
+  const assertions = [];
+  if (expect.status.length > 0) {
+    assertions.push({
+      target: 'status',
+      operator: expect.status.length > 1 ? 'oneOf' : 'equals',
+      expected: expect.status.length > 1 ? expect.status : expect.status[0],
+      actual: response.status,
+      passed: expect.status.includes(response.status),
+    });
+  } else {
+    assertions.push({
+      target: 'status',
+      operator: 'is2xx',
+      expected: '2xx',
+      actual: response.status,
+      passed: response.status >= 200 && response.status < 300,
+    });
+  }
+  if (expect.maxLatencyMs !== undefined) {
+    assertions.push({
+      target: 'latency',
+      operator: 'lte',
+      expected: expect.maxLatencyMs,
+      actual: response.durationMs,
+      passed: response.durationMs <= expect.maxLatencyMs,
+    });
+  }
+  if (expect.schema !== undefined) {
+    const errors = schemaErrors(expect.schema, response.data);
+    assertions.push({
+      target: 'body',
+      operator: 'schema',
+      expected: 'matches the schema',
+      actual: errors.length === 0 ? 'matches the schema' : errors,
+      passed: errors.length === 0,
+    });
+  }
+  for (const [jsonPath, expected] of Object.entries(expect.body)) {
+    assertions.push(...checkValue(`body ${jsonPath}`, readJsonPath(response.data, jsonPath), expected));
+  }
+  for (const [header, expected] of Object.entries(expect.headers)) {
+    assertions.push(...checkValue(`header ${header}`, response.headers[header.toLowerCase()], expected));
+  }
+  return assertions;
+}
@@ -0,0 +1,442 @@
+/**
+ * Schema-aware input fuzzing for api_fuzz
+ * Starts from a valid request body and changes one field at a time to boundary and malformed values (empty,
+ * overlong and unicode strings, negative and huge numbers, bad GUIDs, wrong types, missing fields), then sends
+ * every case and flags 5xx responses and invalid input the API accepted. Whether a case is valid is decided by
+ * the endpoint's JSON Schema, so the schema is where the validation rules live.
+ */
+
+import { randomUUID } from 'node:crypto';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { MAX_ITEM_PRICE } from './order-rules.js';
+
+export const DEFAULT_MAX_CASES = 300;
+
+const EMPTY_GUID = '00000000-0000-0000-0000-000000000000';
+const VERY_LONG_LENGTH = 10000;
+const MANY_ITEMS = 100;
+const PREVIEW_LENGTH = 60;
+
+const nonEmptyString = { type: 'string', minLength: 1, pattern: '\\S' };
+const guid = { type: 'string', format: 'uuid', not: { const: EMPTY_GUID } };
+
+/**
+ * Request schemas carrying the rules of the API's validators and entities, which the OpenAPI document does not
+ * describe: CreateCoffeeItemCommandValidator with the CoffeeItem price invariant, CreateOrderCommandValidator,
+ * and the column sizes of the Notes and ImageUrl columns.
+ */
+const BUILT_IN_TARGETS = {
+  'POST /api/coffeeitems': {
+    schema: {
+      type: 'object',
+      properties: {
+        name: { ...nonEmptyString, maxLength: 100 },
+        description: { ...nonEmptyString, maxLength: 500 },
+        price: { type: 'number', exclusiveMinimum: 0, maximum: MAX_ITEM_PRICE, multipleOf: 0.01 },
+        categoryId: guid,
+        imageUrl: { type: ['string', 'null'], maxLength: 500 },
+      },
+      required: ['name', 'description', 'price', 'categoryId'],
+    },
+    // A new item in the category of the first menu item
+    baseline: ({ menu }) => ({
+      name: 'Fuzz Latte',
+      description: 'Created by api_fuzz',
+      price: 4.5,
+      categoryId: menu[0].categoryId,
+      imageUrl: null,
+    }),
+  },
+  'POST /api/orders': {
+    schema: {
+      type: 'object',
+      properties: {
+        customerId: guid,
+        orderItems: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              coffeeItemId: guid,
+              quantity: { type: 'integer', minimum: 1, maximum: 10 },
+              specialInstructions: { type: ['string', 'null'], maxLength: 200 },
+            },
+            required: ['coffeeItemId', 'quantity'],
+          },
+        },
+        notes: { type: ['string', 'null'], maxLength: 1000 },
+      },
+      required: ['customerId', 'orderItems'],
+    },
+    // One of the first menu item for the given customer
+    baseline: ({ menu, customerId }) => {
+      if (!customerId) {
+        throw new Error('customerId (an existing Customers row) is required to fuzz POST /api/orders without a body');
+      }
+      return {
+        customerId,
+        orderItems: [{ coffeeItemId: menu[0].id, quantity: 1, specialInstructions: null }],
+        notes: null,
+      };
+    },
+  },
+};
+
+export function builtInTarget(method, path) {
+  const key = Object.keys(BUILT_IN_TARGETS).find(
+    (candidate) => candidate.toLowerCase() === `${method} ${path}`.toLowerCase()
+  );
+  return key ? BUILT_IN_TARGETS[key] : undefined;
+}
+
+function createSchemaCheck(schema) {
+  const ajv = new Ajv({
+    strict: false,
+    allErrors: true,
+    logger: false,
+    verbose: true,
+    // Decimal steps such as 0.01 are not exact in binary floating point
+    multipleOfPrecision: 6,
+    formats: { int32: true, int64: true, float: true, double: true, byte: true, binary: true, password: true },
+  });
+  addFormats(ajv);
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid schema: ${error.message}`);
+  }
+  // "must NOT be valid" says little; a `not: { const }` rule names the value it forbids
+  const message = (error) =>
+    error.keyword === 'not' && error.schema?.const !== undefined
+      ? `must not be ${JSON.stringify(error.schema.const)}`
+      : error.message;
+  return (value) =>
+    validate(value) ? [] : validate.errors.map((error) => `${error.instancePath || '/'} ${message(error)}`);
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const formatKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key}']`);
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// The main type of a schema: the first non-null type, also inside anyOf / oneOf
+function schemaType(schema) {
+  const types = [schema?.type].flat().filter((type) => type && type !== 'null');
+  if (types.length > 0) {
+    return types[0];
+  }
+  const branch = [...(schema?.anyOf || []), ...(schema?.oneOf || [])].find((candidate) => schemaType(candidate));
+  return branch ? schemaType(branch) : undefined;
+}
+
+function effectiveSchema(schema) {
+  if (schema?.type || !(schema?.anyOf || schema?.oneOf)) {
+    return schema || {};
+  }
+  return [...(schema.anyOf || []), ...(schema.oneOf || [])].find((candidate) => schemaType(candidate)) || {};
+}
+
+const WRONG_TYPES = {
+  string: [['number', 12345], ['boolean', true], ['object', {}], ['array', []]],
+  number: [['string', 'abc'], ['boolean', true], ['object', {}], ['array', []]],
+  integer: [['string', 'abc'], ['boolean', true], ['object', {}], ['array', []]],
+  boolean: [['string', 'yes'], ['number', 1], ['object', {}]],
+  array: [['string', 'text'], ['object', {}], ['number', 1]],
+  object: [['string', 'text'], ['array', []], ['number', 1]],
+};
+
+function stringValues(schema) {
+  if (schema.format === 'uuid') {
+    const known = randomUUID();
+    return [
+      ['empty string', ''],
+      ['empty GUID', EMPTY_GUID],
+      ['not a GUID', 'not-a-guid'],
+      ['truncated GUID', known.slice(0, -1)],
+      ['GUID with invalid characters', `${known.slice(0, -1)}z`],
+      ['unknown GUID', known],
+    ];
+  }
+  if (schema.enum) {
+    return [
+      ['empty string', ''],
+      ['value not in enum', 'NotAValue'],
+      ['number instead of enum name', 999],
+    ];
+  }
+
+  const values = [
+    ['empty string', ''],
+    ['whitespace only', '   '],
+    ['unicode', 'Café ☕ 咖啡 кофе ñ'],
+    ['emoji', '😀🚀☕'],
+    ['control characters', 'line\nbreak\ttab\u0000null'],
+    ['SQL metacharacters', "'; DROP TABLE Orders; --"],
+    ['markup', '<script>alert(1)</script>'],
+  ];
+  if (schema.minLength > 1) {
+    values.push(['at minLength', 'a'.repeat(schema.minLength)], ['under minLength', 'a'.repeat(schema.minLength - 1)]);
+  }
+  if (schema.maxLength !== undefined) {
+    values.push(
+      ['at maxLength', 'a'.repeat(schema.maxLength)],
+      ['over maxLength', 'a'.repeat(schema.maxLength + 1)],
+      ['unicode at maxLength', 'é'.repeat(schema.maxLength)],
+      ['unicode over maxLength', 'é'.repeat(schema.maxLength + 1)]
+    );
+  }
+  if (schema.maxLength === undefined || schema.maxLength < VERY_LONG_LENGTH) {
+    values.push(['very long string', 'a'.repeat(VERY_LONG_LENGTH)]);
+  }
+  if (schema.format === 'email') {
+    values.push(['not an email', 'not-an-email'], ['email without domain', 'user@']);
+  }
+  if (schema.format === 'date-time') {
+    values.push(['not a date', 'not-a-date'], ['impossible date', '2024-02-30T00:00:00Z']);
+  }
+  return values;
+}
+
+function numberValues(schema, integer) {
+  const step = schema.multipleOf || (integer ? 1 : 0.01);
+  const values = [
+    ['zero', 0],
+    ['negative', -1],
+    ['huge', 1e15],
+    ['beyond decimal range', 1e29],
+  ];
+  if (integer) {
+    values.push(['fraction', 1.5], ['beyond int32', 2 ** 31]);
+  } else {
+    values.push(['small negative', -step], ['too many decimals', round(1 + step / 10 + step)]);
+  }
+  if (schema.minimum !== undefined) {
+    values.push(['at minimum', schema.minimum], ['under minimum', round(schema.minimum - step)]);
+  }
+  if (schema.exclusiveMinimum !== undefined) {
+    values.push(
+      ['at exclusive minimum', schema.exclusiveMinimum],
+      ['just above exclusive minimum', round(schema.exclusiveMinimum + step)]
+    );
+  }
+  if (schema.maximum !== undefined) {
+    values.push(['at maximum', schema.maximum], ['over maximum', round(schema.maximum + step)]);
+  }
+  if (schema.exclusiveMaximum !== undefined) {
+    values.push(
+      ['at exclusive maximum', schema.exclusiveMaximum],
+      ['just under exclusive maximum', round(schema.exclusiveMaximum - step)]
+    );
+  }
+  return values;
+}
+
+/**
+ * The fuzz cases for a schema and a valid baseline: [{ name, path, label, body }] where body is the whole payload
+ * with one value changed, or { raw } for text that is not a JSON document. Cases are listed field by field,
+ * depth first, with the document-level cases last; duplicates of the same value at the same path are dropped.
+ */
+export function generateCases(schema, baseline) {
+  const cases = [];
+  const seen = new Set();
+
+  function add(path, label, replace, value) {
+    const key = `${path}\u0000${value === undefined ? 'missing' : JSON.stringify(value)}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    cases.push({ name: `${path}: ${label}`, path, label, body: replace(value) });
+  }
+
+  function walk(fieldSchema, value, path, replace) {
+    const schema = effectiveSchema(fieldSchema);
+    const type = schemaType(fieldSchema) || (Array.isArray(value) ? 'array' : typeof value);
+    const addValue = ([label, newValue]) => add(path, label, replace, newValue);
+
+    addValue(['null', null]);
+    (WRONG_TYPES[type] || []).forEach(([wrongType, newValue]) => addValue([`${wrongType} instead of ${type}`, newValue]));
+
+    if (type === 'string') {
+      stringValues(schema).forEach(addValue);
+    } else if (type === 'number' || type === 'integer') {
+      numberValues(schema, type === 'integer').forEach(addValue);
+    } else if (type === 'array' && Array.isArray(value)) {
+      addValue(['empty array', []]);
+      if (value.length > 0) {
+        if (schema.minItems > 1) {
+          addValue(['under minItems', value.slice(0, 1).concat(Array(schema.minItems - 2).fill(value[0]))]);
+        }
+        if (schema.maxItems !== undefined) {
+          addValue(['over maxItems', Array(schema.maxItems + 1).fill(value[0])]);
+        }
+        addValue([`${MANY_ITEMS} items`, Array(MANY_ITEMS).fill(value[0])]);
+        value.forEach((item, index) =>
+          walk(schema.items || {}, item, `${path}[${index}]`, (newItem) =>
+            replace(value.map((existing, position) => (position === index ? newItem : existing)))
+          )
+        );
+      }
+    } else if (type === 'object' && isPlainObject(value)) {
+      const properties = schema.properties || {};
+      const keys = [...new Set([...Object.keys(properties), ...Object.keys(value)])];
+      for (const key of keys) {
+        const childPath = `${path}${formatKey(key)}`;
+        if (Object.hasOwn(value, key)) {
+          add(childPath, 'missing', () => {
+            const { [key]: removed, ...rest } = value;
+            return replace(rest);
+          });
+          walk(properties[key] || {}, value[key], childPath, (newValue) => replace({ ...value, [key]: newValue }));
+        }
+      }
+      add(path, 'unknown extra field', replace, { ...value, fuzzUnexpectedField: 'unexpected' });
+    }
+  }
+
+  walk(schema, baseline, '$', (value) => value);
+
+  // Bodies that are not JSON at all
+  for (const [label, raw] of [
+    ['empty body', ''],
+    ['malformed JSON', '{"name": '],
+    ['JSON with trailing comma', `${JSON.stringify(baseline).slice(0, -1)},}`],
+  ]) {
+    cases.push({ name: `$: ${label}`, path: '$', label, raw });
+  }
+  return cases;
+}
+
+// Error text of a response: the ApiResponse message and errors, ProblemDetails errors, or a text body
+function errorText(data) {
+  if (typeof data === 'string') {
+    return data.slice(0, 300);
+  }
+  if (!isPlainObject(data)) {
+    return '';
+  }
+  const errors = Array.isArray(data.errors)
+    ? data.errors
+    : Object.entries(data.errors || {}).map(([key, messages]) => `${key}: ${[messages].flat().join(' ')}`);
+  return [data.message, data.title, ...errors].filter(Boolean).join(' ').slice(0, 300);
+}
+
+// A short form of the value a case sent at its path, for the report
+function preview(testCase) {
+  if (testCase.raw !== undefined) {
+    return testCase.raw;
+  }
+  if (testCase.label === 'missing') {
+    return '(missing)';
+  }
+  const value = readPath(testCase.body, testCase.path);
+  const text = JSON.stringify(value) ?? '(missing)';
+  if (text.length <= PREVIEW_LENGTH) {
+    return text;
+  }
+  const size = typeof value === 'string' || Array.isArray(value) ? value.length : text.length;
+  return `${text.slice(0, PREVIEW_LENGTH)}… (${size} ${Array.isArray(value) ? 'items' : 'characters'})`;
+}
+
+function readPath(body, path) {
+  return [...path.matchAll(/\.([A-Za-z_$][\w$]*)|\['([^']*)'\]|\[(\d+)\]/g)].reduce(
+    (node, [, name, quoted, index]) => node?.[name ?? quoted ?? Number(index)],
+    body
+  );
+}
+
+// The body as sent: objects and arrays as JSON, other values (a JSON string, number or null) as their JSON text
+function requestBody(testCase) {
+  if (testCase.raw !== undefined) {
+    return testCase.raw;
+  }
+  return typeof testCase.body === 'object' && testCase.body !== null ? testCase.body : JSON.stringify(testCase.body);
+}
+
+/**
+ * Fuzz one endpoint. send({ method, endpoint, body }) makes a request and resolves to { status, data };
+ * target is { schema, baseline } where baseline is a body or a function of { menu, customerId } (the menu is
+ * fetched only then). The valid baseline is sent first: when it is not accepted the run stops, as every other
+ * result would be meaningless. Findings are 5xx responses, requests that got no response, and invalid input
+ * answered 2xx; valid input answered 4xx is listed separately as rejectedValid.
+ */
+export async function runFuzz({ send, method, endpoint, target, customerId, maxCases = DEFAULT_MAX_CASES }) {
+  if (!Number.isInteger(maxCases) || maxCases < 1) {
+    throw new Error('maxCases must be a positive integer');
+  }
+  const check = createSchemaCheck(target.schema);
+
+  let baseline = target.baseline;
+  if (typeof baseline === 'function') {
+    const menuResponse = await send({ method: 'GET', endpoint: '/api/coffeeitems' });
+    const menu = menuResponse.data?.data;
+    if (menuResponse.status !== 200 || !Array.isArray(menu) || menu.length === 0) {
+      throw new Error(
+        `GET /api/coffeeitems returned ${menuResponse.status} ${errorText(menuResponse.data)}; a non-empty menu is needed for the default body`.trim()
+      );
+    }
+    baseline = baseline({ menu, customerId });
+  }
+  const baselineViolations = check(baseline);
+  if (baselineViolations.length > 0) {
+    throw new Error(`The baseline body does not match the schema: ${baselineViolations.join('; ')}`);
+  }
+
+  const baselineResponse = await send({ method, endpoint, body: baseline });
+  if (baselineResponse.status < 200 || baselineResponse.status >= 300) {
+    throw new Error(
+      `The valid baseline body was answered ${baselineResponse.status} ${errorText(baselineResponse.data)}; fix the session or body before fuzzing`.trim()
+    );
+  }
+
+  const generated = generateCases(target.schema, baseline);
+  const cases = generated.slice(0, maxCases);
+  const findings = [];
+  const rejectedValid = [];
+  const byStatus = {};
+
+  for (const testCase of cases) {
+    const violations = testCase.raw !== undefined ? ['body is not a JSON document'] : check(testCase.body);
+    const expected = violations.length === 0 ? 'accept' : 'reject';
+    const result = { case: testCase.name, sent: preview(testCase), expected };
+
+    let response;
+    try {
+      response = await send({ method, endpoint, body: requestBody(testCase) });
+    } catch (error) {
+      byStatus.none = (byStatus.none || 0) + 1;
+      findings.push({ ...result, kind: 'no response', error: error.message });
+      continue;
+    }
+    byStatus[response.status] = (byStatus[response.status] || 0) + 1;
+    const answered = { status: response.status, response: errorText(response.data) };
+
+    if (response.status >= 500) {
+      findings.push({ ...result, kind: 'server error', ...answered, ...(violations.length ? { violations } : {}) });
+    } else if (expected === 'reject' && response.status >= 200 && response.status < 300) {
+      findings.push({ ...result, kind: 'accepted invalid input', ...answered, violations });
+    } else if (expected === 'accept' && response.status >= 400) {
+      rejectedValid.push({ ...result, ...answered });
+    }
+  }
+
+  const count = (kind) => findings.filter((finding) => finding.kind === kind).length;
+  return {
+    endpoint: `${method} ${endpoint}`,
+    passed: findings.length === 0,
+    summary: {
+      cases: cases.length,
+      serverErrors: count('server error'),
+      acceptedInvalid: count('accepted invalid input'),
+      noResponse: count('no response'),
+      rejectedValid: rejectedValid.length,
+      byStatus,
+    },
+    ...(generated.length > cases.length ? { truncated: { generated: generated.length, sent: cases.length } } : {}),
+    baseline,
+    findings,
+    rejectedValid,
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * HAR recording for the API tester
+ * Every request made while a recording is on is written to a HAR 1.2 file, with authorization headers, cookies,
+ * passwords and tokens redacted, so a reported bug can be replayed later with api_replay
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { scrubSecrets } from './audit-log.js';
+
+const CREATOR = { name: 'coffee-restaurant-api-tester', version: '1.0.0' };
+const FLUSH_DELAY_MS = 1000;
+
+// Headers that describe one connection rather than the request; not replayed
+const CONNECTION_HEADERS = ['host', 'content-length', 'connection', 'accept-encoding', 'user-agent'];
+
+const toList = (object) =>
+  Object.entries(object || {}).flatMap(([name, value]) =>
+    [value].flat().map((item) => ({ name, value: String(item) }))
+  );
+
+// Redact a body: JSON is scrubbed key by key, other text only of JWTs and bearer tokens
+function redactText(text) {
+  if (text === undefined || text === null || text === '') {
+    return text;
+  }
+  try {
+    return JSON.stringify(scrubSecrets(JSON.parse(text)));
+  } catch {
+    return scrubSecrets(String(text));
+  }
+}
+
+const bodyText = (data) =>
+  data === undefined || data === null || typeof data === 'string' ? data : JSON.stringify(data);
+
+/**
+ * One HAR entry for an axios request: { config, url, response, error, startedAt, durationMs, session }.
+ * A request without a response is recorded with status 0 and the error in _error.
+ */
+export function harEntry({ config, url, response, error, startedAt, durationMs, session }) {
+  const requestHeaders = scrubSecrets(config.headers?.toJSON ? config.headers.toJSON() : config.headers || {});
+  const parsedUrl = new URL(url);
+  for (const [name, value] of [...parsedUrl.searchParams]) {
+    parsedUrl.searchParams.set(name, scrubSecrets(value, name));
+  }
+  const requestText = redactText(bodyText(config.data));
+  const responseHeaders = response?.headers?.toJSON ? response.headers.toJSON() : response?.headers || {};
+  const responseText = redactText(bodyText(response?.data)) ?? '';
+
+  return {
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: durationMs,
+    request: {
+      method: config.method.toUpperCase(),
+      url: parsedUrl.toString(),
+      httpVersion: 'HTTP/1.1',
+      headers: toList(requestHeaders),
+      queryString: [...parsedUrl.searchParams].map(([name, value]) => ({ name, value })),
+      cookies: [],
+      headersSize: -1,
+      bodySize: requestText ? Buffer.byteLength(requestText) : 0,
+      ...(requestText
+        ? { postData: { mimeType: requestHeaders['Content-Type'] || 'application/json', text: requestText } }
+        : {}),
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? '',
+      httpVersion: 'HTTP/1.1',
+      headers: toList(scrubSecrets(responseHeaders)),
+      cookies: [],
+      content: {
+        size: Buffer.byteLength(responseText),
+        mimeType: responseHeaders['content-type'] || '',
+        text: responseText,
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: Buffer.byteLength(responseText),
+    },
+    cache: {},
+    timings: { send: 0, wait: durationMs, receive: 0 },
+    ...(session ? { _session: session } : {}),
+    ...(error && !response ? { _error: error.message } : {}),
+  };
+}
+
+/**
+ * Recorder writing to dir/<name>-<timestamp>.har. Entries are flushed to disk shortly after they arrive
+ * and when the recording stops, so a crash loses at most the last second.
+ */
+export function createHarRecorder(dir) {
+  let recording = null;
+  let flushTimer = null;
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!recording) {
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    const har = { log: { version: '1.2', creator: CREATOR, pages: [], entries: recording.entries } };
+    fs.writeFileSync(recording.file, JSON.stringify(har, null, 2));
+  }
+
+  return {
+    get active() {
+      return recording !== null;
+    },
+
+    start(name = 'recording') {
+      if (recording) {
+        throw new Error(`Already recording to ${recording.file}. Use api_recording_stop first.`);
+      }
+      const safeName = String(name).replace(/[^\w.-]+/g, '-').slice(0, 64) || 'recording';
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      recording = {
+        file: path.join(dir, `${safeName}-${timestamp}.har`),
+        startedAt: new Date().toISOString(),
+        entries: [],
+      };
+      flush();
+      return { file: recording.file, startedAt: recording.startedAt };
+    },
+
+    stop() {
+      if (!recording) {
+        throw new Error('Not recording. Use api_recording_start first.');
+      }
+      flush();
+      const stopped = { file: recording.file, startedAt: recording.startedAt, entries: recording.entries.length };
+      recording = null;
+      return stopped;
+    },
+
+    record(entry) {
+      if (!recording) {
+        return;
+      }
+      recording.entries.push(entry);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        flushTimer.unref();
+      }
+    },
+
+    flush,
+  };
+}
+
+// Read a HAR file from the recordings directory (a bare name or a path inside it)
+export function loadHar(dir, file) {
+  const resolved = path.resolve(dir, file);
+  if (path.relative(dir, resolved).startsWith('..') || path.isAbsolute(path.relative(dir, resolved))) {
+    throw new Error(`HAR file must be inside ${dir}`);
+  }
+  const candidates = path.extname(resolved) ? [resolved] : [resolved, `${resolved}.har`];
+  const found = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`HAR file "${file}" not found in ${dir}`);
+  }
+  let har;
+  try {
+    har = JSON.parse(fs.readFileSync(found, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot parse ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(har?.log?.entries)) {
+    throw new Error(`${file} is not a HAR file (no log.entries)`);
+  }
+  return { file: found, entries: har.log.entries };
+}
+
+/**
+ * The request of a HAR entry as { method, endpoint, headers, body } for replay against another base URL.
+ * Connection headers and redacted values are dropped; redacted is true when the body or query string had
+ * secrets removed (e.g. a login), as such a request cannot be sent again as recorded.
+ */
+export function replayRequest(entry) {
+  const url = new URL(entry.request.url);
+  const headers = Object.fromEntries(
+    (entry.request.headers || [])
+      .filter(
+        ({ name, value }) => !CONNECTION_HEADERS.includes(name.toLowerCase()) && !String(value).includes('[REDACTED')
+      )
+      .map(({ name, value }) => [name, value])
+  );
+  const body = entry.request.postData?.text;
+  return {
+    method: entry.request.method.toUpperCase(),
+    endpoint: `${url.pathname}${url.search}`,
+    headers,
+    body: body || undefined,
+    redacted: Boolean(body?.includes('[REDACTED') || url.search.includes('%5BREDACTED%5D')),
+  };
+}
+
+// A recorded response body, parsed when it is JSON
+export function recordedBody(entry) {
+  const text = entry.response?.content?.text;
+  if (text === undefined || text === '') {
+    return text;
+  }
+  try {
+    return JSON.parse(entry.response.content.encoding === 'base64' ? Buffer.from(text, 'base64').toString() : text);
+  } catch {
+    return text;
+  }
+}
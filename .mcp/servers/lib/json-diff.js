@@ -0,0 +1,67 @@
+/**
+ * Structural JSON diff for comparing API responses
+ * Differences are reported by JSONPath; volatile fields (ids, timestamps, tokens) can be left out so two runs
+ * of the same request compare equal
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keys whose values change from run to run: id, customerId, createdAt, orderDate, token...
+export function isVolatileKey(key) {
+  return /^id$|^[a-z]\w*Id$|^[a-z]\w*At$/.test(key) || /date|time|token|etag/i.test(key);
+}
+
+const formatKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key}']`);
+
+/**
+ * Compare two JSON values. Returns { count, differences: [{ path, kind, expected, actual }] } with at most limit
+ * differences listed; kind is changed, missing (only in expected), added (only in actual) or length.
+ * ignoreKey(key) skips object keys; expected values starting with [REDACTED are not compared.
+ */
+export function diffJson(expected, actual, { ignoreKey = () => false, limit = 20 } = {}) {
+  const differences = [];
+  let count = 0;
+  const report = (difference) => {
+    count++;
+    if (differences.length < limit) {
+      differences.push(difference);
+    }
+  };
+
+  function walk(a, b, path) {
+    if (typeof a === 'string' && a.startsWith('[REDACTED')) {
+      return;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      if (a.length !== b.length) {
+        report({ path, kind: 'length', expected: a.length, actual: b.length });
+      }
+      for (let index = 0; index < Math.min(a.length, b.length); index++) {
+        walk(a[index], b[index], `${path}[${index}]`);
+      }
+      return;
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+      for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (ignoreKey(key)) {
+          continue;
+        }
+        const childPath = `${path}${formatKey(key)}`;
+        if (!Object.hasOwn(b, key)) {
+          report({ path: childPath, kind: 'missing', expected: a[key] });
+        } else if (!Object.hasOwn(a, key)) {
+          report({ path: childPath, kind: 'added', actual: b[key] });
+        } else {
+          walk(a[key], b[key], childPath);
+        }
+      }
+      return;
+    }
+    if (a !== b) {
+      report({ path, kind: 'changed', expected: a, actual: b });
+    }
+  }
+
+  walk(expected, actual, '$');
+  return { count, differences };
+}
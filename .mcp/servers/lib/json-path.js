@@ -0,0 +1,98 @@
+/**
+ * Minimal JSONPath for capturing values from API responses and asserting on them
+ * Supports $, .name, ['name'], [index] (negative counts from the end), [*] / .* and ..name (recursive descent);
+ * a path without the leading $ (e.g. data.token) is read from the root
+ */
+
+const TOKEN_PATTERN =
+  /\.\.([\w$-]+|\*)|\.([\w$-]+|\*)|\[\s*(-?\d+)\s*\]|\[\s*\*\s*\]|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]/y;
+
+const parsedPaths = new Map();
+
+function parsePath(path) {
+  if (parsedPaths.has(path)) {
+    return parsedPaths.get(path);
+  }
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error('JSONPath must be a non-empty string');
+  }
+  let text = path.trim();
+  if (text.startsWith('$')) {
+    text = text.slice(1);
+  } else if (!text.startsWith('.') && !text.startsWith('[')) {
+    text = `.${text}`;
+  }
+
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Invalid JSONPath "${path}" at "${text.slice(start)}"`);
+    }
+    const [, descendant, child, index, quoted, doubleQuoted] = match;
+    if (descendant !== undefined) {
+      tokens.push({ type: 'descendant', name: descendant });
+    } else if (child === '*' || (child === undefined && index === undefined && quoted === undefined && doubleQuoted === undefined)) {
+      tokens.push({ type: 'wildcard' });
+    } else if (index !== undefined) {
+      tokens.push({ type: 'index', index: parseInt(index) });
+    } else {
+      tokens.push({ type: 'child', name: child ?? quoted ?? doubleQuoted });
+    }
+  }
+  parsedPaths.set(path, tokens);
+  return tokens;
+}
+
+function childrenOf(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value !== null && typeof value === 'object' ? Object.values(value) : [];
+}
+
+// Every value below (and including) the given one, depth first
+function descendantsOf(value) {
+  return [value, ...childrenOf(value).flatMap(descendantsOf)];
+}
+
+function step(values, token) {
+  return values.flatMap((value) => {
+    switch (token.type) {
+      case 'child':
+        return value !== null && typeof value === 'object' && Object.hasOwn(value, token.name)
+          ? [value[token.name]]
+          : [];
+      case 'index': {
+        if (!Array.isArray(value)) {
+          return [];
+        }
+        const index = token.index < 0 ? value.length + token.index : token.index;
+        return index >= 0 && index < value.length ? [value[index]] : [];
+      }
+      case 'wildcard':
+        return childrenOf(value);
+      default:
+        return descendantsOf(value).flatMap((item) =>
+          token.name === '*' ? childrenOf(item) : step([item], { type: 'child', name: token.name })
+        );
+    }
+  });
+}
+
+// All values matched by a path, in document order
+export function queryJsonPath(root, path) {
+  return parsePath(path).reduce(step, [root]);
+}
+
+/**
+ * The value at a path: a single value for a definite path (names and indexes only), undefined when nothing matches,
+ * or the array of matches for a path with wildcards or recursive descent.
+ */
+export function readJsonPath(root, path) {
+  const values = queryJsonPath(root, path);
+  const definite = parsePath(path).every((token) => token.type === 'child' || token.type === 'index');
+  return definite ? values[0] : values;
+}
@@ -0,0 +1,86 @@
+/**
+ * JWT decoding for api_inspect_token and token expiry tracking
+ * Tokens are decoded, not verified: the signature key stays with the API
+ */
+
+// ASP.NET Core writes ClaimTypes as URIs; they are shown by their short names
+const CLAIM_URIS = {
+  'http://schemas.microsoft.com/ws/2008/06/identity/claims/role': 'role',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/nameidentifier': 'nameid',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name': 'name',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress': 'email',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname': 'given_name',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname': 'family_name',
+};
+
+function decodeSegment(segment, part) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error(`Invalid JWT: the ${part} is not base64url-encoded JSON`);
+  }
+}
+
+export function decodeJwt(token) {
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    throw new Error('Invalid JWT: expected three dot-separated segments');
+  }
+  return { header: decodeSegment(segments[0], 'header'), payload: decodeSegment(segments[1], 'payload') };
+}
+
+const toIso = (seconds) => (typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : undefined);
+
+// Seconds until the token's exp claim, or null when it has none or cannot be decoded
+export function secondsUntilExpiry(token, now = Date.now()) {
+  try {
+    const { exp } = decodeJwt(token).payload;
+    return typeof exp === 'number' ? Math.floor(exp - now / 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Header, claims (ClaimTypes URIs shortened), roles, issuer, audience and validity times of a token,
+ * with warnings when it is expired, expires within warnBeforeSeconds, is not yet valid or is unsigned.
+ */
+export function inspectJwt(token, { warnBeforeSeconds = 300, now = Date.now() } = {}) {
+  const { header, payload } = decodeJwt(token);
+  const claims = Object.fromEntries(
+    Object.entries(payload).map(([claim, value]) => [CLAIM_URIS[claim] || claim, value])
+  );
+  const roles = [claims.role ?? claims.roles ?? []].flat();
+  const expiresInSeconds = typeof payload.exp === 'number' ? Math.floor(payload.exp - now / 1000) : null;
+
+  const warnings = [];
+  if (expiresInSeconds === null) {
+    warnings.push('The token has no exp claim and never expires');
+  } else if (expiresInSeconds <= 0) {
+    warnings.push(`The token expired ${-expiresInSeconds} seconds ago`);
+  } else if (expiresInSeconds <= warnBeforeSeconds) {
+    warnings.push(`The token expires in ${expiresInSeconds} seconds`);
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf > now / 1000) {
+    warnings.push(`The token is not valid before ${toIso(payload.nbf)}`);
+  }
+  if (String(header.alg).toLowerCase() === 'none') {
+    warnings.push('The token is unsigned (alg "none")');
+  }
+
+  return {
+    header,
+    claims,
+    subject: claims.sub ?? claims.nameid,
+    email: claims.email,
+    roles,
+    issuer: claims.iss,
+    audience: claims.aud,
+    issuedAt: toIso(payload.iat),
+    notBefore: toIso(payload.nbf),
+    expiresAt: toIso(payload.exp),
+    expiresInSeconds,
+    expired: expiresInSeconds !== null && expiresInSeconds <= 0,
+    warnings,
+  };
+}
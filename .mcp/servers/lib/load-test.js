@@ -0,0 +1,148 @@
+/**
+ * Load generation for api_load_test
+ * Runs a request (or a whole scenario) a fixed number of times, for a duration or at a target rate, with a
+ * concurrency limit, and summarizes throughput, error rate, status distribution and latency percentiles.
+ * Safety caps bound every run so a typo cannot turn into a runaway load.
+ */
+
+const DEFAULT_REQUESTS = 100;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_RATE_DURATION_SECONDS = 10;
+
+/**
+ * Check the load options against the caps and fill in defaults:
+ * requests (fixed count), durationSeconds, rps (target rate) and concurrency.
+ * A duration without a count or rate runs as fast as the concurrency allows, up to maxRequests.
+ */
+export function planLoad(options, caps) {
+  const { requests, durationSeconds, rps, concurrency = DEFAULT_CONCURRENCY } = options;
+  const positive = (value, name) => {
+    if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+      throw new Error(`${name} must be a positive number`);
+    }
+  };
+  positive(requests, 'requests');
+  positive(durationSeconds, 'durationSeconds');
+  positive(rps, 'rps');
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency must be a positive integer');
+  }
+  if (requests !== undefined && !Number.isInteger(requests)) {
+    throw new Error('requests must be an integer');
+  }
+
+  const plan = {
+    requests: requests ?? (durationSeconds === undefined && rps === undefined ? DEFAULT_REQUESTS : undefined),
+    durationSeconds:
+      durationSeconds ?? (rps !== undefined && requests === undefined ? DEFAULT_RATE_DURATION_SECONDS : undefined),
+    rps,
+    concurrency,
+  };
+
+  if (plan.requests > caps.maxRequests) {
+    throw new Error(`requests (${plan.requests}) exceeds the safety cap of ${caps.maxRequests} (API_LOAD_MAX_REQUESTS)`);
+  }
+  if (plan.durationSeconds > caps.maxDurationSeconds) {
+    throw new Error(
+      `durationSeconds (${plan.durationSeconds}) exceeds the safety cap of ${caps.maxDurationSeconds} (API_LOAD_MAX_DURATION_SECONDS)`
+    );
+  }
+  if (concurrency > caps.maxConcurrency) {
+    throw new Error(`concurrency (${concurrency}) exceeds the safety cap of ${caps.maxConcurrency} (API_LOAD_MAX_CONCURRENCY)`);
+  }
+  if (rps !== undefined && plan.requests === undefined && rps * plan.durationSeconds > caps.maxRequests) {
+    throw new Error(
+      `rps × durationSeconds (${Math.ceil(rps * plan.durationSeconds)} requests) exceeds the safety cap of ${caps.maxRequests} (API_LOAD_MAX_REQUESTS)`
+    );
+  }
+  return plan;
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run iterate() as planned. iterate resolves to { status, error }, where status is an HTTP status or a label
+ * (e.g. "passed"/"failed" for scenarios) and error marks a failed iteration; it must not throw.
+ */
+export async function runLoad(iterate, plan, caps) {
+  const startedAt = performance.now();
+  const deadline = plan.durationSeconds ? startedAt + plan.durationSeconds * 1000 : Infinity;
+  const limit = Math.min(plan.requests ?? Infinity, caps.maxRequests);
+
+  const latencies = [];
+  const statuses = {};
+  const errorSamples = [];
+  let errors = 0;
+  let started = 0;
+
+  async function worker() {
+    while (started < limit) {
+      const index = started++;
+      if (plan.rps) {
+        // Requests start on a fixed schedule; a slow API makes them queue behind the concurrency limit
+        const slot = startedAt + (index * 1000) / plan.rps;
+        if (slot >= deadline) {
+          return;
+        }
+        if (slot > performance.now()) {
+          await sleep(slot - performance.now());
+        }
+      }
+      if (performance.now() >= deadline) {
+        return;
+      }
+
+      const requestStartedAt = performance.now();
+      const outcome = await iterate();
+      latencies.push(performance.now() - requestStartedAt);
+      const status = outcome.status ?? 'no response';
+      statuses[status] = (statuses[status] || 0) + 1;
+      if (outcome.error) {
+        errors++;
+        if (errorSamples.length < 5 && !errorSamples.includes(outcome.error)) {
+          errorSamples.push(outcome.error);
+        }
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: plan.concurrency }, worker));
+
+  const durationMs = performance.now() - startedAt;
+  const completed = latencies.length;
+  const sorted = latencies.sort((a, b) => a - b);
+  let stoppedBy = 'requests';
+  if (plan.requests === undefined && completed >= caps.maxRequests) {
+    stoppedBy = 'safety cap';
+  } else if (plan.requests === undefined || completed < plan.requests) {
+    stoppedBy = 'duration';
+  }
+
+  return {
+    requests: completed,
+    durationMs: Math.round(durationMs),
+    stoppedBy,
+    throughputRps: round(completed / (durationMs / 1000)),
+    ...(plan.rps ? { targetRps: plan.rps } : {}),
+    errors,
+    errorRate: completed > 0 ? Math.round((errors / completed) * 10000) / 10000 : 0,
+    statusDistribution: statuses,
+    latencyMs:
+      completed > 0
+        ? {
+            min: round(sorted[0]),
+            mean: round(sorted.reduce((sum, value) => sum + value, 0) / completed),
+            p50: round(percentile(sorted, 50)),
+            p90: round(percentile(sorted, 90)),
+            p99: round(percentile(sorted, 99)),
+            max: round(sorted[completed - 1]),
+          }
+        : null,
+    ...(errorSamples.length > 0 ? { errorSamples } : {}),
+  };
+}
@@ -0,0 +1,766 @@
+/**
+ * In-memory Coffee Restaurant API for the mock API server
+ * Implements the Auth, CoffeeItems and Orders controllers with their routes, ApiResponse envelope, model binding
+ * errors, validator messages and [Authorize] rules, so the API tester can run without the .NET API and SQL Server.
+ * State starts from the SQLite seed data and lives in memory until the server stops or POST /mock/reset.
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createSqliteDriver } from './drivers/sqlite-driver.js';
+
+// appsettings.json Jwt section
+export const DEFAULT_JWT = {
+  secret: 'your-super-secret-key-with-at-least-32-characters',
+  issuer: 'CoffeeRestaurant',
+  audience: 'CoffeeRestaurant',
+  lifetimeSeconds: 24 * 60 * 60,
+};
+
+// DataSeeder's admin, the only user the API seeds
+const SEED_USERS = [
+  {
+    id: 'a0000000-0000-4000-8000-000000000001',
+    email: 'admin@coffeerestaurant.com',
+    password: 'Admin123!',
+    firstName: 'Admin',
+    lastName: 'User',
+    phoneNumber: null,
+    roles: ['Admin'],
+  },
+];
+
+const GUID_PATTERN = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$|^[0-9a-f]{32}$/i;
+const EMPTY_GUID = '00000000-0000-0000-0000-000000000000';
+
+// ---------------------------------------------------------------------------------------------------------------
+// JWT (HS256, the claims JwtSecurityTokenHandler writes for JwtService.GenerateToken)
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const signature = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+export function signJwt(user, { secret, issuer, audience, lifetimeSeconds }) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    nameid: user.id,
+    email: user.email,
+    unique_name: `${user.firstName} ${user.lastName}`,
+    given_name: user.firstName,
+    family_name: user.lastName,
+    ...(user.roles.length > 0 ? { role: user.roles.length === 1 ? user.roles[0] : user.roles } : {}),
+    nbf: now,
+    exp: now + lifetimeSeconds,
+    iat: now,
+    iss: issuer,
+    aud: audience,
+  };
+  const data = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+  return { token: `${data}.${signature(data, secret)}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Validate a bearer token like the JwtBearer options (signature, issuer, audience, lifetime, zero clock skew).
+ * Returns { payload } or { error } with the WWW-Authenticate error description.
+ */
+export function verifyJwt(token, { secret, issuer, audience }) {
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    return { error: 'The token is malformed' };
+  }
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(segments[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(segments[1], 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'The token is malformed' };
+  }
+  const expected = Buffer.from(signature(`${segments[0]}.${segments[1]}`, secret));
+  const actual = Buffer.from(segments[2]);
+  if (header.alg !== 'HS256' || expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { error: 'The signature is invalid' };
+  }
+  if (payload.iss !== issuer) {
+    return { error: 'The issuer is invalid' };
+  }
+  if (![payload.aud].flat().includes(audience)) {
+    return { error: 'The audience is invalid' };
+  }
+  const now = Date.now() / 1000;
+  if (typeof payload.exp !== 'number' || payload.exp <= now) {
+    return { error: `The token expired at '${new Date((payload.exp ?? 0) * 1000).toUTCString()}'` };
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf > now) {
+    return { error: `The token is not valid before '${new Date(payload.nbf * 1000).toUTCString()}'` };
+  }
+  return { payload };
+}
+
+// ---------------------------------------------------------------------------------------------------------------
+// Responses
+
+// ApiResponse<T>, serialized with the properties in declaration order and nulls kept
+const success = (data, message = null) => ({ status: 200, body: { success: true, message, data, errors: null } });
+const failure = (status, message, errors = null) => ({
+  status,
+  body: { success: false, message, data: null, errors },
+});
+
+const traceId = () => `00-${randomBytes(16).toString('hex')}-${randomBytes(8).toString('hex')}-00`;
+
+// [ApiController]'s automatic 400 for model binding errors
+function problemDetails(errors) {
+  return {
+    status: 400,
+    headers: { 'Content-Type': 'application/problem+json; charset=utf-8' },
+    body: {
+      type: 'https://tools.ietf.org/html/rfc9110#section-15.5.1',
+      title: 'One or more validation errors occurred.',
+      status: 400,
+      errors,
+      traceId: traceId(),
+    },
+  };
+}
+
+// An exception escaping a handler; the developer exception page answers plain-text requests like this
+const serverError = (text) => ({ status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, text });
+
+const foreignKeyViolation = (table, column, referenced) =>
+  serverError(
+    'Microsoft.EntityFrameworkCore.DbUpdateException: An error occurred while saving the entity changes. ' +
+      'See the inner exception for details.\n ---> Microsoft.Data.SqlClient.SqlException (0x80131904): ' +
+      `The INSERT statement conflicted with the FOREIGN KEY constraint "FK_${table}_${referenced}_${column}".`
+  );
+
+// ---------------------------------------------------------------------------------------------------------------
+// Model binding (System.Text.Json web defaults: camelCase, case-insensitive, numbers may be quoted)
+
+// Field types: string (non-nullable, so implicitly [Required]), string?, guid, int, decimal, or a nested schema list
+const REQUEST_SCHEMAS = {
+  RegisterRequest: {
+    email: 'string',
+    password: 'string',
+    firstName: 'string',
+    lastName: 'string',
+    phoneNumber: 'string?',
+  },
+  LoginRequest: { email: 'string', password: 'string' },
+  CreateCoffeeItemCommand: {
+    name: 'string',
+    description: 'string',
+    price: 'decimal',
+    categoryId: 'guid',
+    imageUrl: 'string?',
+  },
+  CreateOrderCommand: { customerId: 'guid', orderItems: ['CreateOrderItemRequest'], notes: 'string?' },
+  CreateOrderItemRequest: { coffeeItemId: 'guid', quantity: 'int', specialInstructions: 'string?' },
+};
+
+const CLR_TYPES = {
+  string: 'System.String',
+  'string?': 'System.String',
+  guid: 'System.Guid',
+  int: 'System.Int32',
+  decimal: 'System.Decimal',
+};
+const DEFAULTS = { string: '', 'string?': null, guid: EMPTY_GUID, int: 0, decimal: 0 };
+
+const pascalCase = (name) => name[0].toUpperCase() + name.slice(1);
+const requiredMessage = (name) => [`The ${name} field is required.`];
+const conversionMessage = (type, path) => [`The JSON value could not be converted to ${type}. Path: ${path}.`];
+const isNumeric = (value) => typeof value === 'string' && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value.trim());
+
+// Convert one JSON value, or return undefined when System.Text.Json could not
+function convert(type, value) {
+  if (value === null) {
+    return ['string', 'string?'].includes(type) ? null : undefined;
+  }
+  switch (type) {
+    case 'string':
+    case 'string?':
+      return typeof value === 'string' ? value : undefined;
+    case 'guid':
+      return typeof value === 'string' && GUID_PATTERN.test(value)
+        ? value.replace(/[{}]/g, '').replace(/^(\w{8})(\w{4})(\w{4})(\w{4})(\w{12})$/, '$1-$2-$3-$4-$5').toLowerCase()
+        : undefined;
+    case 'int': {
+      const number = typeof value === 'number' ? value : isNumeric(value) ? Number(value) : NaN;
+      return Number.isInteger(number) && Math.abs(number) <= 2 ** 31 - 1 ? number : undefined;
+    }
+    case 'decimal': {
+      const number = typeof value === 'number' ? value : isNumeric(value) ? Number(value) : NaN;
+      return Number.isFinite(number) && Math.abs(number) < 7.9e28 ? number : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Bind a JSON body to a request schema. Returns { value } or { errors } keyed like ModelState:
+ * "$.path" for values that could not be converted, "Name" / "OrderItems[0].Name" for missing required fields,
+ * and the action parameter when the body could not be read at all.
+ */
+function bindBody(text, schemaName, parameter) {
+  if (text.trim() === '') {
+    return { errors: { '': ['A non-empty request body is required.'], [parameter]: requiredMessage(parameter) } };
+  }
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    return {
+      errors: { $: [`The request body is not valid JSON: ${error.message}`], [parameter]: requiredMessage(parameter) },
+    };
+  }
+
+  const conversionErrors = {};
+  const requiredErrors = {};
+
+  function bindObject(object, name, path, modelPath) {
+    if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+      conversionErrors[path] = conversionMessage(`CoffeeRestaurant.${name}`, path);
+      return undefined;
+    }
+    const schema = REQUEST_SCHEMAS[name];
+    const lowerKeys = new Map(Object.keys(object).map((key) => [key.toLowerCase(), key]));
+    const value = {};
+    for (const [field, type] of Object.entries(schema)) {
+      const key = lowerKeys.get(field.toLowerCase());
+      const fieldPath = `${path}.${field}`;
+      const modelField = `${modelPath}${pascalCase(field)}`;
+      if (Array.isArray(type)) {
+        const list = key === undefined ? [] : object[key];
+        if (list === null) {
+          requiredErrors[modelField] = requiredMessage(pascalCase(field));
+        } else if (!Array.isArray(list)) {
+          conversionErrors[fieldPath] = conversionMessage(`System.Collections.Generic.List\`1[${type[0]}]`, fieldPath);
+        } else {
+          value[field] = list.map((entry, index) =>
+            bindObject(entry, type[0], `${fieldPath}[${index}]`, `${modelField}[${index}].`)
+          );
+        }
+        continue;
+      }
+      if (key === undefined) {
+        value[field] = DEFAULTS[type];
+      } else {
+        const converted = convert(type, object[key]);
+        if (converted === undefined) {
+          conversionErrors[fieldPath] = conversionMessage(CLR_TYPES[type], fieldPath);
+          continue;
+        }
+        value[field] = converted;
+      }
+      if (type === 'string' && !value[field]) {
+        requiredErrors[modelField] = requiredMessage(pascalCase(field));
+      }
+    }
+    return value;
+  }
+
+  const value = bindObject(json, schemaName, '$', '');
+  // A body that failed to deserialize binds as null, so the parameter itself is reported missing too
+  if (Object.keys(conversionErrors).length > 0) {
+    return { errors: { ...conversionErrors, [parameter]: requiredMessage(parameter) } };
+  }
+  if (Object.keys(requiredErrors).length > 0) {
+    return { errors: requiredErrors };
+  }
+  return { value };
+}
+
+// ---------------------------------------------------------------------------------------------------------------
+// Validation (FluentValidation validators and ASP.NET Core Identity options)
+
+function validateCoffeeItem(command) {
+  const errors = [];
+  if (!command.name.trim()) {
+    errors.push('Name is required.');
+  } else if (command.name.length > 100) {
+    errors.push('Name must not exceed 100 characters.');
+  }
+  if (!command.description.trim()) {
+    errors.push('Description is required.');
+  } else if (command.description.length > 500) {
+    errors.push('Description must not exceed 500 characters.');
+  }
+  if (!(command.price > 0)) {
+    errors.push('Price must be greater than 0.');
+  }
+  if (command.categoryId === EMPTY_GUID) {
+    errors.push('Category is required.');
+  }
+  return errors;
+}
+
+function validateOrder(command) {
+  const errors = [];
+  if (command.customerId === EMPTY_GUID) {
+    errors.push('Customer is required.');
+  }
+  if (command.orderItems.length === 0) {
+    errors.push('Order must contain at least one item.');
+  }
+  for (const item of command.orderItems) {
+    if (item.coffeeItemId === EMPTY_GUID) {
+      errors.push('Coffee item is required.');
+    }
+    if (item.quantity <= 0) {
+      errors.push('Quantity must be greater than 0.');
+    } else if (item.quantity > 10) {
+      errors.push('Quantity cannot exceed 10.');
+    }
+    if (item.specialInstructions && item.specialInstructions.length > 200) {
+      errors.push('Special instructions must not exceed 200 characters.');
+    }
+  }
+  return errors;
+}
+
+// UserManager.CreateAsync: the user validator first, then the password validator
+function validateNewUser(request) {
+  const email = request.email;
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+    return [`Email '${email}' is invalid.`];
+  }
+  if (!/^[A-Za-z0-9\-._@+]+$/.test(email)) {
+    return [`Username '${email}' is invalid, can only contain letters or digits.`];
+  }
+  const password = request.password;
+  const errors = [];
+  if (password.length < 8) {
+    errors.push('Passwords must be at least 8 characters.');
+  }
+  if (!/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Passwords must have at least one non alphanumeric character.');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push("Passwords must have at least one digit ('0'-'9').");
+  }
+  if (!/[a-z]/.test(password)) {
+    errors.push("Passwords must have at least one lowercase ('a'-'z').");
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push("Passwords must have at least one uppercase ('A'-'Z').");
+  }
+  return errors;
+}
+
+// The FluentValidation ValidationException is answered as a 400 with the messages in errors
+const validationFailed = (errors) => failure(400, 'Validation failed.', errors);
+
+// ---------------------------------------------------------------------------------------------------------------
+// State
+
+const lower = (id) => (id === null || id === undefined ? null : String(id).toLowerCase());
+const money = (value) => Math.round(value * 100) / 100;
+
+// Read the SQLite seed data (sqlite/seed.sql) into plain objects keyed by lower-case id
+export async function loadSeedState() {
+  const driver = createSqliteDriver();
+  await driver.connect();
+  const rows = async (table) => (await driver.query(`SELECT * FROM ${table}`)).recordset;
+  const byId = (list, map) => new Map(list.map((row) => [lower(row.Id), map(row)]));
+
+  const categories = byId(await rows('Categories'), (row) => ({
+    id: lower(row.Id),
+    name: row.Name,
+    description: row.Description,
+  }));
+  const coffeeItems = byId(await rows('CoffeeItems'), (row) => ({
+    id: lower(row.Id),
+    name: row.Name,
+    description: row.Description,
+    price: row.Price,
+    isAvailable: row.IsAvailable,
+    imageUrl: row.ImageUrl,
+    categoryId: lower(row.CategoryId),
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt,
+  }));
+  const customers = byId(await rows('Customers'), (row) => ({
+    id: lower(row.Id),
+    name: row.Name,
+    email: row.Email,
+    phone: row.Phone,
+  }));
+  const baristas = byId(await rows('Baristas'), (row) => ({ id: lower(row.Id), userId: row.UserId, name: row.Name }));
+  const orderItems = await rows('OrderItems');
+  const orders = byId(await rows('Orders'), (row) => ({
+    id: lower(row.Id),
+    customerId: lower(row.CustomerId),
+    baristaId: lower(row.BaristaId),
+    orderDate: row.OrderDate,
+    totalPrice: row.TotalPrice,
+    status: row.Status,
+    notes: row.Notes,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt,
+    orderItems: orderItems
+      .filter((item) => lower(item.OrderId) === lower(row.Id))
+      .map((item) => ({
+        id: lower(item.Id),
+        coffeeItemId: lower(item.CoffeeItemId),
+        quantity: item.Quantity,
+        unitPrice: item.UnitPrice,
+        subtotal: item.Subtotal,
+        specialInstructions: item.SpecialInstructions,
+      })),
+  }));
+  return { categories, coffeeItems, customers, baristas, orders };
+}
+
+// ---------------------------------------------------------------------------------------------------------------
+// API
+
+/**
+ * Create the mock API: { handle(request, response), reset() }. jwt overrides DEFAULT_JWT (e.g. a short
+ * lifetimeSeconds to exercise token renewal); seed is the result of loadSeedState().
+ */
+export function createMockApi({ seed, jwt = {} }) {
+  const jwtOptions = { ...DEFAULT_JWT, ...jwt };
+  let state;
+
+  function reset() {
+    const clone = (map) => new Map([...map].map(([id, row]) => [id, structuredClone(row)]));
+    state = {
+      categories: clone(seed.categories),
+      coffeeItems: clone(seed.coffeeItems),
+      customers: clone(seed.customers),
+      baristas: clone(seed.baristas),
+      orders: clone(seed.orders),
+      users: new Map(SEED_USERS.map((user) => [user.email.toLowerCase(), { ...user, isActive: true }])),
+    };
+  }
+  reset();
+
+  const userInfo = (user) => ({
+    id: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phoneNumber: user.phoneNumber,
+    roles: [...user.roles],
+  });
+
+  function tokenResponse(user) {
+    const { token } = signJwt(user, jwtOptions);
+    return {
+      token,
+      refreshToken: 'refresh-token-placeholder',
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      user: userInfo(user),
+    };
+  }
+
+  // AuthController
+
+  function register({ body }) {
+    if (state.users.has(body.email.toLowerCase())) {
+      return failure(400, 'User with this email already exists.');
+    }
+    const errors = validateNewUser(body);
+    if (errors.length > 0) {
+      return failure(400, 'Registration failed.', errors);
+    }
+    const user = {
+      id: randomUUID(),
+      email: body.email,
+      password: body.password,
+      firstName: body.firstName,
+      lastName: body.lastName,
+      phoneNumber: body.phoneNumber,
+      roles: ['Customer'],
+      isActive: true,
+    };
+    state.users.set(user.email.toLowerCase(), user);
+    return success(tokenResponse(user), 'Registration successful.');
+  }
+
+  function login({ body }) {
+    const user = state.users.get(body.email.toLowerCase());
+    if (!user || user.password !== body.password) {
+      return failure(400, 'Invalid email or password.');
+    }
+    if (!user.isActive) {
+      return failure(400, 'Account is deactivated.');
+    }
+    return success(tokenResponse(user), 'Login successful.');
+  }
+
+  function currentUser({ principal }) {
+    const user = [...state.users.values()].find((candidate) => candidate.id === principal.nameid);
+    if (!user) {
+      return failure(404, 'User not found.');
+    }
+    return success(userInfo(user));
+  }
+
+  // CoffeeItemsController
+
+  function listCoffeeItems() {
+    const items = [...state.coffeeItems.values()]
+      .filter((item) => item.isAvailable)
+      .map((item) => {
+        const category = state.categories.get(item.categoryId);
+        return {
+          id: item.id,
+          name: item.name,
+          description: item.description,
+          price: item.price,
+          isAvailable: item.isAvailable,
+          imageUrl: item.imageUrl,
+          categoryId: item.categoryId,
+          categoryName: category.name,
+          categoryDescription: category.description,
+          createdAt: item.createdAt,
+          updatedAt: item.updatedAt,
+        };
+      });
+    return success(items);
+  }
+
+  function createCoffeeItem({ body }) {
+    const errors = validateCoffeeItem(body);
+    if (errors.length > 0) {
+      return validationFailed(errors);
+    }
+    if (!state.categories.has(body.categoryId)) {
+      return foreignKeyViolation('CoffeeItems', 'CategoryId', 'Categories');
+    }
+    const item = {
+      id: randomUUID(),
+      name: body.name,
+      description: body.description,
+      price: money(body.price),
+      isAvailable: true,
+      imageUrl: body.imageUrl,
+      categoryId: body.categoryId,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+    };
+    state.coffeeItems.set(item.id, item);
+    return success({ ...item }, 'Coffee item created successfully.');
+  }
+
+  // OrdersController
+
+  function listOrders() {
+    const orders = [...state.orders.values()]
+      .sort((a, b) => b.orderDate.localeCompare(a.orderDate))
+      .map((order) => {
+        const customer = state.customers.get(order.customerId);
+        return {
+          id: order.id,
+          customerId: order.customerId,
+          customerName: customer.name,
+          customerEmail: customer.email,
+          customerPhone: customer.phone,
+          baristaId: order.baristaId,
+          baristaName: state.baristas.get(order.baristaId)?.name ?? null,
+          orderDate: order.orderDate,
+          totalPrice: order.totalPrice,
+          status: order.status,
+          notes: order.notes,
+          createdAt: order.createdAt,
+          updatedAt: order.updatedAt,
+          orderItems: order.orderItems.map((item) => {
+            const coffeeItem = state.coffeeItems.get(item.coffeeItemId);
+            return {
+              id: item.id,
+              coffeeItemId: item.coffeeItemId,
+              coffeeItemName: coffeeItem.name,
+              coffeeItemDescription: coffeeItem.description,
+              categoryName: state.categories.get(coffeeItem.categoryId).name,
+              quantity: item.quantity,
+              unitPrice: item.unitPrice,
+              subtotal: item.subtotal,
+              specialInstructions: item.specialInstructions,
+            };
+          }),
+        };
+      });
+    return success(orders);
+  }
+
+  // CreateOrderCommandHandler: items whose coffee item does not exist are skipped, not rejected
+  function createOrder({ body }) {
+    const errors = validateOrder(body);
+    if (errors.length > 0) {
+      return validationFailed(errors);
+    }
+    if (!state.customers.has(body.customerId)) {
+      return foreignKeyViolation('Orders', 'CustomerId', 'Customers');
+    }
+    const now = new Date().toISOString();
+    const orderItems = body.orderItems
+      .filter((item) => state.coffeeItems.has(item.coffeeItemId))
+      .map((item) => {
+        const unitPrice = state.coffeeItems.get(item.coffeeItemId).price;
+        return {
+          id: randomUUID(),
+          coffeeItemId: item.coffeeItemId,
+          quantity: item.quantity,
+          unitPrice,
+          subtotal: money(unitPrice * item.quantity),
+          specialInstructions: item.specialInstructions,
+        };
+      });
+    const order = {
+      id: randomUUID(),
+      customerId: body.customerId,
+      baristaId: null,
+      orderDate: now,
+      totalPrice: money(orderItems.reduce((sum, item) => sum + item.subtotal, 0)),
+      status: 'Pending',
+      notes: body.notes,
+      createdAt: now,
+      updatedAt: null,
+      orderItems,
+    };
+    state.orders.set(order.id, order);
+    return success(
+      {
+        id: order.id,
+        customerId: order.customerId,
+        orderDate: order.orderDate,
+        totalPrice: order.totalPrice,
+        status: order.status,
+        notes: order.notes,
+        createdAt: order.createdAt,
+        orderItems: orderItems.map((item) => ({
+          id: item.id,
+          coffeeItemId: item.coffeeItemId,
+          coffeeItemName: state.coffeeItems.get(item.coffeeItemId).name,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          subtotal: item.subtotal,
+          specialInstructions: item.specialInstructions,
+        })),
+      },
+      'Order created successfully.'
+    );
+  }
+
+  // auth: undefined (anonymous), 'authenticated' or a list of roles; body: [schema, action parameter name]
+  const routes = [
+    { method: 'POST', path: '/api/auth/register', body: ['RegisterRequest', 'request'], handler: register },
+    { method: 'POST', path: '/api/auth/login', body: ['LoginRequest', 'request'], handler: login },
+    { method: 'GET', path: '/api/auth/me', auth: 'authenticated', handler: currentUser },
+    { method: 'GET', path: '/api/coffeeitems', handler: listCoffeeItems },
+    {
+      method: 'POST',
+      path: '/api/coffeeitems',
+      auth: ['Admin'],
+      body: ['CreateCoffeeItemCommand', 'command'],
+      handler: createCoffeeItem,
+    },
+    { method: 'GET', path: '/api/orders', auth: 'authenticated', handler: listOrders },
+    {
+      method: 'POST',
+      path: '/api/orders',
+      auth: 'authenticated',
+      body: ['CreateOrderCommand', 'command'],
+      handler: createOrder,
+    },
+  ];
+
+  // JwtBearer: a missing or invalid token is a 401 challenge, a missing role a 403, both without a body
+  function authorize(route, headers) {
+    const authorization = headers.authorization || '';
+    if (!route.auth) {
+      return {};
+    }
+    const token = /^Bearer\s+(.+)$/i.exec(authorization)?.[1];
+    const verified = token ? verifyJwt(token, jwtOptions) : null;
+    if (!verified) {
+      return { result: { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } } };
+    }
+    if (verified.error) {
+      return {
+        result: {
+          status: 401,
+          headers: { 'WWW-Authenticate': `Bearer error="invalid_token", error_description="${verified.error}"` },
+        },
+      };
+    }
+    const roles = [verified.payload.role ?? []].flat();
+    if (Array.isArray(route.auth) && !route.auth.some((role) => roles.includes(role))) {
+      return { result: { status: 403 } };
+    }
+    return { principal: verified.payload };
+  }
+
+  // Route, authorize, bind and run a request; resolves to { status, headers, body | text }
+  function dispatch(method, pathname, headers, text) {
+    const path = pathname.replace(/\/+$/, '').toLowerCase() || '/';
+    if (method === 'POST' && path === '/mock/reset') {
+      reset();
+      return success(null, 'Mock state reset to the seed data.');
+    }
+    const candidates = routes.filter((route) => route.path === path);
+    if (candidates.length === 0) {
+      return { status: 404 };
+    }
+    const route = candidates.find((candidate) => candidate.method === method);
+    if (!route) {
+      return { status: 405, headers: { Allow: candidates.map((candidate) => candidate.method).join(', ') } };
+    }
+
+    const { result, principal } = authorize(route, headers);
+    if (result) {
+      return result;
+    }
+    let body;
+    if (route.body) {
+      const contentType = headers['content-type'] || '';
+      if (!/json/i.test(contentType)) {
+        return {
+          status: 415,
+          headers: { 'Content-Type': 'application/problem+json; charset=utf-8' },
+          body: {
+            type: 'https://tools.ietf.org/html/rfc9110#section-15.5.16',
+            title: 'Unsupported Media Type',
+            status: 415,
+            traceId: traceId(),
+          },
+        };
+      }
+      const bound = bindBody(text, ...route.body);
+      if (bound.errors) {
+        return problemDetails(bound.errors);
+      }
+      body = bound.value;
+    }
+    return route.handler({ body, principal });
+  }
+
+  async function handle(request, response) {
+    const chunks = [];
+    for await (const chunk of request) {
+      chunks.push(chunk);
+    }
+    const url = new URL(request.url, 'http://localhost');
+    let result;
+    try {
+      result = dispatch(request.method, url.pathname, request.headers, Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      result = serverError(error.stack || String(error));
+    }
+
+    const headers = { ...result.headers };
+    let payload = '';
+    if (result.body !== undefined) {
+      payload = JSON.stringify(result.body);
+      headers['Content-Type'] ??= 'application/json; charset=utf-8';
+    } else if (result.text !== undefined) {
+      payload = result.text;
+    }
+    response.writeHead(result.status, { ...headers, 'Content-Length': Buffer.byteLength(payload) });
+    response.end(payload);
+    return result.status;
+  }
+
+  return { handle, reset };
+}
@@ -0,0 +1,314 @@
+/**
+ * OpenAPI-driven tools and contract validation for the API tester
+ * Loads the API's OpenAPI 3 document (URL or file), turns every operation into an MCP tool definition and
+ * validates request bodies and responses against the documented schemas
+ */
+
+import fs from 'node:fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import YAML from 'yaml';
+
+export const GENERATED_TOOL_PREFIX = 'openapi_';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_TOOL_NAME_LENGTH = 64;
+const JSON_CONTENT_TYPES = ['application/json', 'text/json', 'application/*+json'];
+
+// OpenAPI keywords that are not JSON Schema; `nullable` is turned into a type union instead
+const NON_SCHEMA_KEYWORDS = ['nullable', 'example', 'examples', 'xml', 'externalDocs', 'discriminator', 'deprecated'];
+
+/**
+ * Load an OpenAPI 3 document (JSON or YAML) from a local file, or fetch it with the API client;
+ * paths such as /swagger/v1/swagger.json resolve against API_BASE_URL.
+ */
+export async function loadOpenApiDocument(source, httpClient) {
+  let document;
+  try {
+    if (fs.existsSync(source)) {
+      document = YAML.parse(fs.readFileSync(source, 'utf8'));
+    } else {
+      const response = await httpClient.get(source, { responseType: 'text', transformResponse: (data) => data });
+      document = YAML.parse(response.data);
+    }
+  } catch (error) {
+    throw new Error(`Cannot load OpenAPI document ${source}: ${error.message}`);
+  }
+
+  if (typeof document?.openapi !== 'string' || !document.openapi.startsWith('3.')) {
+    throw new Error(
+      `${source} is not an OpenAPI 3 document${document?.swagger ? ' (Swagger 2.0 is not supported)' : ''}`
+    );
+  }
+  if (!document.paths || typeof document.paths !== 'object') {
+    throw new Error(`${source} has no paths`);
+  }
+  return document;
+}
+
+function lookupRef(document, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported (${ref})`);
+  }
+  const target = ref
+    .slice(2)
+    .split('/')
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => node?.[part], document);
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Inline local $refs and convert OpenAPI 3.0 schema details to JSON Schema (nullable -> type union).
+ * A reference back to a schema being expanded becomes {} so recursive models stay finite.
+ */
+export function resolveSchema(schema, document, expanding = new Set()) {
+  if (Array.isArray(schema)) {
+    return schema.map((item) => resolveSchema(item, document, expanding));
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+  if (typeof schema.$ref === 'string') {
+    if (expanding.has(schema.$ref)) {
+      return {};
+    }
+    return resolveSchema(lookupRef(document, schema.$ref), document, new Set([...expanding, schema.$ref]));
+  }
+
+  let resolved = {};
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (NON_SCHEMA_KEYWORDS.includes(keyword)) {
+      continue;
+    }
+    resolved[keyword] =
+      keyword === 'properties'
+        ? Object.fromEntries(
+            Object.entries(value).map(([name, property]) => [name, resolveSchema(property, document, expanding)])
+          )
+        : resolveSchema(value, document, expanding);
+  }
+  if (schema.nullable === true) {
+    if (resolved.type !== undefined) {
+      resolved.type = [...new Set([resolved.type, 'null'].flat())];
+      if (resolved.enum) {
+        resolved.enum = [...resolved.enum, null];
+      }
+    } else {
+      resolved = { anyOf: [resolved, { type: 'null' }] };
+    }
+  }
+  return resolved;
+}
+
+function jsonContentSchema(content, document) {
+  if (!content) {
+    return null;
+  }
+  const type = JSON_CONTENT_TYPES.find((candidate) => content[candidate]) || Object.keys(content)[0];
+  const schema = content[type]?.schema;
+  return schema ? resolveSchema(schema, document) : null;
+}
+
+function toolNameFor(method, path, operationId) {
+  const base = operationId || `${method}_${path.replace(/\{([^}]+)\}/g, 'by_$1')}`;
+  const name = base
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+  return `${GENERATED_TOOL_PREFIX}${name}`.slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+/**
+ * Every operation of the document with its parameters, request body schema and response schemas
+ * (all $refs inlined), plus the name of the MCP tool generated for it.
+ */
+export function listOperations(document) {
+  const operations = [];
+  const usedNames = new Set();
+
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      let toolName = toolNameFor(method, path, operation.operationId);
+      for (let suffix = 2; usedNames.has(toolName); suffix++) {
+        toolName = `${toolNameFor(method, path, operation.operationId).slice(0, MAX_TOOL_NAME_LENGTH - 3)}_${suffix}`;
+      }
+      usedNames.add(toolName);
+
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map((parameter) => (parameter.$ref ? lookupRef(document, parameter.$ref) : parameter))
+        .filter((parameter) => ['path', 'query', 'header'].includes(parameter.in))
+        .map((parameter) => ({
+          name: parameter.name,
+          in: parameter.in,
+          required: parameter.in === 'path' || parameter.required === true,
+          description: parameter.description,
+          schema: resolveSchema(parameter.schema || { type: 'string' }, document),
+        }));
+
+      const requestBody = operation.requestBody?.$ref
+        ? lookupRef(document, operation.requestBody.$ref)
+        : operation.requestBody;
+
+      const responses = Object.fromEntries(
+        Object.entries(operation.responses || {}).map(([status, response]) => {
+          const resolved = response.$ref ? lookupRef(document, response.$ref) : response;
+          return [status, { description: resolved.description, schema: jsonContentSchema(resolved.content, document) }];
+        })
+      );
+
+      operations.push({
+        toolName,
+        method: method.toUpperCase(),
+        path,
+        summary: operation.summary || operation.description,
+        tags: operation.tags || [],
+        parameters,
+        requestBody: requestBody
+          ? { required: requestBody.required === true, schema: jsonContentSchema(requestBody.content, document) }
+          : null,
+        responses,
+      });
+    }
+  }
+  return operations;
+}
+
+// MCP tool definition for one operation: its parameters by name, the request body as `body`
+export function operationToolDefinition(operation) {
+  const properties = {};
+  const required = [];
+  for (const parameter of operation.parameters) {
+    properties[parameter.name] = {
+      ...parameter.schema,
+      description: `${parameter.in} parameter${parameter.description ? `: ${parameter.description}` : ''}`,
+    };
+    if (parameter.required) {
+      required.push(parameter.name);
+    }
+  }
+  if (operation.requestBody) {
+    properties.body = { ...(operation.requestBody.schema || { type: 'object' }), description: 'Request body' };
+    if (operation.requestBody.required) {
+      required.push('body');
+    }
+  }
+  properties.skipRequestValidation = {
+    type: 'boolean',
+    description: 'Optional: Send the request even if it does not match the documented schema',
+  };
+
+  return {
+    name: operation.toolName,
+    description: `${operation.method} ${operation.path}${operation.summary ? ` - ${operation.summary}` : ''} (generated from the OpenAPI document; request and response are checked against it)`,
+    inputSchema: { type: 'object', properties, ...(required.length > 0 ? { required } : {}) },
+  };
+}
+
+/**
+ * Validate requests and responses against an operation's schemas.
+ * Results are { valid, errors: [{ path, message }] }; compiled schemas are cached per operation.
+ */
+export function createContractValidator() {
+  const ajv = new Ajv({
+    strict: false,
+    allErrors: true,
+    logger: false,
+    // Numeric and binary formats only describe the wire type
+    formats: { int32: true, int64: true, float: true, double: true, byte: true, binary: true, password: true },
+  });
+  addFormats(ajv);
+  // .NET writes DateTime values of unspecified kind without an offset
+  ajv.addFormat('date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/i);
+
+  const compiled = new WeakMap();
+  function check(schema, value, prefix = '') {
+    if (!compiled.has(schema)) {
+      compiled.set(schema, ajv.compile(schema));
+    }
+    const validate = compiled.get(schema);
+    if (validate(value)) {
+      return [];
+    }
+    return validate.errors.map((error) => ({
+      path: `${prefix}${error.instancePath || ''}` || '/',
+      message:
+        error.keyword === 'additionalProperties'
+          ? `${error.message} (${error.params.additionalProperty})`
+          : error.message,
+    }));
+  }
+
+  return {
+    // args are the generated tool's arguments: parameters by name and the body as `body`
+    validateRequest(operation, args) {
+      const errors = [];
+      for (const parameter of operation.parameters) {
+        if (args[parameter.name] === undefined) {
+          if (parameter.required) {
+            errors.push({ path: parameter.name, message: `required ${parameter.in} parameter is missing` });
+          }
+          continue;
+        }
+        errors.push(...check(parameter.schema, args[parameter.name], parameter.name));
+      }
+      if (operation.requestBody) {
+        if (args.body === undefined) {
+          if (operation.requestBody.required) {
+            errors.push({ path: 'body', message: 'request body is required' });
+          }
+        } else if (operation.requestBody.schema) {
+          errors.push(...check(operation.requestBody.schema, args.body, 'body'));
+        }
+      }
+      return { valid: errors.length === 0, errors };
+    },
+
+    // The response schema is looked up by exact status, then NXX, then default
+    validateResponse(operation, status, data) {
+      const documentedStatuses = Object.keys(operation.responses);
+      const response =
+        operation.responses[String(status)] ||
+        operation.responses[`${String(status)[0]}XX`] ||
+        operation.responses.default;
+      if (!response) {
+        return {
+          valid: false,
+          documented: false,
+          errors: [{ path: '/', message: `status ${status} is not documented (documented: ${documentedStatuses.join(', ') || 'none'})` }],
+        };
+      }
+      if (!response.schema) {
+        return { valid: true, documented: true, errors: [] };
+      }
+      const errors = check(response.schema, data);
+      return { valid: errors.length === 0, documented: true, errors };
+    },
+  };
+}
+
+/**
+ * Compare the body fields a hand-written tool sends with the documented request schema.
+ * Field names are compared case-insensitively, as ASP.NET Core binds them.
+ */
+export function compareBodyFields(operation, sentFields) {
+  const schema = operation.requestBody?.schema;
+  const documented = Object.keys(schema?.properties || {});
+  const documentedLower = documented.map((field) => field.toLowerCase());
+  const sentLower = sentFields.map((field) => field.toLowerCase());
+  return {
+    undocumentedFields: sentFields.filter((field) => !documentedLower.includes(field.toLowerCase())),
+    missingRequiredFields: (schema?.required || []).filter((field) => !sentLower.includes(field.toLowerCase())),
+    unusedFields: documented.filter(
+      (field) => !sentLower.includes(field.toLowerCase()) && !(schema?.required || []).includes(field)
+    ),
+  };
+}
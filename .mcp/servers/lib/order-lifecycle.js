@@ -0,0 +1,338 @@
+/**
+ * Order state machine conformance for api_order_lifecycle_test
+ * Creates orders through the API and tries every status change, cancellation and barista assignment from every
+ * status: transitions the Order entity allows must succeed, the others must be rejected with its error and leave
+ * the order as it was, and every order's total must be the sum of its items' unit price × quantity
+ */
+
+import { ORDER_STATUSES, ORDER_TRANSITIONS, checkBaristaAssignment, checkStatusTransition } from './order-rules.js';
+import { METHODS } from './scenario-runner.js';
+
+// OrdersController's status endpoints (Admin and Barista). {id} is replaced with the order id.
+export const DEFAULT_LIFECYCLE_ROUTES = {
+  changeStatus: { method: 'PUT', endpoint: '/api/orders/{id}/status' }, // body { status }
+  cancel: { method: 'POST', endpoint: '/api/orders/{id}/cancel' }, // body { reason }
+  assignBarista: { method: 'POST', endpoint: '/api/orders/{id}/assign-barista' }, // body { baristaId }
+};
+
+// Status changes that take a new order from Pending to each status
+const SETUP_PATHS = {
+  Pending: [],
+  InProgress: ['InProgress'],
+  Ready: ['InProgress', 'Ready'],
+  Completed: ['InProgress', 'Ready', 'Completed'],
+  Cancelled: ['Cancelled'],
+};
+
+const money = (value) => Math.round(value * 100) / 100;
+const describeRoute = (route) => `${route.method} ${route.endpoint}`;
+const sameId = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function normalizeRoutes(routes = {}) {
+  if (!isPlainObject(routes)) {
+    throw new Error('routes must be an object');
+  }
+  return Object.fromEntries(
+    Object.entries(DEFAULT_LIFECYCLE_ROUTES).map(([action, defaults]) => {
+      const route = { ...defaults, ...routes[action] };
+      route.method = String(route.method).toUpperCase();
+      if (!METHODS.includes(route.method)) {
+        throw new Error(`routes.${action}.method must be one of: ${METHODS.join(', ')}`);
+      }
+      if (typeof route.endpoint !== 'string' || !route.endpoint.startsWith('/') || !route.endpoint.includes('{id}')) {
+        throw new Error(`routes.${action}.endpoint must be a path starting with / containing {id}`);
+      }
+      return [action, route];
+    })
+  );
+}
+
+// Error text of a response: the ApiResponse message and errors, ProblemDetails errors, or a text body
+function errorText(data) {
+  if (typeof data === 'string') {
+    return data;
+  }
+  if (!isPlainObject(data)) {
+    return '';
+  }
+  const errors = Array.isArray(data.errors) ? data.errors : Object.values(data.errors || {}).flat();
+  return [data.message, data.title, ...errors].filter(Boolean).join(' ');
+}
+
+// A 405, or a 404 that is not an ApiResponse ("Order not found."), means the route does not exist
+const isMissingRoute = (response) =>
+  response.status === 405 || (response.status === 404 && !(isPlainObject(response.data) && 'success' in response.data));
+
+// What the Order entity does: { outcome: 'allowed' | 'no-op' | 'rejected', status, error }
+function expectedOutcome(action, from, target) {
+  try {
+    if (action === 'assignBarista') {
+      checkBaristaAssignment(from);
+      return { outcome: 'allowed', status: 'InProgress' };
+    }
+    if (action === 'cancel') {
+      return checkStatusTransition(from, 'Cancelled')
+        ? { outcome: 'allowed', status: 'Cancelled' }
+        : { outcome: 'no-op', status: from };
+    }
+    // Order.ChangeStatus, which unlike Order.Cancel has no message of its own for a completed order
+    if (from === target) {
+      return { outcome: 'no-op', status: from };
+    }
+    if (!ORDER_TRANSITIONS[from].includes(target)) {
+      throw new Error(`Cannot transition from ${from} to ${target}`);
+    }
+    return { outcome: 'allowed', status: target };
+  } catch (error) {
+    return { outcome: 'rejected', status: from, error: error.message };
+  }
+}
+
+/**
+ * Run the lifecycle. send({ method, endpoint, body }) resolves to { status, data }; customerId must be an
+ * existing Customers row, items ([{ coffeeItemId, quantity }]) defaults to two menu items, and the barista
+ * assignment is only tried when baristaId is given.
+ */
+export async function runOrderLifecycle({ send, customerId, baristaId, items, routes }) {
+  const menuResponse = await send({ method: 'GET', endpoint: '/api/coffeeitems' });
+  if (menuResponse.status !== 200 || !Array.isArray(menuResponse.data?.data)) {
+    throw new Error(`GET /api/coffeeitems returned ${menuResponse.status}: ${errorText(menuResponse.data)}`);
+  }
+  const prices = new Map(menuResponse.data.data.map((item) => [String(item.id).toLowerCase(), item.price]));
+  const orderItems =
+    items ??
+    menuResponse.data.data.slice(0, 2).map((item, index) => ({ coffeeItemId: item.id, quantity: index === 0 ? 2 : 1 }));
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw new Error('items must be a non-empty list (and the menu must not be empty)');
+  }
+  const unknownItem = orderItems.find((item) => !prices.has(String(item.coffeeItemId).toLowerCase()));
+  if (unknownItem) {
+    throw new Error(`Coffee item ${unknownItem.coffeeItemId} is not on the menu (GET /api/coffeeitems)`);
+  }
+
+  const totals = [];
+  const checks = [];
+  const unsupported = {};
+  const unreachable = {};
+
+  async function createOrder() {
+    const response = await send({
+      method: 'POST',
+      endpoint: '/api/orders',
+      body: { customerId, orderItems, notes: 'api_order_lifecycle_test' },
+    });
+    const order = response.data?.data;
+    if (response.status !== 200 || !order?.id) {
+      throw new Error(`POST /api/orders returned ${response.status}: ${errorText(response.data)}`);
+    }
+
+    // Every item is priced from the menu, and the total is the sum of unit price × quantity
+    const problems = [];
+    if (order.status !== 'Pending') {
+      problems.push(`status is ${order.status}, expected Pending`);
+    }
+    if (order.orderItems?.length !== orderItems.length) {
+      problems.push(`${order.orderItems?.length ?? 0} items returned, ${orderItems.length} sent`);
+    }
+    for (const item of order.orderItems || []) {
+      const menuPrice = prices.get(String(item.coffeeItemId).toLowerCase());
+      if (item.unitPrice !== menuPrice) {
+        problems.push(`${item.coffeeItemName}: unitPrice ${item.unitPrice}, menu price ${menuPrice}`);
+      }
+      if (item.subtotal !== money(item.unitPrice * item.quantity)) {
+        const subtotal = money(item.unitPrice * item.quantity);
+        problems.push(`${item.coffeeItemName}: subtotal ${item.subtotal}, expected ${subtotal}`);
+      }
+    }
+    const expectedTotal = money(
+      orderItems.reduce((sum, item) => sum + prices.get(String(item.coffeeItemId).toLowerCase()) * item.quantity, 0)
+    );
+    if (order.totalPrice !== expectedTotal) {
+      problems.push(`totalPrice ${order.totalPrice}, expected ${expectedTotal}`);
+    }
+    totals.push({
+      orderId: order.id,
+      totalPrice: order.totalPrice,
+      expectedTotal,
+      ok: problems.length === 0,
+      problems,
+    });
+    return { id: order.id, totalPrice: expectedTotal };
+  }
+
+  // The order as GET /api/orders lists it
+  async function readOrder(id) {
+    const response = await send({ method: 'GET', endpoint: '/api/orders' });
+    if (response.status !== 200 || !Array.isArray(response.data?.data)) {
+      throw new Error(`GET /api/orders returned ${response.status}: ${errorText(response.data)}`);
+    }
+    return response.data.data.find((order) => order.id === id);
+  }
+
+  function perform(action, order, target) {
+    const route = routes[action];
+    const body = {
+      changeStatus: { status: target },
+      cancel: { reason: 'api_order_lifecycle_test' },
+      assignBarista: { baristaId },
+    }[action];
+    return send({ method: route.method, endpoint: route.endpoint.replace('{id}', order.id), body });
+  }
+
+  // A new order taken to the given status, or { skipped } when that is not possible; a status that could not be
+  // reached once is not tried again, so a session without the rights does not create an order per check
+  async function orderIn(status) {
+    if (SETUP_PATHS[status].length > 0 && unsupported.changeStatus) {
+      return { skipped: `cannot reach ${status}: ${unsupported.changeStatus}` };
+    }
+    if (unreachable[status]) {
+      return { skipped: unreachable[status] };
+    }
+    const order = await createOrder();
+    for (const next of SETUP_PATHS[status]) {
+      const response = await perform('changeStatus', order, next);
+      if (isMissingRoute(response)) {
+        unsupported.changeStatus = `${describeRoute(routes.changeStatus)} returned ${response.status}`;
+        return { skipped: `cannot reach ${status}: ${unsupported.changeStatus}` };
+      }
+      if (response.status >= 300) {
+        const reason = `changing to ${next} returned ${response.status} ${errorText(response.data)}`.trim();
+        unreachable[status] = `cannot reach ${status}: ${reason}`;
+        return { skipped: unreachable[status] };
+      }
+    }
+    return { order };
+  }
+
+  async function check(action, from, target, order) {
+    const expected = expectedOutcome(action, from, target);
+    const label = action === 'changeStatus' ? target : action;
+    const record = {
+      from,
+      action: label,
+      expected: expected.outcome,
+      ...(expected.error ? { expectedError: expected.error } : {}),
+    };
+    const response = await perform(action, order, target);
+    if (isMissingRoute(response)) {
+      unsupported[action] = `${describeRoute(routes[action])} returned ${response.status}`;
+      return { ...record, skipped: unsupported[action] };
+    }
+
+    const after = await readOrder(order.id);
+    const problems = [];
+    const text = errorText(response.data);
+    if (expected.outcome === 'rejected') {
+      if (response.status < 400 || response.status >= 500) {
+        problems.push(`answered ${response.status}, expected a 4xx rejection`);
+      } else if (!text.toLowerCase().includes(expected.error.toLowerCase())) {
+        problems.push(`rejected with "${text}", expected "${expected.error}"`);
+      }
+    } else if (response.status < 200 || response.status >= 300) {
+      problems.push(`answered ${response.status}${text ? ` (${text})` : ''}, expected success`);
+    }
+    if (!after) {
+      problems.push('the order is missing from GET /api/orders');
+    } else {
+      if (after.status !== expected.status) {
+        problems.push(`status is ${after.status} afterwards, expected ${expected.status}`);
+      }
+      if (after.totalPrice !== order.totalPrice) {
+        problems.push(`totalPrice changed to ${after.totalPrice}`);
+      }
+      if (action === 'assignBarista' && expected.outcome === 'allowed' && !sameId(after.baristaId, baristaId)) {
+        problems.push(`baristaId is ${after.baristaId}, expected ${baristaId}`);
+      }
+    }
+    return {
+      ...record,
+      httpStatus: response.status,
+      statusAfter: after?.status ?? null,
+      passed: problems.length === 0,
+      ...(problems.length > 0 ? { problems } : {}),
+      changedOrder: after?.status !== from,
+    };
+  }
+
+  for (const from of ORDER_STATUSES) {
+    const attempts = [
+      ...ORDER_STATUSES.map((target) => ['changeStatus', target]),
+      ['cancel'],
+      ['assignBarista'],
+    ];
+    // Rejections and no-ops share one order per status; each allowed transition gets a fresh one
+    let shared = null;
+    for (const [action, target] of attempts) {
+      const expected = expectedOutcome(action, from, target).outcome;
+      const label = action === 'changeStatus' ? target : action;
+      const skip = (reason) => checks.push({ from, action: label, expected, skipped: reason });
+      if (action === 'assignBarista' && !baristaId) {
+        skip('no baristaId given');
+        continue;
+      }
+      if (unsupported[action]) {
+        skip(unsupported[action]);
+        continue;
+      }
+      const reuse = expected !== 'allowed';
+      const setup = reuse && shared ? { order: shared } : await orderIn(from);
+      if (setup.skipped) {
+        skip(setup.skipped);
+        continue;
+      }
+      const { changedOrder, ...result } = await check(action, from, target, setup.order);
+      checks.push(result);
+      if (reuse) {
+        shared = changedOrder ? null : setup.order;
+      }
+    }
+  }
+
+  const exercised = checks.filter((entry) => !entry.skipped);
+  const failures = [
+    ...exercised.filter((entry) => !entry.passed),
+    ...totals.filter((entry) => !entry.ok).map((entry) => ({ totals: entry })),
+  ];
+  return {
+    passed: failures.length === 0 && Object.keys(unsupported).length === 0 && exercised.length > 0,
+    summary: {
+      transitions: checks.length,
+      exercised: exercised.length,
+      passed: exercised.filter((entry) => entry.passed).length,
+      failed: exercised.filter((entry) => !entry.passed).length,
+      skipped: checks.length - exercised.length,
+      ordersCreated: totals.length,
+      totalMismatches: totals.filter((entry) => !entry.ok).length,
+    },
+    ...(Object.keys(unsupported).length > 0 ? { unsupportedRoutes: unsupported } : {}),
+    failures,
+    checks,
+    totals,
+  };
+}
+
+const ACTION_COLUMNS = [...ORDER_STATUSES, 'cancel', 'assignBarista'];
+const COLUMN_TITLES = { cancel: 'cancel', assignBarista: 'assign barista' };
+
+// Markdown coverage table: one row per starting status, one column per target status or action
+export function renderCoverage(checks) {
+  const lines = [
+    `| From \\ To | ${ACTION_COLUMNS.map((column) => COLUMN_TITLES[column] ?? column).join(' | ')} |`,
+    `|---|${ACTION_COLUMNS.map(() => '---').join('|')}|`,
+  ];
+  for (const from of ORDER_STATUSES) {
+    const cells = ACTION_COLUMNS.map((column) => {
+      const entry = checks.find((candidate) => candidate.from === from && candidate.action === column);
+      if (!entry) {
+        return 'not run';
+      }
+      if (entry.skipped) {
+        return `skipped (${entry.expected})`;
+      }
+      return entry.passed ? `✅ ${entry.expected}` : `**${entry.httpStatus}** ❌ (expected ${entry.expected})`;
+    });
+    lines.push(`| ${from} | ${cells.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
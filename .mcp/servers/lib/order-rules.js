@@ -0,0 +1,59 @@
+/**
+ * Coffee Restaurant business rules
+ * Mirrors the Order and CoffeeItem domain entities so MCP tools enforce the same invariants
+ */
+
+// Order.Status values (OrderStatus enum)
+export const ORDER_STATUSES = ['Pending', 'InProgress', 'Ready', 'Completed', 'Cancelled'];
+
+// Order.ValidateStatusTransition
+export const ORDER_TRANSITIONS = {
+  Pending: ['InProgress', 'Cancelled'],
+  InProgress: ['Ready', 'Cancelled'],
+  Ready: ['Completed', 'Cancelled'],
+  Completed: [],
+  Cancelled: [],
+};
+
+// CoffeeItem.ValidatePrice
+export const MAX_ITEM_PRICE = 10000;
+
+/**
+ * Check a status change the way Order.ChangeStatus / Order.Cancel do.
+ * Returns false when the order is already in that status (no-op), throws when the transition is invalid.
+ */
+export function checkStatusTransition(from, to) {
+  if (from === to) {
+    return false;
+  }
+  if (to === 'Cancelled' && from === 'Completed') {
+    throw new Error('Cannot cancel a completed order');
+  }
+  if (!ORDER_TRANSITIONS[from]?.includes(to)) {
+    throw new Error(`Cannot transition from ${from} to ${to}`);
+  }
+  return true;
+}
+
+// Order.AssignBarista
+export function checkBaristaAssignment(status) {
+  if (status !== 'Pending') {
+    throw new Error('Can only assign barista to pending orders');
+  }
+}
+
+// CoffeeItem.ValidatePrice, plus the decimal(18,2) column scale
+export function checkItemPrice(price) {
+  if (typeof price !== 'number' || !Number.isFinite(price)) {
+    throw new Error('Price must be a number');
+  }
+  if (price <= 0) {
+    throw new Error('Price must be greater than zero');
+  }
+  if (price > MAX_ITEM_PRICE) {
+    throw new Error('Price cannot exceed 10,000');
+  }
+  if (Math.abs(price * 100 - Math.round(price * 100)) > 1e-6) {
+    throw new Error('Price cannot have more than 2 decimal places');
+  }
+}
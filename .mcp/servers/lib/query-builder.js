@@ -0,0 +1,122 @@
+/**
+ * Parameterized SELECT builder shared by the database drivers
+ * Values are always bound as typed parameters; dialect differences (paging) are rendered by the driver
+ */
+
+// Driver-neutral parameter types, named after their SQL Server equivalents
+export const Types = {
+  UniqueIdentifier: { name: 'UniqueIdentifier' },
+  Int: { name: 'Int' },
+  Bit: { name: 'Bit' },
+  DateTime2: { name: 'DateTime2' },
+  NVarChar: (length) => ({ name: 'NVarChar', length }),
+  Decimal: (precision, scale) => ({ name: 'Decimal', precision, scale }),
+};
+
+// Escape LIKE wildcards so user input is matched literally
+export function escapeLike(value) {
+  return value.replace(/[\\%_[]/g, '\\$&');
+}
+
+/**
+ * Composes a SELECT statement from typed inputs.
+ * Every value is bound as a parameter - nothing is spliced into the SQL text.
+ */
+export class QueryBuilder {
+  constructor({ select, from }) {
+    this.select = select;
+    this.from = from;
+    this.conditions = [];
+    this.groupByClause = null;
+    this.orderByClause = null;
+    this.pageParams = null;
+    this.params = [];
+  }
+
+  // Register a bound parameter and return its placeholder
+  addParam(type, value) {
+    const name = `p${this.params.length}`;
+    this.params.push({ name, type, value });
+    return `@${name}`;
+  }
+
+  where(condition) {
+    this.conditions.push(condition);
+    return this;
+  }
+
+  whereEquals(column, type, value) {
+    return this.where(`${column} = ${this.addParam(type, value)}`);
+  }
+
+  whereLike(column, type, value) {
+    const param = this.addParam(type, `%${escapeLike(value)}%`);
+    return this.where(`${column} LIKE ${param} ESCAPE '\\'`);
+  }
+
+  whereIn(column, type, values) {
+    if (values.length === 0) {
+      return this.where('1=0');
+    }
+    const params = values.map((value) => this.addParam(type, value));
+    return this.where(`${column} IN (${params.join(', ')})`);
+  }
+
+  groupBy(columns) {
+    this.groupByClause = columns;
+    return this;
+  }
+
+  orderBy(expression) {
+    this.orderByClause = expression;
+    return this;
+  }
+
+  // Paging - requires an ORDER BY
+  page(offset, pageSize) {
+    this.pageParams = {
+      offset: this.addParam(Types.Int, offset),
+      pageSize: this.addParam(Types.Int, pageSize),
+    };
+    return this;
+  }
+
+  // FROM, WHERE and GROUP BY clauses shared by the row and count queries
+  buildBody() {
+    const parts = [`FROM ${this.from}`];
+    if (this.conditions.length > 0) {
+      parts.push(`WHERE ${this.conditions.join(' AND ')}`);
+    }
+    if (this.groupByClause) {
+      parts.push(`GROUP BY ${this.groupByClause}`);
+    }
+    return parts;
+  }
+
+  build(dialect) {
+    const parts = [`SELECT ${this.select}`, ...this.buildBody()];
+    if (this.orderByClause) {
+      parts.push(`ORDER BY ${this.orderByClause}`);
+    }
+    if (this.pageParams) {
+      parts.push(dialect.paging(this.pageParams.offset, this.pageParams.pageSize));
+    }
+    return { text: parts.join('\n'), params: this.params };
+  }
+
+  // Count the rows the query matches, ignoring ordering and paging
+  buildCount() {
+    const inner = [`SELECT ${this.select}`, ...this.buildBody()].join('\n');
+    return { text: `SELECT COUNT(*) AS TotalCount FROM (\n${inner}\n) AS counted`, params: this.params };
+  }
+
+  // db is a driver or a driver transaction
+  async execute(db, { text, params } = this.build(db.dialect)) {
+    return db.query(text, params);
+  }
+
+  async executeCount(db) {
+    const result = await this.execute(db, this.buildCount());
+    return result.recordset[0].TotalCount;
+  }
+}
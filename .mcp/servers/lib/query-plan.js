@@ -0,0 +1,354 @@
+/**
+ * Query plan summaries for explain_query
+ * Turns SQL Server showplan XML or SQLite EXPLAIN QUERY PLAN rows into an operator tree with costs,
+ * accessed tables, missing-index hints and warnings
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      );
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Minimal XML parser for showplan documents: elements and attributes only (text content is not needed).
+ * Returns the root { name, attributes, children }; namespace prefixes are dropped.
+ */
+export function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>/g;
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  for (const match of xml.matchAll(tagPattern)) {
+    const [, closing, qualifiedName, attributeText, selfClosing] = match;
+    if (!qualifiedName) {
+      continue;
+    }
+    const name = qualifiedName.includes(':') ? qualifiedName.split(':').pop() : qualifiedName;
+    if (closing) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+    const attributes = {};
+    for (const [, attribute, doubleQuoted, singleQuoted] of attributeText.matchAll(attributePattern)) {
+      attributes[attribute] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+    const element = { name, attributes, children: [] };
+    stack[stack.length - 1].children.push(element);
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+  return root.children[0] || root;
+}
+
+// Descendants named `name`, not descending into elements named `stopAt`
+function findAll(element, name, stopAt = null) {
+  const found = [];
+  for (const child of element.children) {
+    if (child.name === name) {
+      found.push(child);
+    } else if (child.name !== stopAt) {
+      found.push(...findAll(child, name, stopAt));
+    }
+  }
+  return found;
+}
+
+function findFirst(element, name, stopAt = null) {
+  for (const child of element.children) {
+    if (child.name === name) {
+      return child;
+    }
+    if (child.name !== stopAt) {
+      const found = findFirst(child, name, stopAt);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+const number = (value) => (value === undefined ? null : Number(value));
+const unbracket = (value) => (value ? value.replace(/^\[|\]$/g, '') : null);
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+
+function warningsOf(element) {
+  const warnings = element.children.find((child) => child.name === 'Warnings');
+  if (!warnings) {
+    return [];
+  }
+  return [
+    ...Object.entries(warnings.attributes)
+      .filter(([, value]) => value === 'true' || value === '1')
+      .map(([warning]) => ({ warning })),
+    ...warnings.children.map((child) => ({ warning: child.name, ...child.attributes })),
+  ];
+}
+
+// Sum the per-thread runtime counters of an operator (actual plans only)
+function runtimeCounters(relOp) {
+  const info = relOp.children.find((child) => child.name === 'RunTimeInformation');
+  if (!info) {
+    return null;
+  }
+  const totals = { actualRows: 0, actualExecutions: 0, actualLogicalReads: null, actualElapsedMs: null };
+  for (const thread of info.children) {
+    totals.actualRows += number(thread.attributes.ActualRows) ?? 0;
+    totals.actualExecutions += number(thread.attributes.ActualExecutions) ?? 0;
+    if (thread.attributes.ActualLogicalReads !== undefined) {
+      totals.actualLogicalReads = (totals.actualLogicalReads ?? 0) + number(thread.attributes.ActualLogicalReads);
+    }
+    if (thread.attributes.ActualElapsedms !== undefined) {
+      totals.actualElapsedMs = Math.max(totals.actualElapsedMs ?? 0, number(thread.attributes.ActualElapsedms));
+    }
+  }
+  return totals;
+}
+
+function summarizeRelOp(relOp, statementCost) {
+  const attributes = relOp.attributes;
+  const object = findFirst(relOp, 'Object', 'RelOp');
+  const children = findAll(relOp, 'RelOp', 'RelOp').map((child) => summarizeRelOp(child, statementCost));
+  const subtreeCost = number(attributes.EstimatedTotalSubtreeCost) ?? 0;
+  const ownCost = Math.max(0, subtreeCost - children.reduce((sum, child) => sum + child.subtreeCost, 0));
+
+  return {
+    nodeId: number(attributes.NodeId),
+    physicalOp: attributes.PhysicalOp,
+    logicalOp: attributes.LogicalOp,
+    table: unbracket(object?.attributes.Table),
+    index: unbracket(object?.attributes.Index),
+    alias: unbracket(object?.attributes.Alias),
+    estimatedRows: round(number(attributes.EstimateRows), 2),
+    estimatedCost: round(ownCost),
+    subtreeCost: round(subtreeCost),
+    costPercent: statementCost > 0 ? round((ownCost / statementCost) * 100, 1) : null,
+    ...(runtimeCounters(relOp) || {}),
+    warnings: warningsOf(relOp),
+    children,
+  };
+}
+
+function flatten(operator) {
+  return [operator, ...operator.children.flatMap(flatten)];
+}
+
+// One line per operator, indented by depth
+function planLines(operator, depth = 0) {
+  const target = operator.table ? ` [${operator.table}${operator.index ? `].[${operator.index}` : ''}]` : '';
+  const cost = operator.costPercent !== null ? ` cost ${operator.costPercent}%` : '';
+  const rows = operator.estimatedRows !== null && operator.estimatedRows !== undefined ? ` est. rows ${operator.estimatedRows}` : '';
+  const actual = operator.actualRows !== undefined ? ` actual rows ${operator.actualRows}` : '';
+  const line = `${'  '.repeat(depth)}${depth > 0 ? '└─ ' : ''}${operator.physicalOp}${target}${cost}${rows}${actual}`;
+  return [line, ...operator.children.flatMap((child) => planLines(child, depth + 1))];
+}
+
+function missingIndexes(queryPlan) {
+  return findAll(queryPlan, 'MissingIndexGroup').flatMap((group) =>
+    findAll(group, 'MissingIndex').map((index) => {
+      const columns = { EQUALITY: [], INEQUALITY: [], INCLUDE: [] };
+      for (const columnGroup of findAll(index, 'ColumnGroup')) {
+        columns[columnGroup.attributes.Usage]?.push(
+          ...findAll(columnGroup, 'Column').map((column) => unbracket(column.attributes.Name))
+        );
+      }
+      const table = unbracket(index.attributes.Table);
+      const schema = unbracket(index.attributes.Schema) || 'dbo';
+      const keys = [...columns.EQUALITY, ...columns.INEQUALITY];
+      const include = columns.INCLUDE.length > 0 ? ` INCLUDE (${columns.INCLUDE.join(', ')})` : '';
+      return {
+        table,
+        impact: round(number(group.attributes.Impact), 1),
+        equalityColumns: columns.EQUALITY,
+        inequalityColumns: columns.INEQUALITY,
+        includeColumns: columns.INCLUDE,
+        suggestion: `CREATE NONCLUSTERED INDEX IX_${table}_${keys.join('_')} ON ${schema}.${table} (${keys.join(', ')})${include}`,
+      };
+    })
+  );
+}
+
+function tablesAccessed(operators) {
+  return operators
+    .filter((operator) => operator.table)
+    .map((operator) => ({
+      table: operator.table,
+      index: operator.index,
+      access: operator.physicalOp,
+      isScan: /Scan$/.test(operator.physicalOp),
+      estimatedRows: operator.estimatedRows,
+      ...(operator.actualRows !== undefined ? { actualRows: operator.actualRows } : {}),
+    }));
+}
+
+/**
+ * Summarize one or more showplan XML documents (estimated or actual).
+ * Returns one entry per statement with its operator tree, accessed tables, missing indexes and warnings.
+ */
+export function summarizeShowplan(xmlDocuments) {
+  return xmlDocuments.flatMap((xml) =>
+    findAll(parseXml(xml), 'StmtSimple')
+      .filter((statement) => findFirst(statement, 'QueryPlan'))
+      .map((statement) => {
+        const queryPlan = findFirst(statement, 'QueryPlan');
+        const statementCost = number(statement.attributes.StatementSubTreeCost) ?? 0;
+        const root = findFirst(queryPlan, 'RelOp');
+        const tree = root ? summarizeRelOp(root, statementCost) : null;
+        const operators = tree ? flatten(tree) : [];
+        const timeStats = queryPlan.children.find((child) => child.name === 'QueryTimeStats');
+
+        return {
+          statementText: statement.attributes.StatementText?.trim(),
+          statementType: statement.attributes.StatementType,
+          estimatedCost: round(statementCost),
+          estimatedRows: round(number(statement.attributes.StatementEstRows), 2),
+          degreeOfParallelism: number(queryPlan.attributes.DegreeOfParallelism),
+          ...(timeStats
+            ? { cpuMs: number(timeStats.attributes.CpuTime), elapsedMs: number(timeStats.attributes.ElapsedTime) }
+            : {}),
+          planText: tree ? planLines(tree) : [],
+          tablesAccessed: tablesAccessed(operators),
+          missingIndexes: missingIndexes(queryPlan),
+          warnings: [
+            ...warningsOf(queryPlan),
+            ...operators.flatMap((operator) =>
+              operator.warnings.map((warning) => ({ nodeId: operator.nodeId, ...warning }))
+            ),
+          ],
+          operators: tree,
+        };
+      })
+  );
+}
+
+/**
+ * Parse SET STATISTICS IO / TIME messages into per-table reads and execution times.
+ */
+export function summarizeStatisticsMessages(messages) {
+  const io = [];
+  let cpuMs = 0;
+  let elapsedMs = 0;
+  for (const message of messages) {
+    const read = /Table '([^']+)'\. Scan count (\d+), logical reads (\d+), physical reads (\d+)/.exec(message);
+    if (read) {
+      io.push({
+        table: read[1],
+        scanCount: Number(read[2]),
+        logicalReads: Number(read[3]),
+        physicalReads: Number(read[4]),
+      });
+      continue;
+    }
+    const time = /SQL Server Execution Times:\s*CPU time = (\d+) ms,\s*elapsed time = (\d+) ms/.exec(message);
+    if (time) {
+      cpuMs += Number(time[1]);
+      elapsedMs += Number(time[2]);
+    }
+  }
+  return {
+    logicalReads: io.reduce((sum, table) => sum + table.logicalReads, 0),
+    physicalReads: io.reduce((sum, table) => sum + table.physicalReads, 0),
+    cpuMs,
+    elapsedMs,
+    ioByTable: io,
+  };
+}
+
+// Map table aliases in FROM / JOIN clauses to table names ("FROM Orders o" -> { o: 'Orders' })
+function tableAliases(queryText) {
+  const aliases = {};
+  const pattern = /\b(?:FROM|JOIN)\s+(?:\w+\.)?(\w+)(?:\s+(?:AS\s+)?(?!(?:ON|WHERE|JOIN|INNER|LEFT|RIGHT|FULL|CROSS|GROUP|ORDER|LIMIT|HAVING|UNION)\b)(\w+))?/gi;
+  for (const [, table, alias] of queryText.matchAll(pattern)) {
+    aliases[table.toUpperCase()] = table;
+    if (alias) {
+      aliases[alias.toUpperCase()] = table;
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Summarize SQLite EXPLAIN QUERY PLAN rows ({ id, parent, detail }) in the same shape.
+ * SQLite reports no costs; automatic indexes it builds on the fly are reported as missing-index hints.
+ */
+export function summarizeSqlitePlan(rows, queryText) {
+  const aliases = tableAliases(queryText);
+  const access = /^(SCAN|SEARCH) (\w+)(?: USING (AUTOMATIC )?(?:COVERING )?(?:INDEX(?: (\w+))?(?: \(([^)]*)\))?|INTEGER PRIMARY KEY|PRIMARY KEY))?/;
+  const missingIndexes = [];
+
+  const nodes = new Map(
+    rows.map((row) => {
+      const match = access.exec(row.detail);
+      const table = match ? aliases[match[2].toUpperCase()] || match[2] : null;
+      if (match?.[3]) {
+        const keys = (match[5] || '').split(/\s+AND\s+/).map((part) => part.replace(/[=<>?\s]+/g, '')).filter(Boolean);
+        missingIndexes.push({
+          table,
+          impact: null,
+          equalityColumns: keys,
+          inequalityColumns: [],
+          includeColumns: [],
+          suggestion: `CREATE INDEX IX_${table}_${keys.join('_')} ON ${table} (${keys.join(', ')})`,
+        });
+      }
+      return [
+        row.id,
+        {
+          nodeId: row.id,
+          physicalOp: row.detail,
+          table,
+          index: match?.[3] ? null : match?.[4] ?? null,
+          alias: match && match[2] !== table ? match[2] : null,
+          estimatedRows: null,
+          costPercent: null,
+          warnings: [],
+          children: [],
+        },
+      ];
+    })
+  );
+  const roots = [];
+  for (const row of rows) {
+    const parent = nodes.get(row.parent);
+    (parent ? parent.children : roots).push(nodes.get(row.id));
+  }
+  const operators = roots.flatMap(flatten);
+  const lines = (operator, depth = 0) => [
+    `${'  '.repeat(depth)}${depth > 0 ? '└─ ' : ''}${operator.physicalOp}`,
+    ...operator.children.flatMap((child) => lines(child, depth + 1)),
+  ];
+
+  return [
+    {
+      statementText: queryText.trim(),
+      statementType: 'SELECT',
+      estimatedCost: null,
+      estimatedRows: null,
+      planText: roots.flatMap((root) => lines(root)),
+      tablesAccessed: operators
+        .filter((operator) => operator.table)
+        .map((operator) => ({
+          table: operator.table,
+          index: operator.index,
+          access: operator.physicalOp.split(' ')[0],
+          isScan: operator.physicalOp.startsWith('SCAN'),
+          estimatedRows: null,
+        })),
+      missingIndexes,
+      warnings: [],
+      operators: roots.length === 1 ? roots[0] : { physicalOp: 'QUERY PLAN', children: roots },
+    },
+  ];
+}
@@ -0,0 +1,314 @@
+/**
+ * PII redaction for database tool results
+ * Masks, hashes or removes customer columns (Email, PhoneNumber, Name, ...) according to a policy file
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+
+export const STRATEGIES = ['email', 'phone', 'mask', 'hash', 'redact', 'none'];
+
+// Hashes are stable for the salt, so equal values can still be grouped and joined
+const hashSalt = process.env.DB_REDACTION_SALT || randomBytes(16).toString('hex');
+
+// Keep the first character of each word: "Alice Johnson" -> "A**** J******"
+function maskWords(text) {
+  return text.replace(/\S+/g, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+// "alice@example.com" -> "a****@e******.com"
+function maskEmail(text) {
+  const at = text.lastIndexOf('@');
+  if (at < 0) {
+    return maskWords(text);
+  }
+  const local = text.slice(0, at);
+  const domain = text.slice(at + 1);
+  const dot = domain.lastIndexOf('.');
+  const host = dot > 0 ? domain.slice(0, dot) : domain;
+  const suffix = dot > 0 ? domain.slice(dot) : '';
+  return `${maskWords(local)}@${maskWords(host)}${suffix}`;
+}
+
+// Keep the last four digits and the formatting: "+1-555-0101" -> "+*-***-0101"
+function maskPhone(text) {
+  const digits = text.replace(/\D/g, '').length;
+  let seen = 0;
+  return text.replace(/\d/g, (digit) => (++seen > digits - 4 ? digit : '*'));
+}
+
+function applyStrategy(strategy, value) {
+  if (value === null || value === undefined || strategy === 'none') {
+    return value;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  switch (strategy) {
+    case 'email':
+      return maskEmail(text);
+    case 'phone':
+      return maskPhone(text);
+    case 'mask':
+      return maskWords(text);
+    case 'hash':
+      return `hash:${createHmac('sha256', hashSalt).update(text).digest('hex').slice(0, 12)}`;
+    default:
+      return '[REDACTED]';
+  }
+}
+
+// Column rules keyed by upper-cased name: SQL Server column names are case-insensitive
+function checkColumns(columns, where) {
+  if (columns === undefined) {
+    return {};
+  }
+  if (typeof columns !== 'object' || columns === null || Array.isArray(columns)) {
+    throw new Error(`${where}.columns must map column names to strategies`);
+  }
+  for (const [column, strategy] of Object.entries(columns)) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`${where}.columns.${column} must be one of: ${STRATEGIES.join(', ')}`);
+    }
+  }
+  return Object.fromEntries(Object.entries(columns).map(([column, strategy]) => [column.toUpperCase(), strategy]));
+}
+
+/**
+ * Load and validate a policy file:
+ * {
+ *   columns: { Email: 'email', ... },                      // applied by every tool
+ *   patterns: [{ match: 'phone', strategy: 'phone' }],      // case-insensitive column name regexes
+ *   tables: { Customers: { columns: { Name: 'mask' } } },  // execute_custom_query, columns read from the table
+ *   tools: { query_customers: { enabled, columns } }        // per-tool overrides
+ * }
+ */
+export function loadRedactionPolicy(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load redaction policy ${filePath}: ${error.message}`);
+  }
+
+  try {
+    const patterns = (raw.patterns || []).map((pattern, index) => {
+      if (!STRATEGIES.includes(pattern.strategy)) {
+        throw new Error(`patterns[${index}].strategy must be one of: ${STRATEGIES.join(', ')}`);
+      }
+      return { regex: new RegExp(pattern.match, 'i'), strategy: pattern.strategy };
+    });
+    const tables = Object.fromEntries(
+      Object.entries(raw.tables || {}).map(([table, rule]) => [
+        table.toUpperCase(),
+        checkColumns(rule.columns, `tables.${table}`),
+      ])
+    );
+    const tools = Object.fromEntries(
+      Object.entries(raw.tools || {}).map(([tool, rule]) => [
+        tool,
+        { enabled: rule.enabled !== false, columns: checkColumns(rule.columns, `tools.${tool}`) },
+      ])
+    );
+    return { columns: checkColumns(raw.columns, 'policy'), patterns, tables, tools };
+  } catch (error) {
+    throw new Error(`Invalid redaction policy ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * The strategy for a column: tool override > table rule > column rule > pattern.
+ * tables are the tables the column may come from; only their rules apply.
+ */
+function columnStrategy(policy, tool, column, tables = []) {
+  const key = column.toUpperCase();
+  const strategy =
+    policy.tools[tool]?.columns[key] ??
+    tables.map((table) => policy.tables[table.toUpperCase()]?.[key]).find(Boolean) ??
+    policy.columns[key] ??
+    policy.patterns.find((pattern) => pattern.regex.test(column))?.strategy;
+  return strategy && strategy !== 'none' ? strategy : null;
+}
+
+function strategyResolver(policy, { tool }) {
+  const cache = new Map();
+  return (column) => {
+    if (!cache.has(column)) {
+      cache.set(column, columnStrategy(policy, tool, column));
+    }
+    return cache.get(column);
+  };
+}
+
+const sameName = (a, b) => a !== null && b !== null && a.toUpperCase() === b.toUpperCase();
+
+/**
+ * Plan the redaction of an execute_custom_query result from the select lists validateReadOnlyQuery describes.
+ * Each result column gets the strategy of the table column it comes from, so an alias does not hide a column
+ * and a table rule only applies to columns of that table; computed columns that read a redacted column are
+ * redacted whole. Throws before the query runs when a subquery, CTE or later UNION part renames or computes a
+ * redacted column, as the result column can then not be traced back to it. Returns null when nothing is redacted.
+ */
+export function planQueryRedaction(policy, query, { tool, unmask }) {
+  if (unmask || policy.tools[tool]?.enabled === false) {
+    return null;
+  }
+
+  const everyReference = query.selects.flatMap((select) => select.tables);
+  // The tables a column can come from; a derived table or CTE can hold any table's columns
+  const tablesOf = (select, qualifier) => {
+    let references = select.tables;
+    if (qualifier !== null) {
+      references = select.tables.filter((reference) => sameName(reference.alias, qualifier));
+      if (references.length === 0) {
+        // A correlated subquery reading an outer table
+        references = everyReference.filter((reference) => sameName(reference.alias, qualifier));
+      }
+    }
+    if (references.length === 0 || references.some((reference) => reference.table === null)) {
+      return query.tables;
+    }
+    return references.map((reference) => reference.table);
+  };
+  const itemStrategy = (select, item) => {
+    const strategies = item.sources
+      .map((source) => columnStrategy(policy, tool, source.column, tablesOf(select, source.qualifier)))
+      .filter(Boolean);
+    if (strategies.length === 0) {
+      return null;
+    }
+    return item.computed ? 'redact' : strategies[0];
+  };
+  const untraceable = (select, item, strategy) => {
+    const column = item.star ? `${item.qualifier ? `${item.qualifier}.` : ''}*` : item.sources[0]?.column;
+    const what = item.star ? `Columns of ${column}` : `Column ${column} (${strategy})`;
+    return new Error(
+      `${what} cannot be redacted: a subquery, CTE or UNION renames or computes it, so the result column cannot ` +
+        'be traced back to it. Select redacted columns under their own names in the outer query.'
+    );
+  };
+
+  const parts = query.selects.filter((select) => select.top);
+  const [main] = parts;
+  const hasStar = parts.some((select) => select.items.some((item) => item.star));
+  for (const select of query.selects) {
+    const renamed = select.renamed || (select.branch && select.top && hasStar);
+    if (select.top && !renamed) {
+      continue;
+    }
+    for (const item of select.items) {
+      if (item.star && renamed) {
+        throw untraceable(select, item);
+      }
+      const strategy = item.star ? null : itemStrategy(select, item);
+      if (strategy && (renamed || item.computed || !sameName(item.name, item.sources[0].column))) {
+        throw untraceable(select, item, strategy);
+      }
+    }
+  }
+
+  // Strategies by position, merged over the parts of a UNION, and by name for results a star makes longer
+  const strategyAt = (select, index) => (select.items[index] ? itemStrategy(select, select.items[index]) : null);
+  const positions = main.items.map(
+    (item, index) => parts.map((select) => strategyAt(select, index)).find(Boolean) ?? null
+  );
+  const byName = new Map();
+  main.items.forEach((item, index) => {
+    if (item.name !== null) {
+      const name = item.name.toUpperCase();
+      byName.set(name, byName.get(name) ?? positions[index]);
+    }
+  });
+  const starTables = main.items
+    .filter((item) => item.star)
+    .flatMap((item) => tablesOf(main, item.qualifier));
+  return {
+    tool,
+    positions: hasStar ? null : positions,
+    byName,
+    unnamed: positions.find((strategy, index) => strategy && main.items[index].name === null) ?? null,
+    starTables: [...new Set(starTables)],
+  };
+}
+
+// Rows with as many columns as the select list are matched by position, others by column name
+function queryStrategyResolver(policy, plan) {
+  const cache = new Map();
+  return (column, index, columnCount) => {
+    const key = `${columnCount}:${index}:${column}`;
+    if (!cache.has(key)) {
+      let strategy;
+      if (plan.positions && plan.positions.length === columnCount) {
+        strategy = plan.positions[index];
+      } else if (plan.byName.has(column.toUpperCase())) {
+        strategy = plan.byName.get(column.toUpperCase());
+      } else {
+        strategy = plan.unnamed ?? columnStrategy(policy, plan.tool, column, plan.starTables);
+      }
+      cache.set(key, strategy ?? columnStrategy(policy, plan.tool, column));
+    }
+    return cache.get(key);
+  };
+}
+
+function redactRow(row, resolve, redacted) {
+  const entries = Object.entries(row);
+  return Object.fromEntries(
+    entries.map(([column, value], index) => {
+      // Nested row arrays such as the Items of an order
+      if (Array.isArray(value) && value.every((item) => item !== null && typeof item === 'object')) {
+        return [column, value.map((item) => redactRow(item, resolve, redacted))];
+      }
+      const strategy = resolve(column, index, entries.length);
+      if (!strategy) {
+        return [column, value];
+      }
+      redacted.add(column);
+      return [column, applyStrategy(strategy, value)];
+    })
+  );
+}
+
+/**
+ * Redact the rows of a tool payload (array, envelope with items/rows, or single row).
+ * context: { tool, query, unmask } - query is the planQueryRedaction plan of a custom query.
+ * Envelopes get a `redacted` list naming the masked columns.
+ */
+export function redactPayload(payload, policy, context) {
+  if (context.unmask || policy.tools[context.tool]?.enabled === false) {
+    return payload;
+  }
+
+  const resolve = context.query ? queryStrategyResolver(policy, context.query) : strategyResolver(policy, context);
+  const redacted = new Set();
+  const redactRows = (rows) => {
+    const result = rows.map((row) => redactRow(row, resolve, redacted));
+    if (rows.columns) {
+      // Keep the driver's column metadata for the formatter
+      result.columns = rows.columns;
+    }
+    return result;
+  };
+
+  if (Array.isArray(payload)) {
+    return redactRows(payload);
+  }
+  for (const rowsKey of ['items', 'rows']) {
+    if (Array.isArray(payload[rowsKey])) {
+      const result = { ...payload, [rowsKey]: redactRows(payload[rowsKey]) };
+      if (redacted.size > 0) {
+        result.redacted = [...redacted];
+      }
+      return result;
+    }
+  }
+  return redactRow(payload, resolve, redacted);
+}
+
+// Shared input schema property for tools that return customer data
+export function redactionProperties() {
+  return {
+    unmask: {
+      type: 'boolean',
+      description: 'Optional: Return customer data unmasked (only when DB_ALLOW_UNMASK=true)',
+    },
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * In-process TTL/LRU cache for read-only database tool results
+ * Entries are keyed on the tool name plus its normalized arguments; each tool has its own TTL
+ */
+
+// Arguments that only change how a result is presented, not what is read
+const PRESENTATION_ARGUMENTS = ['format', 'columns', 'unmask', 'bypassCache'];
+
+// Sort object keys so equivalent arguments produce the same key
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse per-tool TTLs from "tool=seconds,tool=seconds" (e.g. DB_CACHE_TTLS), on top of the defaults.
+ * A TTL of 0 turns caching off for that tool.
+ */
+export function parseCacheTtls(text, defaults, cacheableTools) {
+  const ttls = { ...defaults };
+  for (const part of (text || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+    const match = /^(\w+)\s*=\s*(\d+)$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cache TTL "${part}" - expected tool=seconds`);
+    }
+    if (!cacheableTools.includes(match[1])) {
+      throw new Error(`Tool ${match[1]} cannot be cached (cacheable: ${cacheableTools.join(', ')})`);
+    }
+    ttls[match[1]] = parseInt(match[2]) * 1000;
+  }
+  return Object.fromEntries(Object.entries(ttls).filter(([, ttl]) => ttl > 0));
+}
+
+export class ResultCache {
+  /**
+   * ttls: { toolName: ttlMs } - only these tools are cached
+   * maxEntries: least recently used entries are evicted beyond this size
+   */
+  constructor({ ttls, maxEntries }) {
+    this.ttls = ttls;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  isCacheable(tool) {
+    return this.ttls[tool] !== undefined;
+  }
+
+  key(tool, args) {
+    const relevant = Object.fromEntries(
+      Object.entries(args).filter(([name]) => !PRESENTATION_ARGUMENTS.includes(name))
+    );
+    return `${tool}:${JSON.stringify(normalize(relevant))}`;
+  }
+
+  // Returns { value, info } on a hit, or null; expired entries are dropped
+  get(tool, args) {
+    const key = this.key(tool, args);
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return { value: entry.value, info: this.info('hit', entry) };
+  }
+
+  set(tool, args, value, status = 'miss') {
+    const key = this.key(tool, args);
+    const now = Date.now();
+    const entry = { tool, value, storedAt: now, expiresAt: now + this.ttls[tool] };
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return this.info(status, entry);
+  }
+
+  info(status, entry) {
+    const now = Date.now();
+    return {
+      status,
+      ageMs: now - entry.storedAt,
+      ttlMs: this.ttls[entry.tool],
+      expiresInMs: Math.max(0, entry.expiresAt - now),
+    };
+  }
+
+  // Drop every entry, or only those of one tool; returns the number removed
+  clear(tool) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (tool === undefined || entry.tool === tool) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  stats() {
+    const now = Date.now();
+    const byTool = {};
+    for (const entry of this.entries.values()) {
+      if (entry.expiresAt > now) {
+        byTool[entry.tool] = (byTool[entry.tool] || 0) + 1;
+      }
+    }
+    return {
+      entries: Object.values(byTool).reduce((sum, count) => sum + count, 0),
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      ttlSeconds: Object.fromEntries(Object.entries(this.ttls).map(([tool, ttl]) => [tool, ttl / 1000])),
+      entriesByTool: byTool,
+    };
+  }
+}
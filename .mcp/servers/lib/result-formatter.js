@@ -0,0 +1,172 @@
+/**
+ * Result formatting for database tools
+ * Renders tool payloads as JSON, CSV, Markdown tables or NDJSON with an optional column projection
+ */
+
+export const FORMATS = ['json', 'csv', 'markdown', 'ndjson'];
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Money columns get two decimals when the driver does not report a scale
+const MONEY_COLUMN_PATTERN = /(Price|Subtotal|Spent|Revenue|Value)$/;
+const DECIMAL_TYPES = ['decimal', 'numeric', 'money', 'smallmoney'];
+
+// Shared input schema properties for tools that support formatting
+export function formatProperties() {
+  return {
+    format: {
+      type: 'string',
+      enum: FORMATS,
+      description: 'Optional: Output format (default json)',
+    },
+    columns: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Optional: Only return these columns, in this order',
+    },
+  };
+}
+
+// Separate the row array from the envelope around it (paging info, parameters, ...)
+function splitPayload(payload) {
+  if (Array.isArray(payload)) {
+    return { rows: payload, rowsKey: null, metadata: null };
+  }
+  for (const rowsKey of ['items', 'rows']) {
+    if (Array.isArray(payload[rowsKey])) {
+      const { [rowsKey]: rows, ...metadata } = payload;
+      return { rows, rowsKey, metadata };
+    }
+  }
+  return { rows: [payload], rowsKey: null, metadata: null, single: true };
+}
+
+function columnScale(rows, column) {
+  const info = rows.columns?.[column];
+  if (info && DECIMAL_TYPES.includes(info.type?.declaration)) {
+    return info.scale ?? 2;
+  }
+  return MONEY_COLUMN_PATTERN.test(column) ? 2 : null;
+}
+
+// Normalize a value: ISO dates, lowercase GUIDs (matching the API's serialization)
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'string' && GUID_PATTERN.test(value)) {
+    return value.toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeRow(item));
+  }
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return normalizeRow(value);
+  }
+  return value;
+}
+
+function normalizeRow(row) {
+  if (row === null || typeof row !== 'object') {
+    return normalizeValue(row);
+  }
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, normalizeValue(value)]));
+}
+
+function resolveColumns(rows, requested) {
+  const available = rows.length > 0 ? Object.keys(rows[0]) : Object.keys(rows.columns || {});
+  if (requested === undefined) {
+    return available;
+  }
+  if (!Array.isArray(requested) || requested.length === 0 || requested.some((column) => typeof column !== 'string')) {
+    throw new Error('columns must be a non-empty array of column names');
+  }
+  const unknown = requested.filter((column) => !available.includes(column));
+  if (unknown.length > 0 && available.length > 0) {
+    throw new Error(`Unknown column(s): ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  }
+  return requested;
+}
+
+// Render a cell as text for CSV and Markdown
+function cellText(value, scale) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'number' && scale !== null) {
+    return value.toFixed(scale);
+  }
+  if (typeof value === 'boolean' || typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function toCsv(rows, columns, scales) {
+  const escape = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const lines = [columns.map(escape).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(cellText(row[column], scales[column]) ?? '')).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+function toMarkdown(rows, columns, scales) {
+  const escape = (text) => text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const lines = [
+    `| ${columns.map(escape).join(' | ')} |`,
+    `| ${columns.map((column) => (scales[column] !== null ? '---:' : '---')).join(' | ')} |`,
+  ];
+  for (const row of rows) {
+    lines.push(`| ${columns.map((column) => escape(cellText(row[column], scales[column]) ?? 'NULL')).join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build an MCP tool result from a payload (array, envelope with items/rows, or single row).
+ * Non-JSON formats return the table as the first content item and the envelope metadata as a second one.
+ */
+export function formatToolResult(payload, { format = 'json', columns } = {}) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const { rows, rowsKey, metadata, single } = splitPayload(payload);
+  const selected = resolveColumns(rows, columns);
+  const scales = Object.fromEntries(selected.map((column) => [column, columnScale(rows, column)]));
+  const projected = rows.map((row) =>
+    normalizeRow(Object.fromEntries(selected.map((column) => [column, row[column] ?? null])))
+  );
+
+  if (format === 'json') {
+    let body = projected;
+    if (single) {
+      body = projected[0];
+    } else if (rowsKey) {
+      // Keep the envelope's key order
+      body = Object.fromEntries(
+        Object.entries(payload).map(([key, value]) => [key, key === rowsKey ? projected : normalizeValue(value)])
+      );
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(body, null, 2) }] };
+  }
+
+  let text;
+  if (format === 'csv') {
+    text = toCsv(projected, selected, scales);
+  } else if (format === 'markdown') {
+    text = toMarkdown(projected, selected, scales);
+  } else {
+    text = projected.map((row) => JSON.stringify(row)).join('\n');
+  }
+
+  const content = [{ type: 'text', text }];
+  if (metadata && Object.keys(metadata).length > 0) {
+    content.push({ type: 'text', text: JSON.stringify(normalizeRow(metadata), null, 2) });
+  }
+  return { content };
+}
@@ -0,0 +1,258 @@
+/**
+ * Declarative multi-step API scenarios for run_scenario
+ * A scenario is a list of requests; values captured from responses (JSONPath) feed later steps through
+ * {{variables}}, and each step's status, body and header assertions are reported as pass/fail
+ */
+
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+import { checkExpectations, parseExpect } from './expectations.js';
+import { readJsonPath } from './json-path.js';
+
+export const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const SCENARIO_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Values generated on every use, e.g. "test-{{$uuid}}@example.com"
+const BUILTIN_VARIABLES = {
+  $uuid: () => randomUUID(),
+  $timestamp: () => Date.now(),
+  $isoNow: () => new Date().toISOString(),
+  $randomInt: () => Math.floor(Math.random() * 1000000),
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkMap(value, where) {
+  if (value === undefined) {
+    return {};
+  }
+  if (!isPlainObject(value)) {
+    throw new Error(`${where} must be an object`);
+  }
+  return value;
+}
+
+/**
+ * Parse and validate a scenario given as YAML/JSON text or as an object:
+ * {
+ *   name, description,
+ *   variables: { email: 'test-{{$uuid}}@example.com' },
+ *   stopOnFailure: true,                                   // skip the remaining steps after a failure
+ *   steps: [{
+ *     name,
+ *     request: { method, endpoint, body, query, headers, auth, session },  // auth: false sends no stored token;
+ *                                                                       // session sends the step as another named session
+ *     capture: { token: '$.data.token' },
+ *     expect: { status: 200, body: { '$.success': true }, headers: { 'content-type': { matches: 'json' } } },
+ *                                                       // also maxLatencyMs and schema, see expectations.js
+ *   }]
+ * }
+ */
+export function parseScenario(source, origin = 'scenario') {
+  let raw = source;
+  if (typeof source === 'string') {
+    try {
+      raw = YAML.parse(source);
+    } catch (error) {
+      throw new Error(`Cannot parse ${origin}: ${error.message}`);
+    }
+  }
+
+  try {
+    if (!isPlainObject(raw)) {
+      throw new Error('must be an object with a steps list');
+    }
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+      throw new Error('steps must be a non-empty list');
+    }
+    const steps = raw.steps.map((step, index) => {
+      const where = `steps[${index}]`;
+      if (!isPlainObject(step) || !isPlainObject(step.request)) {
+        throw new Error(`${where}.request must be an object`);
+      }
+      const method = String(step.request.method || 'GET').toUpperCase();
+      if (!METHODS.includes(method)) {
+        throw new Error(`${where}.request.method must be one of: ${METHODS.join(', ')}`);
+      }
+      if (typeof step.request.endpoint !== 'string' || !step.request.endpoint.startsWith('/')) {
+        throw new Error(`${where}.request.endpoint must be a path starting with /`);
+      }
+      if (step.request.session !== undefined && typeof step.request.session !== 'string') {
+        throw new Error(`${where}.request.session must be a session name`);
+      }
+      const capture = checkMap(step.capture, `${where}.capture`);
+      for (const [variable, jsonPath] of Object.entries(capture)) {
+        if (typeof jsonPath !== 'string') {
+          throw new Error(`${where}.capture.${variable} must be a JSONPath string`);
+        }
+      }
+      return {
+        name: step.name || `Step ${index + 1}`,
+        request: { ...step.request, method },
+        capture,
+        expect: parseExpect(step.expect, `${where}.expect`),
+      };
+    });
+
+    return {
+      name: raw.name || origin,
+      description: raw.description,
+      variables: checkMap(raw.variables, 'variables'),
+      stopOnFailure: raw.stopOnFailure !== false,
+      steps,
+    };
+  } catch (error) {
+    throw new Error(`Invalid ${origin}: ${error.message}`);
+  }
+}
+
+// Resolve a scenario file inside the scenarios directory; the extension may be left out
+function scenarioPath(dir, file) {
+  const candidates = path.extname(file) ? [file] : SCENARIO_EXTENSIONS.map((extension) => `${file}${extension}`);
+  for (const candidate of candidates) {
+    const resolved = path.resolve(dir, candidate);
+    if (path.relative(dir, resolved).startsWith('..') || path.isAbsolute(path.relative(dir, resolved))) {
+      throw new Error(`Scenario file must be inside ${dir}`);
+    }
+    if (fs.existsSync(resolved)) {
+      return resolved;
+    }
+  }
+  throw new Error(`Scenario "${file}" not found in ${dir}`);
+}
+
+export function loadScenarioFile(dir, file) {
+  const filePath = scenarioPath(dir, file);
+  return parseScenario(fs.readFileSync(filePath, 'utf8'), path.relative(dir, filePath));
+}
+
+// Scenario files in the directory with their name, description and step count
+export function listScenarios(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((file) => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map((file) => {
+      try {
+        const scenario = loadScenarioFile(dir, file);
+        return { file, name: scenario.name, description: scenario.description, steps: scenario.steps.length };
+      } catch (error) {
+        return { file, error: error.message };
+      }
+    });
+}
+
+function resolveVariable(name, variables) {
+  if (BUILTIN_VARIABLES[name]) {
+    return BUILTIN_VARIABLES[name]();
+  }
+  // Dotted names read into captured objects: {{order.id}}
+  const [head, ...rest] = name.split('.');
+  if (!Object.hasOwn(variables, head)) {
+    throw new Error(`Unknown variable {{${name}}}`);
+  }
+  return rest.length > 0 ? readJsonPath(variables[head], rest.join('.')) : variables[head];
+}
+
+// Replace {{name}} in strings; a string that is only "{{name}}" takes the variable's own type
+export function interpolate(value, variables) {
+  if (typeof value === 'string') {
+    const whole = /^\{\{\s*([\w$.]+)\s*\}\}$/.exec(value);
+    if (whole) {
+      return resolveVariable(whole[1], variables);
+    }
+    return value.replace(/\{\{\s*([\w$.]+)\s*\}\}/g, (match, name) => {
+      const resolved = resolveVariable(name, variables);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(item, variables));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * Run the steps in order. send(request) performs one HTTP request and resolves to
+ * { status, headers, data, durationMs } without throwing on error statuses.
+ * variables override the scenario's own variables.
+ */
+export async function runScenario(scenario, { send, variables = {} }) {
+  const values = {};
+  for (const [name, value] of Object.entries({ ...scenario.variables, ...variables })) {
+    values[name] = interpolate(value, values);
+  }
+
+  const startedAt = performance.now();
+  const steps = [];
+  let failed = false;
+
+  for (const [index, step] of scenario.steps.entries()) {
+    if (failed && scenario.stopOnFailure) {
+      steps.push({ step: index + 1, name: step.name, skipped: true });
+      continue;
+    }
+
+    const result = { step: index + 1, name: step.name };
+    let response;
+    try {
+      const request = interpolate(step.request, values);
+      result.request = `${request.method} ${request.endpoint}`;
+      response = await send(request);
+      result.status = response.status;
+      result.durationMs = response.durationMs;
+      result.assertions = checkExpectations(interpolate(step.expect, values), response);
+
+      const captured = {};
+      for (const [name, jsonPath] of Object.entries(step.capture)) {
+        const value = readJsonPath(response.data, jsonPath);
+        if (value === undefined) {
+          result.assertions.push({ target: `capture ${name}`, operator: 'exists', expected: jsonPath, actual: undefined, passed: false });
+        } else {
+          captured[name] = value;
+          values[name] = value;
+        }
+      }
+      if (Object.keys(captured).length > 0) {
+        result.captured = captured;
+      }
+      result.passed = result.assertions.every((assertion) => assertion.passed);
+    } catch (error) {
+      result.passed = false;
+      result.error = error.message;
+    }
+
+    if (!result.passed) {
+      failed = true;
+      // Show the failing response so the cause is visible without another call
+      if (response) {
+        result.response = response.data;
+      }
+    }
+    steps.push(result);
+  }
+
+  const count = (predicate) => steps.filter(predicate).length;
+  return {
+    scenario: scenario.name,
+    passed: !failed,
+    summary: {
+      steps: steps.length,
+      passed: count((step) => step.passed === true),
+      failed: count((step) => step.passed === false),
+      skipped: count((step) => step.skipped),
+    },
+    durationMs: Math.round(performance.now() - startedAt),
+    steps,
+    variables: values,
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Named API sessions for the API tester
+ * Each session keeps its own JWT, cookies and signed-in user, so several users (e.g. an Admin and a Customer)
+ * can be compared side by side; the current session is used when a tool names none.
+ * Sessions that logged in keep their credentials so an expired token can be renewed (autoRelogin).
+ */
+
+export const DEFAULT_SESSION = 'default';
+
+const SESSION_NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+function newSession(name, autoRelogin) {
+  return {
+    name,
+    token: null,
+    user: null,
+    expiresAt: null,
+    credentials: null,
+    // Log in again on a 401, or before a request when the token expires within beforeSeconds
+    autoRelogin: { ...autoRelogin },
+    relogins: 0,
+    lastReloginAt: null,
+    cookies: new Map(),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    requests: 0,
+  };
+}
+
+// Parse one Set-Cookie header into { name, value, expired }
+function parseSetCookie(header) {
+  const [pair, ...attributes] = header.split(';').map((part) => part.trim());
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    return null;
+  }
+  let expired = false;
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=');
+    if (key.toLowerCase() === 'max-age' && parseInt(value) <= 0) {
+      expired = true;
+    }
+    if (key.toLowerCase() === 'expires' && Date.parse(value) <= Date.now()) {
+      expired = true;
+    }
+  }
+  return { name: pair.slice(0, separator), value: pair.slice(separator + 1), expired };
+}
+
+export function createSessionStore({ autoRelogin = { enabled: true, beforeSeconds: 300 } } = {}) {
+  const sessions = new Map([[DEFAULT_SESSION, newSession(DEFAULT_SESSION, autoRelogin)]]);
+  let currentName = DEFAULT_SESSION;
+
+  const unknown = (name) =>
+    new Error(`Unknown session "${name}" (sessions: ${[...sessions.keys()].join(', ')}). Use api_session_create first.`);
+
+  return {
+    get current() {
+      return sessions.get(currentName);
+    },
+
+    // The named session, or the current one when name is undefined; create makes a missing session
+    resolve(name, { create = false } = {}) {
+      if (name === undefined) {
+        return sessions.get(currentName);
+      }
+      if (!sessions.has(name)) {
+        if (!create) {
+          throw unknown(name);
+        }
+        return this.create(name);
+      }
+      return sessions.get(name);
+    },
+
+    create(name) {
+      if (typeof name !== 'string' || !SESSION_NAME_PATTERN.test(name)) {
+        throw new Error('Session name must be 1-64 letters, digits, ".", "-" or "_"');
+      }
+      if (sessions.has(name)) {
+        throw new Error(`Session "${name}" already exists`);
+      }
+      const session = newSession(name, autoRelogin);
+      sessions.set(name, session);
+      return session;
+    },
+
+    switchTo(name) {
+      if (!sessions.has(name)) {
+        throw unknown(name);
+      }
+      currentName = name;
+      return sessions.get(name);
+    },
+
+    // Drop a session; the current session falls back to the default one
+    drop(name) {
+      if (name === DEFAULT_SESSION) {
+        throw new Error(`The ${DEFAULT_SESSION} session cannot be dropped`);
+      }
+      if (!sessions.delete(name)) {
+        throw unknown(name);
+      }
+      if (currentName === name) {
+        currentName = DEFAULT_SESSION;
+      }
+    },
+
+    list() {
+      return [...sessions.values()].map((session) => this.summarize(session));
+    },
+
+    // What a session holds, without the token or credentials themselves
+    summarize(session) {
+      return {
+        name: session.name,
+        current: session.name === currentName,
+        authenticated: Boolean(session.token),
+        user: session.user && {
+          id: session.user.id,
+          email: session.user.email,
+          roles: session.user.roles,
+        },
+        expiresAt: session.expiresAt,
+        autoRelogin: { ...session.autoRelogin, credentialsStored: Boolean(session.credentials) },
+        relogins: session.relogins,
+        lastReloginAt: session.lastReloginAt,
+        cookies: [...session.cookies.keys()],
+        requests: session.requests,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+      };
+    },
+
+    // Keep the cookies set by a response; expired or emptied cookies are removed
+    storeCookies(session, setCookieHeaders) {
+      for (const header of [setCookieHeaders || []].flat()) {
+        const cookie = parseSetCookie(header);
+        if (!cookie) {
+          continue;
+        }
+        if (cookie.expired || cookie.value === '') {
+          session.cookies.delete(cookie.name);
+        } else {
+          session.cookies.set(cookie.name, cookie.value);
+        }
+      }
+    },
+
+    cookieHeader(session) {
+      return [...session.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    },
+  };
+}
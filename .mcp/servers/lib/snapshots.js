@@ -0,0 +1,77 @@
+/**
+ * Response snapshots for the request tools
+ * The first run of a named snapshot stores the normalized response (status and body, with ids, timestamps and
+ * tokens blanked out) in snapshots/<name>.json; later runs are diffed against it, so a changed response shape or
+ * value shows up without writing assertions by hand
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { diffJson, isVolatileKey } from './json-diff.js';
+
+const IGNORED = '[ignored]';
+
+// The body with the values of volatile keys (id, ...Id, ...At, dates, tokens) replaced, keeping the keys
+export function normalizeSnapshotBody(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeSnapshotBody);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, isVolatileKey(key) ? IGNORED : normalizeSnapshotBody(item)])
+    );
+  }
+  return value;
+}
+
+export function createSnapshotStore(dir) {
+  const fileFor = (name) => {
+    const safeName = String(name).replace(/[^\w.-]+/g, '-').slice(0, 64);
+    if (!safeName || safeName.startsWith('.')) {
+      throw new Error(`Invalid snapshot name "${name}"`);
+    }
+    return path.join(dir, `${safeName}.json`);
+  };
+
+  return {
+    /**
+     * Compare a response ({ status, data }) with the named snapshot, creating it on first use or when update is
+     * set. Returns { name, file, outcome, passed, differences? } with outcome created, updated, matched or changed;
+     * differences are listed by JSONPath, status differences under "status".
+     */
+    check(name, response, { request, update = false } = {}) {
+      const file = fileFor(name);
+      const current = { status: response.status, body: normalizeSnapshotBody(response.data) };
+
+      if (update || !fs.existsSync(file)) {
+        const existed = fs.existsSync(file);
+        fs.mkdirSync(dir, { recursive: true });
+        const snapshot = { name, request, savedAt: new Date().toISOString(), ...current };
+        fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+        return { name, file, outcome: existed ? 'updated' : 'created', passed: true };
+      }
+
+      let stored;
+      try {
+        stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot parse snapshot ${file}: ${error.message}`);
+      }
+      const differences = [];
+      if (stored.status !== current.status) {
+        differences.push({ path: 'status', kind: 'changed', expected: stored.status, actual: current.status });
+      }
+      const body = diffJson(stored.body, current.body);
+      differences.push(...body.differences);
+      const count = body.count + differences.length - body.differences.length;
+      return {
+        name,
+        file,
+        outcome: count === 0 ? 'matched' : 'changed',
+        passed: count === 0,
+        ...(count > 0 ? { differenceCount: count, differences } : {}),
+        ...(stored.request && request && stored.request !== request ? { storedRequest: stored.request } : {}),
+      };
+    },
+  };
+}
@@ -0,0 +1,564 @@
+/**
+ * Read-only SQL validator for execute_custom_query
+ * Tokenizes T-SQL (comments, string literals, quoted identifiers) and checks
+ * that the text is a single SELECT statement over allow-listed tables
+ */
+
+// Keywords that can modify data, change session state or reach outside the database
+const DENIED_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE', 'DROP', 'ALTER', 'CREATE',
+  'GRANT', 'REVOKE', 'DENY', 'EXEC', 'EXECUTE', 'INTO', 'WAITFOR', 'DECLARE',
+  'SET', 'USE', 'GO', 'BULK', 'OPENROWSET', 'OPENQUERY', 'OPENDATASOURCE',
+  'OPENXML', 'DBCC', 'BACKUP', 'RESTORE', 'SHUTDOWN', 'KILL', 'RECONFIGURE',
+  'BEGIN', 'COMMIT', 'ROLLBACK', 'SAVE', 'TRAN', 'TRANSACTION', 'CHECKPOINT',
+]);
+
+// Keywords that end a FROM clause's comma-separated table list; joins continue it (FROM A JOIN B ON ..., C)
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR', 'SELECT',
+]);
+
+const JOIN_KEYWORDS = new Set(['JOIN', 'ON', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER']);
+
+// Keywords allowed directly before a second SELECT in the same statement
+const SET_OPERATORS = new Set(['UNION', 'ALL', 'EXCEPT', 'INTERSECT']);
+
+// Words that can follow a table reference and are not its alias
+const NOT_ALIASES = new Set([
+  ...CLAUSE_KEYWORDS, ...JOIN_KEYWORDS, 'WITH', 'APPLY', 'LIMIT', 'OFFSET', 'FETCH', 'WINDOW', 'NATURAL',
+]);
+
+// Keywords that end a select list
+const SELECT_LIST_END = new Set([
+  'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR', 'LIMIT', 'WINDOW',
+]);
+
+// Words inside a select expression that are not column references
+const EXPRESSION_KEYWORDS = new Set([
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'LIKE', 'BETWEEN', 'AS', 'DISTINCT',
+  'ASC', 'DESC', 'OVER', 'PARTITION', 'BY', 'ORDER', 'ROWS', 'RANGE', 'UNBOUNDED', 'PRECEDING', 'FOLLOWING',
+  'CURRENT', 'ROW', 'ESCAPE', 'COLLATE', 'TRUE', 'FALSE', 'ALL', 'ANY', 'SOME', 'EXISTS', 'SELECT', 'FROM', 'WHERE',
+  'JOIN', 'ON', 'INNER', 'LEFT', 'RIGHT', 'OUTER', 'CROSS', 'FULL', 'GROUP', 'HAVING', 'TOP',
+]);
+
+function describe(token) {
+  return `'${token.text}' at position ${token.position + 1}`;
+}
+
+/**
+ * Split SQL text into tokens, skipping whitespace and comments.
+ * Each token has a type (word, quoted, string, number, variable, punct),
+ * its raw text, an upper-cased value for keyword matching and its offset.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comment
+    if (ch === '-' && next === '-') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+
+    // Block comment (T-SQL allows nesting)
+    if (ch === '/' && next === '*') {
+      let depth = 0;
+      while (i < text.length) {
+        if (text[i] === '/' && text[i + 1] === '*') {
+          depth++;
+          i += 2;
+        } else if (text[i] === '*' && text[i + 1] === '/') {
+          depth--;
+          i += 2;
+          if (depth === 0) break;
+        } else {
+          i++;
+        }
+      }
+      if (depth !== 0) {
+        throw new Error(`Unterminated block comment starting at position ${start + 1}`);
+      }
+      continue;
+    }
+
+    // String literal, optionally Unicode-prefixed (N'...'), with '' as escaped quote
+    if (ch === "'" || ((ch === 'N' || ch === 'n') && next === "'")) {
+      i += ch === "'" ? 1 : 2;
+      let value = '';
+      for (;;) {
+        if (i >= text.length) {
+          throw new Error(`Unterminated string literal starting at position ${start + 1}`);
+        }
+        if (text[i] === "'") {
+          if (text[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += text[i++];
+      }
+      tokens.push({ type: 'string', text: text.slice(start, i), value, position: start });
+      continue;
+    }
+
+    // Quoted identifier: [name] with ]] escape, or "name"
+    if (ch === '[' || ch === '"') {
+      const close = ch === '[' ? ']' : '"';
+      i++;
+      let value = '';
+      for (;;) {
+        if (i >= text.length) {
+          throw new Error(`Unterminated quoted identifier starting at position ${start + 1}`);
+        }
+        if (text[i] === close) {
+          if (text[i + 1] === close) {
+            value += close;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += text[i++];
+      }
+      tokens.push({ type: 'quoted', text: text.slice(start, i), value, upper: value.toUpperCase(), position: start });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      while (i < text.length && /[0-9.eE]/.test(text[i])) i++;
+      tokens.push({ type: 'number', text: text.slice(start, i), position: start });
+      continue;
+    }
+
+    if (ch === '@') {
+      i++;
+      while (i < text.length && /[\w@$#]/.test(text[i])) i++;
+      tokens.push({ type: 'variable', text: text.slice(start, i), position: start });
+      continue;
+    }
+
+    if (/[A-Za-z_#]/.test(ch)) {
+      while (i < text.length && /[\w$#]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+      tokens.push({ type: 'word', text: word, value: word, upper: word.toUpperCase(), position: start });
+      continue;
+    }
+
+    tokens.push({ type: 'punct', text: ch, position: start });
+    i++;
+  }
+
+  return tokens;
+}
+
+function isWord(token, upper) {
+  return token !== undefined && token.type === 'word' && token.upper === upper;
+}
+
+function isPunct(token, text) {
+  return token !== undefined && token.type === 'punct' && token.text === text;
+}
+
+function isIdentifier(token) {
+  return token !== undefined && (token.type === 'word' || token.type === 'quoted');
+}
+
+// Return the index just past the parenthesis that closes the one at openIndex
+function skipParentheses(tokens, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    if (isPunct(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  throw new Error(`Unbalanced parentheses: ${describe(tokens[openIndex])} is never closed`);
+}
+
+// Parse "WITH name [(columns)] AS (...) [, ...]" and return the index of the main statement
+function parseCommonTableExpressions(tokens, cteNames) {
+  let i = 1;
+  for (;;) {
+    const name = tokens[i];
+    if (!isIdentifier(name)) {
+      throw new Error(`Expected a CTE name after WITH${name ? `, found ${describe(name)}` : ''}`);
+    }
+    cteNames.set(name.upper, name.value);
+    i++;
+
+    if (isPunct(tokens[i], '(')) {
+      i = skipParentheses(tokens, i);
+    }
+    if (!isWord(tokens[i], 'AS')) {
+      throw new Error(`Expected AS in CTE '${name.value}'${tokens[i] ? `, found ${describe(tokens[i])}` : ''}`);
+    }
+    i++;
+    if (!isPunct(tokens[i], '(')) {
+      throw new Error(`Expected '(' after AS in CTE '${name.value}'`);
+    }
+    i = skipParentheses(tokens, i);
+
+    if (!isPunct(tokens[i], ',')) {
+      return i;
+    }
+    i++;
+  }
+}
+
+// Read a (possibly multi-part) object name starting at index
+function readObjectName(tokens, index) {
+  const parts = [];
+  let i = index;
+  for (;;) {
+    if (!isIdentifier(tokens[i])) break;
+    parts.push(tokens[i]);
+    i++;
+    if (!isPunct(tokens[i], '.')) break;
+    i++;
+  }
+  return { parts, end: i };
+}
+
+function isAlias(token) {
+  if (!isIdentifier(token)) {
+    return false;
+  }
+  return token.type !== 'word' || !(NOT_ALIASES.has(token.upper) || EXPRESSION_KEYWORDS.has(token.upper));
+}
+
+// The alias after a table reference ending at index ("Customers c", "Customers AS c"), or null
+function readAlias(tokens, index) {
+  const token = isWord(tokens[index], 'AS') ? tokens[index + 1] : tokens[index];
+  return isAlias(token) ? token.value : null;
+}
+
+/**
+ * Check the table reference at index and return { table, alias }; table is null for derived tables and CTEs,
+ * whose columns come from another select list.
+ */
+function checkTableReference(tokens, index, allowedTables, cteNames, referenced) {
+  const token = tokens[index];
+  if (token === undefined) {
+    throw new Error('Expected a table name at end of query');
+  }
+  // Derived table - its contents are validated by the surrounding scan
+  if (isPunct(token, '(')) {
+    return { table: null, alias: readAlias(tokens, skipParentheses(tokens, index)) };
+  }
+
+  const { parts, end } = readObjectName(tokens, index);
+  if (parts.length === 0) {
+    throw new Error(`Expected a table name, found ${describe(token)}`);
+  }
+
+  const table = parts[parts.length - 1];
+  if (isPunct(tokens[end], '(')) {
+    throw new Error(`Table-valued functions are not allowed: ${describe(table)}`);
+  }
+  if (parts.length > 2) {
+    throw new Error(`Cross-database references are not allowed: ${describe(parts[0])}`);
+  }
+  if (parts.length === 2 && parts[0].upper !== 'DBO') {
+    throw new Error(`Only the dbo schema is allowed, found ${describe(parts[0])}`);
+  }
+  if (parts.length === 1 && cteNames.has(table.upper)) {
+    return { table: null, alias: readAlias(tokens, end) ?? table.value };
+  }
+  if (!allowedTables.has(table.upper)) {
+    throw new Error(
+      `Table ${describe(table)} is not allowed (allowed tables: ${[...allowedTables.values()].join(', ')})`
+    );
+  }
+  referenced.add(table.value);
+  return { table: allowedTables.get(table.upper), alias: readAlias(tokens, end) ?? table.value };
+}
+
+// Skip DISTINCT, ALL and TOP n [PERCENT] [WITH TIES] after SELECT
+function skipSelectModifiers(tokens, index) {
+  let i = index;
+  while (isWord(tokens[i], 'DISTINCT') || isWord(tokens[i], 'ALL')) i++;
+  if (isWord(tokens[i], 'TOP')) {
+    i = isPunct(tokens[i + 1], '(') ? skipParentheses(tokens, i + 1) : i + 2;
+    if (isWord(tokens[i], 'PERCENT')) i++;
+    if (isWord(tokens[i], 'WITH') && isWord(tokens[i + 1], 'TIES')) i += 2;
+  }
+  return i;
+}
+
+// The columns an expression reads, as { qualifier, column }; COUNT(...) only counts values, so is left out
+function expressionSources(tokens) {
+  const sources = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isWord(token, 'COUNT') && isPunct(tokens[i + 1], '(')) {
+      i = skipParentheses(tokens, i + 1) - 1;
+      continue;
+    }
+    // Function names, CAST(... AS type) and keywords
+    if (!isIdentifier(token) || isPunct(tokens[i + 1], '(') || isWord(tokens[i - 1], 'AS')) continue;
+    if (token.type === 'word' && EXPRESSION_KEYWORDS.has(token.upper)) continue;
+    const { parts, end } = readObjectName(tokens, i);
+    sources.push({
+      qualifier: parts.length > 1 ? parts[parts.length - 2].value : null,
+      column: parts[parts.length - 1].value,
+    });
+    i = end - 1;
+  }
+  return sources;
+}
+
+/**
+ * Parse one select list item: Email, c.Email, c.Email AS Contact, Contact = c.Email, UPPER(c.Email) x, c.*.
+ * Returns { name, star, qualifier, computed, sources }; name is null for unnamed expressions.
+ */
+function parseSelectItem(tokens) {
+  let expression = tokens;
+  let name = null;
+  const last = tokens[tokens.length - 1];
+  const beforeLast = tokens[tokens.length - 2];
+  if (tokens.length > 2 && isIdentifier(tokens[0]) && isPunct(tokens[1], '=')) {
+    name = tokens[0].value;
+    expression = tokens.slice(2);
+  } else if (tokens.length > 2 && isWord(beforeLast, 'AS') && (isIdentifier(last) || last.type === 'string')) {
+    name = last.value;
+    expression = tokens.slice(0, -2);
+  } else if (
+    tokens.length > 1 &&
+    (isIdentifier(last) || last.type === 'string') &&
+    !(last.type === 'word' && EXPRESSION_KEYWORDS.has(last.upper)) &&
+    (isIdentifier(beforeLast) || isPunct(beforeLast, ')') || ['number', 'string'].includes(beforeLast.type)) &&
+    !isWord(beforeLast, 'COLLATE')
+  ) {
+    name = last.value;
+    expression = tokens.slice(0, -1);
+  }
+
+  const isStar =
+    isPunct(expression[expression.length - 1], '*') &&
+    (expression.length === 1 || isPunct(expression[expression.length - 2], '.'));
+  if (isStar) {
+    const { parts } = readObjectName(expression, 0);
+    return { name: null, star: true, qualifier: parts.length > 0 ? parts[parts.length - 1].value : null, sources: [] };
+  }
+
+  const reference = readObjectName(expression, 0);
+  if (reference.parts.length > 0 && reference.end === expression.length) {
+    const [source] = expressionSources(expression);
+    return { name: name ?? source.column, star: false, computed: false, sources: [source] };
+  }
+  return { name, star: false, computed: true, sources: expressionSources(expression) };
+}
+
+/**
+ * Describe every select list of a validated statement, outermost first, for mapping result columns back to
+ * the table columns they come from:
+ * { top, branch, renamed, items, tables: [{ table, alias }] }. top selects produce the result (with branch set
+ * on the second and later parts of a UNION); renamed marks nested selects whose columns are renamed by
+ * position, by a CTE or derived table column list or as later parts of a UNION.
+ */
+function describeSelects(tokens, tableReferences) {
+  const depths = [];
+  let depth = 0;
+  for (const token of tokens) {
+    if (isPunct(token, ')')) depth--;
+    depths.push(isPunct(token, '(') ? depth++ : depth);
+  }
+
+  const selects = [];
+  tokens.forEach((token, start) => {
+    if (!isWord(token, 'SELECT')) {
+      return;
+    }
+    const level = depths[start];
+    let end = start + 1;
+    while (
+      end < tokens.length &&
+      depths[end] >= level &&
+      !(depths[end] === level && ['UNION', 'EXCEPT', 'INTERSECT'].some((operator) => isWord(tokens[end], operator)))
+    ) {
+      end++;
+    }
+
+    const items = [];
+    let item = [];
+    for (let i = skipSelectModifiers(tokens, start + 1); i < end; i++) {
+      const current = tokens[i];
+      if (depths[i] === level && current.type === 'word' && SELECT_LIST_END.has(current.upper)) break;
+      if (depths[i] === level && isPunct(current, ',')) {
+        items.push(item);
+        item = [];
+        continue;
+      }
+      item.push(current);
+    }
+    items.push(item);
+
+    const branch = start > 0 && tokens[start - 1].type === 'word' && SET_OPERATORS.has(tokens[start - 1].upper);
+    let renamed = false;
+    if (level > 0 && isPunct(tokens[start - 1], '(')) {
+      const open = start - 1;
+      const close = skipParentheses(tokens, open);
+      const aliasEnd = isWord(tokens[close], 'AS') ? close + 2 : close + 1;
+      renamed =
+        // WITH name (columns) AS (SELECT ...)
+        (isWord(tokens[open - 1], 'AS') && isPunct(tokens[open - 2], ')')) ||
+        // FROM (SELECT ...) AS name (columns)
+        (isAlias(tokens[aliasEnd - 1]) && isPunct(tokens[aliasEnd], '('));
+    }
+
+    selects.push({
+      top: level === 0,
+      branch,
+      renamed: level > 0 && (renamed || branch),
+      items: items.filter((tokensOfItem) => tokensOfItem.length > 0).map(parseSelectItem),
+      tables: tableReferences
+        .filter((reference) => reference.index > start && reference.index < end && reference.depth === level)
+        .map(({ table, alias }) => ({ table, alias })),
+    });
+  });
+  return selects;
+}
+
+/**
+ * Validate that sqlText is a single read-only SELECT statement.
+ * Returns the normalized statement (trailing semicolons removed), the tables it reads and its select lists.
+ * Throws an Error naming the offending token otherwise.
+ */
+export function validateReadOnlyQuery(sqlText, { allowedTables }) {
+  if (typeof sqlText !== 'string' || sqlText.trim() === '') {
+    throw new Error('Query is empty');
+  }
+
+  const tokens = tokenize(sqlText);
+  let end = tokens.length;
+  while (end > 0 && isPunct(tokens[end - 1], ';')) end--;
+  const statement = tokens.slice(0, end);
+  if (statement.length === 0) {
+    throw new Error('Query is empty');
+  }
+
+  for (const token of statement) {
+    if (isPunct(token, ';')) {
+      throw new Error(`Multiple statements are not allowed: found ${describe(token)}`);
+    }
+    if (token.type === 'word' && DENIED_KEYWORDS.has(token.upper)) {
+      throw new Error(`Keyword ${describe(token)} is not allowed in read-only queries`);
+    }
+    if (token.type === 'word' && /^(XP|SP)_/.test(token.upper)) {
+      throw new Error(`System procedures are not allowed: ${describe(token)}`);
+    }
+    if (token.type === 'word' && token.upper.startsWith('#')) {
+      throw new Error(`Temporary tables are not allowed: ${describe(token)}`);
+    }
+  }
+
+  const allowed = new Map(allowedTables.map((table) => [table.toUpperCase(), table]));
+  const cteNames = new Map();
+  let mainIndex = 0;
+
+  if (isWord(statement[0], 'WITH')) {
+    mainIndex = parseCommonTableExpressions(statement, cteNames);
+  }
+  if (!isWord(statement[mainIndex], 'SELECT')) {
+    const found = statement[mainIndex];
+    throw new Error(`Only SELECT statements are allowed${found ? `, found ${describe(found)}` : ''}`);
+  }
+
+  const referenced = new Set();
+  const tableReferences = [];
+  // Stack of the word preceding each open parenthesis, to recognise TRIM(x FROM y)
+  const openers = [];
+  let depth = 0;
+
+  for (let i = 0; i < statement.length; i++) {
+    const token = statement[i];
+    const previous = statement[i - 1];
+
+    if (isPunct(token, '(')) {
+      openers.push(previous && previous.type === 'word' ? previous.upper : null);
+      depth++;
+      continue;
+    }
+    if (isPunct(token, ')')) {
+      if (depth === 0) {
+        throw new Error(`Unbalanced parentheses: unexpected ${describe(token)}`);
+      }
+      openers.pop();
+      depth--;
+      continue;
+    }
+
+    // A second top-level SELECT not joined by a set operator is a separate statement in the batch
+    if (isWord(token, 'SELECT') && depth === 0 && i > mainIndex) {
+      if (!previous || !(previous.type === 'word' && SET_OPERATORS.has(previous.upper))) {
+        throw new Error(`Multiple statements are not allowed: found ${describe(token)}`);
+      }
+    }
+
+    if (isWord(token, 'FROM')) {
+      if (openers[openers.length - 1] === 'TRIM' || isWord(previous, 'DISTINCT')) {
+        continue;
+      }
+      tableReferences.push({
+        index: i + 1,
+        depth,
+        ...checkTableReference(statement, i + 1, allowed, cteNames, referenced),
+      });
+
+      // Comma-separated table list: FROM A, B
+      let localDepth = 0;
+      for (let j = i + 1; j < statement.length; j++) {
+        const current = statement[j];
+        if (isPunct(current, '(')) localDepth++;
+        if (isPunct(current, ')')) {
+          if (localDepth === 0) break;
+          localDepth--;
+        }
+        if (localDepth > 0) continue;
+        if (current.type === 'word' && CLAUSE_KEYWORDS.has(current.upper)) break;
+        if (isPunct(current, ',')) {
+          tableReferences.push({
+            index: j + 1,
+            depth,
+            ...checkTableReference(statement, j + 1, allowed, cteNames, referenced),
+          });
+        }
+      }
+    }
+
+    if (isWord(token, 'JOIN') || isWord(token, 'APPLY')) {
+      tableReferences.push({
+        index: i + 1,
+        depth,
+        ...checkTableReference(statement, i + 1, allowed, cteNames, referenced),
+      });
+    }
+  }
+
+  if (depth !== 0) {
+    throw new Error('Unbalanced parentheses: missing closing parenthesis');
+  }
+
+  return {
+    statementType: 'SELECT',
+    text: sqlText.slice(0, statement[statement.length - 1].position + statement[statement.length - 1].text.length),
+    tables: [...referenced],
+    ctes: [...cteNames.values()],
+    selects: describeSelects(statement, tableReferences),
+  };
+}
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Coffee Restaurant API
+ * Serves the auth, coffee item and order endpoints from memory so the API tester can be demonstrated and tested
+ * without the .NET API and SQL Server: API_BASE_URL=http://localhost:5080
+ */
+
+import http from 'node:http';
+import { createMockApi, DEFAULT_JWT, loadSeedState } from './lib/mock-api.js';
+
+// Mock configuration from environment
+const port = parseInt(process.env.MOCK_API_PORT || '5080');
+const host = process.env.MOCK_API_HOST || 'localhost';
+// A short lifetime (e.g. 60) exercises the API tester's token renewal
+const tokenLifetimeSeconds = parseInt(process.env.MOCK_API_TOKEN_LIFETIME_SECONDS || '86400');
+const jwtSecret = process.env.MOCK_API_JWT_SECRET || DEFAULT_JWT.secret;
+const logRequests = process.env.MOCK_API_LOG !== 'false';
+
+const api = createMockApi({
+  seed: await loadSeedState(),
+  jwt: { secret: jwtSecret, lifetimeSeconds: tokenLifetimeSeconds },
+});
+
+const server = http.createServer(async (request, response) => {
+  const startedAt = performance.now();
+  const status = await api.handle(request, response);
+  if (logRequests) {
+    console.log(`${request.method} ${request.url} ${status} ${Math.round(performance.now() - startedAt)}ms`);
+  }
+});
+
+server.on('error', (error) => {
+  console.error('Server error:', error.message);
+  process.exit(1);
+});
+
+server.listen(port, host, () => {
+  console.log(`Mock Coffee Restaurant API listening on http://${host}:${port}`);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
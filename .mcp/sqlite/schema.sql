@@ -0,0 +1,84 @@
+-- SQLite schema mirroring the CoffeeRestaurant SQL Server tables
+-- (see CoffeeRestaurant.Persistence/Configurations).
+-- GUIDs are stored as upper-case text, the way SQL Server returns them;
+-- dates are stored as ISO 8601 UTC text.
+
+CREATE TABLE Categories (
+  Id CHAR(36) NOT NULL PRIMARY KEY,
+  Name NVARCHAR(100) NOT NULL,
+  Description NVARCHAR(500) NULL,
+  CreatedAt DATETIME2 NOT NULL,
+  UpdatedAt DATETIME2 NULL
+);
+
+CREATE UNIQUE INDEX IX_Categories_Name ON Categories (Name);
+
+CREATE TABLE CoffeeItems (
+  Id CHAR(36) NOT NULL PRIMARY KEY,
+  Name NVARCHAR(100) NOT NULL,
+  Description NVARCHAR(500) NOT NULL,
+  Price DECIMAL(18, 2) NOT NULL,
+  IsAvailable BIT NOT NULL DEFAULT 1,
+  ImageUrl NVARCHAR(500) NULL,
+  CategoryId CHAR(36) NOT NULL REFERENCES Categories (Id) ON DELETE RESTRICT,
+  CreatedAt DATETIME2 NOT NULL,
+  UpdatedAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_CoffeeItems_CategoryId ON CoffeeItems (CategoryId);
+CREATE INDEX IX_CoffeeItems_Name ON CoffeeItems (Name);
+
+CREATE TABLE Customers (
+  Id CHAR(36) NOT NULL PRIMARY KEY,
+  Name NVARCHAR(100) NOT NULL,
+  Email NVARCHAR(100) NOT NULL,
+  Phone NVARCHAR(20) NULL,
+  Address NVARCHAR(500) NULL,
+  CreatedAt DATETIME2 NOT NULL,
+  UpdatedAt DATETIME2 NULL
+);
+
+CREATE UNIQUE INDEX IX_Customers_Email ON Customers (Email);
+
+CREATE TABLE Baristas (
+  Id CHAR(36) NOT NULL PRIMARY KEY,
+  UserId NVARCHAR(450) NOT NULL,
+  Name NVARCHAR(100) NOT NULL,
+  IsActive BIT NOT NULL DEFAULT 1,
+  CreatedAt DATETIME2 NOT NULL,
+  UpdatedAt DATETIME2 NULL
+);
+
+CREATE UNIQUE INDEX IX_Baristas_UserId ON Baristas (UserId);
+
+CREATE TABLE Orders (
+  Id CHAR(36) NOT NULL PRIMARY KEY,
+  CustomerId CHAR(36) NOT NULL REFERENCES Customers (Id) ON DELETE RESTRICT,
+  BaristaId CHAR(36) NULL REFERENCES Baristas (Id) ON DELETE RESTRICT,
+  OrderDate DATETIME2 NOT NULL,
+  TotalPrice DECIMAL(18, 2) NOT NULL,
+  Status NVARCHAR(20) NOT NULL,
+  Notes NVARCHAR(1000) NULL,
+  CreatedAt DATETIME2 NOT NULL,
+  UpdatedAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_Orders_BaristaId ON Orders (BaristaId);
+CREATE INDEX IX_Orders_CustomerId ON Orders (CustomerId);
+CREATE INDEX IX_Orders_OrderDate ON Orders (OrderDate);
+CREATE INDEX IX_Orders_Status ON Orders (Status);
+
+CREATE TABLE OrderItems (
+  Id CHAR(36) NOT NULL PRIMARY KEY,
+  OrderId CHAR(36) NOT NULL REFERENCES Orders (Id) ON DELETE CASCADE,
+  CoffeeItemId CHAR(36) NOT NULL REFERENCES CoffeeItems (Id) ON DELETE RESTRICT,
+  Quantity INT NOT NULL,
+  UnitPrice DECIMAL(18, 2) NOT NULL,
+  Subtotal DECIMAL(18, 2) NOT NULL,
+  SpecialInstructions NVARCHAR(200) NULL,
+  CreatedAt DATETIME2 NOT NULL,
+  UpdatedAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_OrderItems_CoffeeItemId ON OrderItems (CoffeeItemId);
+CREATE INDEX IX_OrderItems_OrderId ON OrderItems (OrderId);
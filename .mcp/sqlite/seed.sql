@@ -0,0 +1,63 @@
+-- Seed data for the SQLite driver: the DataSeeder menu plus sample customers, baristas and orders
+-- in every status. Totals are UnitPrice * Quantity, as CreateOrderCommandHandler computes them.
+
+INSERT INTO Categories (Id, Name, Description, CreatedAt) VALUES
+  ('C0000000-0000-4000-8000-000000000001', 'Espresso', 'Strong coffee shots', '2025-01-01T08:00:00.000Z'),
+  ('C0000000-0000-4000-8000-000000000002', 'Cappuccino', 'Espresso with steamed milk', '2025-01-01T08:00:00.000Z'),
+  ('C0000000-0000-4000-8000-000000000003', 'Latte', 'Espresso with lots of milk', '2025-01-01T08:00:00.000Z'),
+  ('C0000000-0000-4000-8000-000000000004', 'Americano', 'Espresso with hot water', '2025-01-01T08:00:00.000Z'),
+  ('C0000000-0000-4000-8000-000000000005', 'Mocha', 'Espresso with chocolate', '2025-01-01T08:00:00.000Z'),
+  ('C0000000-0000-4000-8000-000000000006', 'Tea', 'Various tea options', '2025-01-01T08:00:00.000Z'),
+  ('C0000000-0000-4000-8000-000000000007', 'Pastries', 'Fresh baked goods', '2025-01-01T08:00:00.000Z');
+
+INSERT INTO CoffeeItems (Id, Name, Description, Price, IsAvailable, CategoryId, CreatedAt) VALUES
+  ('C1000000-0000-4000-8000-000000000001', 'Single Espresso', 'Strong single shot', 2.50, 1, 'C0000000-0000-4000-8000-000000000001', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000002', 'Double Espresso', 'Strong double shot', 3.50, 1, 'C0000000-0000-4000-8000-000000000001', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000003', 'Classic Cappuccino', 'Perfect balance of espresso and milk', 4.00, 1, 'C0000000-0000-4000-8000-000000000002', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000004', 'Vanilla Cappuccino', 'Cappuccino with vanilla flavor', 4.50, 1, 'C0000000-0000-4000-8000-000000000002', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000005', 'Caramel Latte', 'Smooth latte with caramel', 4.75, 1, 'C0000000-0000-4000-8000-000000000003', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000006', 'Classic Americano', 'Espresso with hot water', 3.00, 1, 'C0000000-0000-4000-8000-000000000004', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000007', 'Dark Chocolate Mocha', 'Rich mocha with dark chocolate', 5.00, 1, 'C0000000-0000-4000-8000-000000000005', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000008', 'Green Tea', 'Refreshing green tea', 2.50, 1, 'C0000000-0000-4000-8000-000000000006', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000009', 'Croissant', 'Buttery French croissant', 3.50, 1, 'C0000000-0000-4000-8000-000000000007', '2025-01-01T08:00:00.000Z'),
+  ('C1000000-0000-4000-8000-000000000010', 'Blueberry Muffin', 'Fresh baked muffin', 3.00, 0, 'C0000000-0000-4000-8000-000000000007', '2025-01-01T08:00:00.000Z');
+
+INSERT INTO Customers (Id, Name, Email, Phone, Address, CreatedAt) VALUES
+  ('C2000000-0000-4000-8000-000000000001', 'Alice Johnson', 'alice@example.com', '+1-555-0101', '12 Bean Street', '2025-01-01T08:00:00.000Z'),
+  ('C2000000-0000-4000-8000-000000000002', 'Bob Smith', 'bob@example.com', '+1-555-0102', NULL, '2025-01-01T08:00:00.000Z'),
+  ('C2000000-0000-4000-8000-000000000003', 'Carla Gomez', 'carla@example.com', NULL, '7 Roast Avenue', '2025-01-01T08:00:00.000Z'),
+  ('C2000000-0000-4000-8000-000000000004', 'David Lee', 'david@example.com', '+1-555-0104', NULL, '2025-01-01T08:00:00.000Z');
+
+INSERT INTO Baristas (Id, UserId, Name, IsActive, CreatedAt) VALUES
+  ('B0000000-0000-4000-8000-000000000001', 'barista-user-1', 'Maya Patel', 1, '2025-01-01T08:00:00.000Z'),
+  ('B0000000-0000-4000-8000-000000000002', 'barista-user-2', 'Leo Rossi', 1, '2025-01-01T08:00:00.000Z'),
+  ('B0000000-0000-4000-8000-000000000003', 'barista-user-3', 'Sam Carter', 0, '2025-01-01T08:00:00.000Z');
+
+INSERT INTO Orders (Id, CustomerId, BaristaId, OrderDate, TotalPrice, Status, Notes, CreatedAt, UpdatedAt) VALUES
+  ('D0000000-0000-4000-8000-000000000001', 'C2000000-0000-4000-8000-000000000001', 'B0000000-0000-4000-8000-000000000001', '2025-09-02T08:15:00.000Z', 8.50, 'Completed', NULL, '2025-09-02T08:15:00.000Z', '2025-09-02T08:27:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000002', 'C2000000-0000-4000-8000-000000000002', 'B0000000-0000-4000-8000-000000000001', '2025-09-10T09:30:00.000Z', 4.00, 'Completed', NULL, '2025-09-10T09:30:00.000Z', '2025-09-10T09:39:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000003', 'C2000000-0000-4000-8000-000000000001', 'B0000000-0000-4000-8000-000000000002', '2025-09-21T14:05:00.000Z', 15.50, 'Completed', 'Extra hot', '2025-09-21T14:05:00.000Z', '2025-09-21T14:20:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000004', 'C2000000-0000-4000-8000-000000000003', 'B0000000-0000-4000-8000-000000000002', '2025-10-03T07:45:00.000Z', 3.00, 'Completed', NULL, '2025-10-03T07:45:00.000Z', '2025-10-03T07:52:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000005', 'C2000000-0000-4000-8000-000000000004', NULL, '2025-10-11T12:20:00.000Z', 5.00, 'Cancelled', 'Customer left', '2025-10-11T12:20:00.000Z', '2025-10-11T12:23:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000006', 'C2000000-0000-4000-8000-000000000001', 'B0000000-0000-4000-8000-000000000001', '2025-10-18T10:10:00.000Z', 8.00, 'Completed', NULL, '2025-10-18T10:10:00.000Z', '2025-10-18T10:21:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000007', 'C2000000-0000-4000-8000-000000000002', 'B0000000-0000-4000-8000-000000000002', '2025-10-25T16:40:00.000Z', 7.50, 'Ready', NULL, '2025-10-25T16:40:00.000Z', '2025-10-25T16:46:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000008', 'C2000000-0000-4000-8000-000000000003', 'B0000000-0000-4000-8000-000000000001', '2025-11-01T08:05:00.000Z', 8.25, 'InProgress', NULL, '2025-11-01T08:05:00.000Z', '2025-11-01T08:07:00.000Z'),
+  ('D0000000-0000-4000-8000-000000000009', 'C2000000-0000-4000-8000-000000000004', NULL, '2025-11-02T09:00:00.000Z', 8.00, 'Pending', 'Oat milk', '2025-11-02T09:00:00.000Z', NULL),
+  ('D0000000-0000-4000-8000-000000000010', 'C2000000-0000-4000-8000-000000000002', NULL, '2025-11-02T09:12:00.000Z', 5.50, 'Pending', NULL, '2025-11-02T09:12:00.000Z', NULL);
+
+INSERT INTO OrderItems (Id, OrderId, CoffeeItemId, Quantity, UnitPrice, Subtotal, SpecialInstructions, CreatedAt) VALUES
+  ('D1000000-0000-4000-8000-000000000001', 'D0000000-0000-4000-8000-000000000001', 'C1000000-0000-4000-8000-000000000001', 2, 2.50, 5.00, NULL, '2025-09-02T08:15:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000002', 'D0000000-0000-4000-8000-000000000001', 'C1000000-0000-4000-8000-000000000009', 1, 3.50, 3.50, NULL, '2025-09-02T08:15:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000003', 'D0000000-0000-4000-8000-000000000002', 'C1000000-0000-4000-8000-000000000003', 1, 4.00, 4.00, NULL, '2025-09-10T09:30:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000004', 'D0000000-0000-4000-8000-000000000003', 'C1000000-0000-4000-8000-000000000005', 2, 4.75, 9.50, NULL, '2025-09-21T14:05:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000005', 'D0000000-0000-4000-8000-000000000003', 'C1000000-0000-4000-8000-000000000010', 2, 3.00, 6.00, NULL, '2025-09-21T14:05:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000006', 'D0000000-0000-4000-8000-000000000004', 'C1000000-0000-4000-8000-000000000006', 1, 3.00, 3.00, NULL, '2025-10-03T07:45:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000007', 'D0000000-0000-4000-8000-000000000005', 'C1000000-0000-4000-8000-000000000007', 1, 5.00, 5.00, NULL, '2025-10-11T12:20:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000008', 'D0000000-0000-4000-8000-000000000006', 'C1000000-0000-4000-8000-000000000002', 1, 3.50, 3.50, NULL, '2025-10-18T10:10:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000009', 'D0000000-0000-4000-8000-000000000006', 'C1000000-0000-4000-8000-000000000004', 1, 4.50, 4.50, NULL, '2025-10-18T10:10:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000010', 'D0000000-0000-4000-8000-000000000007', 'C1000000-0000-4000-8000-000000000008', 3, 2.50, 7.50, NULL, '2025-10-25T16:40:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000011', 'D0000000-0000-4000-8000-000000000008', 'C1000000-0000-4000-8000-000000000005', 1, 4.75, 4.75, NULL, '2025-11-01T08:05:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000012', 'D0000000-0000-4000-8000-000000000008', 'C1000000-0000-4000-8000-000000000009', 1, 3.50, 3.50, NULL, '2025-11-01T08:05:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000013', 'D0000000-0000-4000-8000-000000000009', 'C1000000-0000-4000-8000-000000000003', 2, 4.00, 8.00, NULL, '2025-11-02T09:00:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000014', 'D0000000-0000-4000-8000-000000000010', 'C1000000-0000-4000-8000-000000000001', 1, 2.50, 2.50, NULL, '2025-11-02T09:12:00.000Z'),
+  ('D1000000-0000-4000-8000-000000000015', 'D0000000-0000-4000-8000-000000000010', 'C1000000-0000-4000-8000-000000000006', 1, 3.00, 3.00, NULL, '2025-11-02T09:12:00.000Z');
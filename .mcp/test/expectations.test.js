@@ -0,0 +1,249 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { checkExpectations, checkValue, parseExpect } from '../servers/lib/expectations.js';
+import { diffJson, isVolatileKey } from '../servers/lib/json-diff.js';
+import { createSnapshotStore, normalizeSnapshotBody } from '../servers/lib/snapshots.js';
+import { ADMIN, startMcpServer, startMockApi } from './helpers.js';
+
+const passes = (actual, expected) => checkValue('value', actual, expected).every((assertion) => assertion.passed);
+
+describe('checkValue', () => {
+  test('compares plain values deeply', () => {
+    assert.equal(passes({ roles: ['Admin'], active: true }, { roles: ['Admin'], active: true }), true);
+    assert.equal(passes({ roles: ['Admin'] }, { roles: ['Admin'], active: true }), false);
+    assert.equal(passes([1, 2], { 0: 1, 1: 2 }), false);
+  });
+
+  test('applies each operator', () => {
+    const cases = [
+      ['equals', 'Latte', 'Latte', 'Mocha'],
+      ['notEquals', 'Latte', 'Mocha', 'Latte'],
+      ['contains', 'Flat White', 'White', 'Black'],
+      ['contains', ['Admin', 'Barista'], 'Admin', 'Customer'],
+      ['contains', { name: 'Latte', price: 4.5 }, { price: 4.5 }, { price: 5 }],
+      ['matches', 'c1000000-0000-4000-8000-000000000001', '^[0-9a-f-]{36}$', '^\\d+$'],
+      ['exists', 0, true, false],
+      ['exists', null, false, true],
+      ['type', [], 'array', 'object'],
+      ['type', null, 'null', 'object'],
+      ['gt', 5, 4, 5],
+      ['gte', 5, 5, 6],
+      ['lt', 5, 6, 5],
+      ['lte', 5, 5, 4],
+      ['length', 'abc', 3, 2],
+      ['length', [1, 2], 2, 3],
+    ];
+    for (const [operator, actual, passing, failing] of cases) {
+      assert.equal(passes(actual, { [operator]: passing }), true, `${operator} ${JSON.stringify(passing)}`);
+      assert.equal(passes(actual, { [operator]: failing }), false, `${operator} ${JSON.stringify(failing)}`);
+    }
+  });
+
+  test('does not compare numbers held as strings', () => {
+    assert.equal(passes('10', { gt: 5 }), false);
+    assert.equal(passes(undefined, { length: 0 }), false);
+    assert.equal(passes(undefined, { matches: 'undefined' }), false);
+  });
+
+  test('reports one assertion per operator', () => {
+    const assertions = checkValue('body $.data', [1, 2, 3], { type: 'array', length: 2 });
+    assert.deepEqual(
+      assertions.map(({ operator, passed }) => [operator, passed]),
+      [
+        ['type', true],
+        ['length', false],
+      ]
+    );
+  });
+
+  test('treats an object with other keys as a value to compare', () => {
+    assert.equal(passes({ exists: true, name: 'x' }, { exists: true, name: 'x' }), true);
+  });
+});
+
+describe('checkExpectations', () => {
+  const response = {
+    status: 201,
+    durationMs: 120,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+    data: { success: true, data: { id: 'c1000000-0000-4000-8000-000000000001', name: 'Latte', price: 4.5 } },
+  };
+  const failed = (expect) =>
+    checkExpectations(parseExpect(expect), response)
+      .filter((assertion) => !assertion.passed)
+      .map((assertion) => assertion.target);
+
+  test('requires a 2xx status unless statuses are given', () => {
+    assert.deepEqual(failed({}), []);
+    assert.deepEqual(failed({ status: 200 }), ['status']);
+    assert.deepEqual(failed({ status: [200, 201] }), []);
+  });
+
+  test('limits the latency', () => {
+    assert.deepEqual(failed({ maxLatencyMs: 120 }), []);
+    assert.deepEqual(failed({ maxLatencyMs: 100 }), ['latency']);
+  });
+
+  test('checks the schema, JSONPaths and headers', () => {
+    assert.deepEqual(
+      failed({
+        schema: { type: 'object', required: ['data'], properties: { data: { required: ['id', 'imageUrl'] } } },
+        body: { '$.data.name': 'Latte', '$.data.price': { gt: 5 }, '$.missing': { exists: false } },
+        headers: { 'Content-Type': { matches: 'json' }, 'X-Request-Id': { exists: true } },
+      }),
+      ['body', 'body $.data.price', 'header X-Request-Id']
+    );
+  });
+
+  test('rejects malformed expectations', () => {
+    assert.throws(() => parseExpect({ status: '200' }), /expect.status must be a status code/);
+    assert.throws(() => parseExpect({ maxLatencyMs: 0 }), /expect.maxLatencyMs must be a positive number/);
+    assert.throws(() => parseExpect({ body: ['$.data'] }), /expect.body must be an object/);
+    assert.throws(() => parseExpect({ schema: 'object' }), /expect.schema must be a JSON Schema object/);
+  });
+});
+
+describe('diffJson', () => {
+  test('reports changed, missing, added and length differences by JSONPath', () => {
+    const { count, differences } = diffJson(
+      { data: { name: 'Latte', tags: ['hot'], 'unit price': 4.5 }, items: [1, 2] },
+      { data: { name: 'Mocha', extra: true, 'unit price': 4.5 }, items: [1] }
+    );
+    assert.equal(count, 4);
+    assert.deepEqual(differences, [
+      { path: '$.data.name', kind: 'changed', expected: 'Latte', actual: 'Mocha' },
+      { path: '$.data.tags', kind: 'missing', expected: ['hot'] },
+      { path: '$.data.extra', kind: 'added', actual: true },
+      { path: '$.items', kind: 'length', expected: 2, actual: 1 },
+    ]);
+  });
+
+  test('skips ignored keys and redacted expected values', () => {
+    const expected = { id: 'a', token: '[REDACTED]', data: { createdAt: '2024-01-01', name: 'Latte' } };
+    const actual = { id: 'b', token: 'eyJ...', data: { createdAt: '2025-01-01', name: 'Latte' } };
+    assert.equal(diffJson(expected, actual, { ignoreKey: isVolatileKey }).count, 0);
+    assert.deepEqual(
+      diffJson(expected, actual).differences.map((difference) => difference.path),
+      ['$.id', '$.data.createdAt']
+    );
+  });
+
+  test('counts every difference but lists at most limit', () => {
+    const { count, differences } = diffJson([1, 2, 3, 4], [5, 6, 7, 8], { limit: 2 });
+    assert.equal(count, 4);
+    assert.equal(differences.length, 2);
+  });
+});
+
+describe('isVolatileKey', () => {
+  test('matches ids, timestamps and tokens but not ordinary names', () => {
+    for (const key of ['id', 'customerId', 'createdAt', 'orderDate', 'updatedTime', 'refreshToken', 'etag']) {
+      assert.equal(isVolatileKey(key), true, key);
+    }
+    for (const key of ['name', 'Id', 'paid', 'status', 'totalPrice', 'Identifier']) {
+      assert.equal(isVolatileKey(key), false, key);
+    }
+  });
+});
+
+describe('snapshots', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-snapshots-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('blanks volatile values and keeps their keys', () => {
+    assert.deepEqual(normalizeSnapshotBody({ data: [{ id: 'a', name: 'Latte', createdAt: null }] }), {
+      data: [{ id: '[ignored]', name: 'Latte', createdAt: '[ignored]' }],
+    });
+  });
+
+  test('creates, matches, reports changes and updates', () => {
+    const store = createSnapshotStore(dir);
+    const response = (id, name, status = 200) => ({ status, data: { data: { id, name } } });
+
+    assert.equal(store.check('menu item', response('a', 'Latte')).outcome, 'created');
+    assert.ok(fs.existsSync(path.join(dir, 'menu-item.json')));
+    assert.equal(store.check('menu item', response('b', 'Latte')).outcome, 'matched');
+
+    const changed = store.check('menu item', response('c', 'Mocha', 201));
+    assert.equal(changed.passed, false);
+    assert.equal(changed.differenceCount, 2);
+    assert.deepEqual(
+      changed.differences.map((difference) => difference.path),
+      ['status', '$.data.name']
+    );
+
+    assert.equal(store.check('menu item', response('c', 'Mocha', 201), { update: true }).outcome, 'updated');
+    assert.equal(store.check('menu item', response('d', 'Mocha', 201)).outcome, 'matched');
+  });
+
+  test('rejects names that do not make a file name', () => {
+    const store = createSnapshotStore(dir);
+    assert.throws(() => store.check('', { status: 200, data: null }), /Invalid snapshot name/);
+    assert.throws(() => store.check('.hidden', { status: 200, data: null }), /Invalid snapshot name/);
+  });
+});
+
+describe('expect and snapshot arguments against the mock API', { timeout: 60000 }, () => {
+  let mock;
+  let tester;
+
+  before(async () => {
+    mock = await startMockApi();
+    tester = await startMcpServer('api-tester-server.js', { API_BASE_URL: mock.url });
+  });
+
+  after(async () => {
+    await tester?.close();
+    await mock?.close();
+  });
+
+  const checked = async (name, args) => (await tester.call(name, args)).results.at(-1);
+
+  test('reports every assertion on the response', async () => {
+    const result = await checked('api_get_coffee_items', {
+      expect: {
+        status: 200,
+        body: { '$.success': true, '$.data': { type: 'array', length: 0 }, '$.data[0].name': { exists: true } },
+        headers: { 'content-type': { matches: 'application/json' } },
+      },
+    });
+    assert.equal(result.passed, false);
+    assert.deepEqual(
+      result.assertions.filter((assertion) => !assertion.passed).map(({ target, operator }) => [target, operator]),
+      [['body $.data', 'length']]
+    );
+  });
+
+  test('matches a snapshot until the menu changes', async () => {
+    assert.equal((await checked('api_get_coffee_items', { snapshot: 'menu' })).snapshot.outcome, 'created');
+    assert.equal((await checked('api_get_coffee_items', { snapshot: 'menu' })).snapshot.outcome, 'matched');
+
+    await tester.call('api_login', ADMIN);
+    const menu = (await tester.call('api_get_coffee_items')).results[0].data;
+    await tester.call('api_create_coffee_item', {
+      name: 'Snapshot Latte',
+      description: 'Changes the menu',
+      price: 4.5,
+      categoryId: menu[0].categoryId,
+    });
+
+    const { snapshot } = await checked('api_get_coffee_items', { snapshot: 'menu' });
+    assert.equal(snapshot.outcome, 'changed');
+    assert.deepEqual(snapshot.differences[0], {
+      path: '$.data',
+      kind: 'length',
+      expected: menu.length,
+      actual: menu.length + 1,
+    });
+  });
+});
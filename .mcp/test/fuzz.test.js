@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { builtInTarget, generateCases, runFuzz } from '../servers/lib/fuzz.js';
+import { ADMIN, startMcpServer, startMockApi } from './helpers.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 2, maxLength: 5 },
+    quantity: { type: 'integer', minimum: 1, maximum: 10 },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['name', 'quantity'],
+};
+const baseline = { name: 'Mocha', quantity: 2, tags: ['hot'] };
+
+// The paths at which two JSON values differ; an array that changed length differs as a whole
+function changedPaths(before, after, path = '$') {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  const container = (value) => (Array.isArray(value) ? value.length : value !== null && typeof value === 'object');
+  if (container(before) && container(before) === container(after)) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])].flatMap((key) =>
+      changedPaths(before[key], after[key], Array.isArray(before) ? `${path}[${key}]` : `${path}.${key}`)
+    );
+  }
+  return [path];
+}
+
+describe('generateCases', () => {
+  const cases = generateCases(schema, baseline);
+  const labels = (path) => cases.filter((testCase) => testCase.path === path).map((testCase) => testCase.label);
+
+  test('changes exactly one field per case', () => {
+    for (const testCase of cases.filter((candidate) => candidate.body !== undefined)) {
+      const changed = changedPaths(baseline, testCase.body);
+      if (testCase.label === 'unknown extra field') {
+        assert.deepEqual(changed, [`${testCase.path}.fuzzUnexpectedField`]);
+      } else {
+        assert.deepEqual(changed, [testCase.path], testCase.name);
+      }
+    }
+  });
+
+  test('derives string boundaries from the schema', () => {
+    const name = labels('$.name');
+    for (const label of [
+      'missing',
+      'null',
+      'number instead of string',
+      'empty string',
+      'at minLength',
+      'under minLength',
+      'at maxLength',
+      'over maxLength',
+      'unicode over maxLength',
+      'very long string',
+    ]) {
+      assert.ok(name.includes(label), label);
+    }
+    const overMax = cases.find((testCase) => testCase.name === '$.name: over maxLength');
+    assert.equal(overMax.body.name, 'aaaaaa');
+  });
+
+  test('derives integer boundaries from the schema', () => {
+    const value = (label) => cases.find((testCase) => testCase.name === `$.quantity: ${label}`).body.quantity;
+    assert.equal(value('over maximum'), 11);
+    assert.equal(value('fraction'), 1.5);
+    assert.equal(value('beyond int32'), 2 ** 31);
+  });
+
+  test('walks into arrays and lists whole-document cases last', () => {
+    assert.ok(labels('$.tags').includes('empty array'));
+    assert.ok(labels('$.tags[0]').includes('markup'));
+    assert.deepEqual(
+      cases.slice(-3).map((testCase) => [testCase.label, testCase.raw]),
+      [
+        ['empty body', ''],
+        ['malformed JSON', '{"name": '],
+        ['JSON with trailing comma', '{"name":"Mocha","quantity":2,"tags":["hot"],}'],
+      ]
+    );
+  });
+
+  test('drops duplicate values at the same path', () => {
+    // "under minimum" would send 0 again after "zero"
+    assert.ok(labels('$.quantity').includes('zero'));
+    assert.ok(!labels('$.quantity').includes('under minimum'));
+    const values = cases
+      .filter((testCase) => testCase.body !== undefined)
+      .map(({ path, body }) => JSON.stringify([path, body]));
+    assert.equal(new Set(values).size, values.length);
+  });
+});
+
+describe('runFuzz', () => {
+  const target = { schema, baseline };
+
+  test('flags server errors and accepted invalid input', async () => {
+    const send = async ({ body }) => {
+      if (typeof body === 'object' && body?.name === '') {
+        return { status: 500, data: { message: 'An error occurred' } };
+      }
+      // Accepts everything else, including invalid input
+      return { status: 201, data: { success: true } };
+    };
+    const report = await runFuzz({ send, method: 'POST', endpoint: '/api/things', target, maxCases: 20 });
+    assert.equal(report.passed, false);
+    assert.equal(report.summary.cases, 20);
+    assert.deepEqual(report.truncated, { generated: generateCases(schema, baseline).length, sent: 20 });
+    const serverError = report.findings.find((finding) => finding.kind === 'server error');
+    assert.equal(serverError.case, '$.name: empty string');
+    assert.equal(serverError.response, 'An error occurred');
+    const accepted = report.findings.find((finding) => finding.case === '$.name: missing');
+    assert.equal(accepted.kind, 'accepted invalid input');
+    assert.match(accepted.violations[0], /must have required property 'name'/);
+  });
+
+  test('lists valid input the API rejected apart from the findings', async () => {
+    // Only the baseline itself is accepted
+    const send = async ({ body }) =>
+      body === baseline ? { status: 201 } : { status: 400, data: { message: 'Invalid' } };
+    const report = await runFuzz({ send, method: 'POST', endpoint: '/api/things', target });
+    assert.equal(report.passed, true);
+    assert.ok(report.rejectedValid.some((result) => result.case === '$.name: at maxLength'));
+  });
+
+  test('stops when the baseline is not accepted', async () => {
+    const send = async () => ({ status: 401, data: { message: 'Unauthorized' } });
+    await assert.rejects(
+      runFuzz({ send, method: 'POST', endpoint: '/api/things', target }),
+      /The valid baseline body was answered 401 Unauthorized/
+    );
+    await assert.rejects(
+      runFuzz({ send, method: 'POST', endpoint: '/api/things', target: { schema, baseline: { quantity: 2 } } }),
+      /The baseline body does not match the schema/
+    );
+  });
+});
+
+describe('api_fuzz against the mock API', { timeout: 60000 }, () => {
+  let mock;
+  let tester;
+
+  before(async () => {
+    mock = await startMockApi();
+    tester = await startMcpServer('api-tester-server.js', { API_BASE_URL: mock.url });
+    await tester.call('api_login', ADMIN);
+  });
+
+  after(async () => {
+    await tester?.close();
+    await mock?.close();
+  });
+
+  test('sends every built-in case for POST /api/coffeeitems and reports the 500', async () => {
+    const { isError, results } = await tester.call('api_fuzz', { method: 'POST', endpoint: '/api/coffeeitems' });
+    assert.equal(isError, false);
+    assert.equal(results[0].schemaSource, 'built-in');
+    const { schema: builtIn } = builtInTarget('POST', '/api/coffeeitems');
+    assert.equal(results[0].summary.cases, generateCases(builtIn, results[0].baseline).length);
+
+    // Like the API, the mock answers a category that does not exist with a foreign key violation
+    assert.equal(results[0].passed, false);
+    const serverErrors = results[0].findings.filter((finding) => finding.kind === 'server error');
+    assert.deepEqual(serverErrors.map((finding) => finding.case), ['$.categoryId: unknown GUID']);
+    // The validator's rules for name and description hold
+    assert.ok(!results[0].findings.some((finding) => /^\$\.(name|description):/.test(finding.case)));
+  });
+});
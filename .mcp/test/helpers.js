@@ -0,0 +1,64 @@
+/**
+ * Test helpers
+ * Start the mock API in-process and the API tester as an MCP server over stdio, as an assistant would run it
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { createMockApi, loadSeedState } from '../servers/lib/mock-api.js';
+
+const serversDir = fileURLToPath(new URL('../servers', import.meta.url));
+
+// The admin DataSeeder creates, the mock API's only seeded user
+export const ADMIN = { email: 'admin@coffeerestaurant.com', password: 'Admin123!' };
+// Alice Johnson, a seeded Customers row
+export const CUSTOMER_ID = 'c2000000-0000-4000-8000-000000000001';
+
+// Listen on a free port; resolves to { api, url, close() }
+export async function startMockApi(options = {}) {
+  const api = createMockApi({ seed: await loadSeedState(), ...options });
+  const server = http.createServer((request, response) => api.handle(request, response));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    api,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Start an MCP server script from servers/ with env added to the environment. Resolves to
+ * { client, call(name, args), close() }; call returns { isError, results } with every text content item parsed.
+ */
+export async function startMcpServer(script, env = {}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-test-'));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(serversDir, script)],
+    env: { ...process.env, AUDIT_LOG_ENABLED: 'false', API_SNAPSHOTS_DIR: tempDir, ...env },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(transport);
+
+  return {
+    client,
+    tempDir,
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      return {
+        isError: result.isError === true,
+        results: result.content.filter((item) => item.type === 'text').map((item) => JSON.parse(item.text)),
+      };
+    },
+    async close() {
+      await client.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    },
+  };
+}
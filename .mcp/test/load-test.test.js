@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { planLoad, runLoad } from '../servers/lib/load-test.js';
+import { startMcpServer, startMockApi } from './helpers.js';
+
+const caps = { maxRequests: 100, maxDurationSeconds: 10, maxConcurrency: 4 };
+
+describe('planLoad', () => {
+  test('fills in a fixed count by default and a duration for a target rate', () => {
+    assert.deepEqual(planLoad({ concurrency: 2 }, caps), {
+      requests: 100,
+      durationSeconds: undefined,
+      rps: undefined,
+      concurrency: 2,
+    });
+    assert.deepEqual(planLoad({ rps: 5, concurrency: 1 }, caps), {
+      requests: undefined,
+      durationSeconds: 10,
+      rps: 5,
+      concurrency: 1,
+    });
+  });
+
+  test('enforces the safety caps', () => {
+    assert.throws(() => planLoad({ requests: 101, concurrency: 1 }, caps), /requests \(101\) exceeds the safety cap/);
+    assert.throws(() => planLoad({ durationSeconds: 11, concurrency: 1 }, caps), /durationSeconds \(11\) exceeds/);
+    assert.throws(() => planLoad({ requests: 10, concurrency: 5 }, caps), /concurrency \(5\) exceeds the safety cap/);
+    assert.throws(() => planLoad({ rps: 20, durationSeconds: 6, concurrency: 1 }, caps), /\(120 requests\) exceeds/);
+    // The default concurrency is checked too
+    assert.throws(() => planLoad({ requests: 10 }, caps), /concurrency \(10\) exceeds/);
+  });
+
+  test('rejects values that are not positive', () => {
+    assert.throws(() => planLoad({ requests: 0 }, caps), /requests must be a positive number/);
+    assert.throws(() => planLoad({ requests: 2.5 }, caps), /requests must be an integer/);
+    assert.throws(() => planLoad({ rps: -1 }, caps), /rps must be a positive number/);
+    assert.throws(() => planLoad({ concurrency: 0 }, caps), /concurrency must be a positive integer/);
+  });
+});
+
+describe('runLoad', () => {
+  test('reports nearest-rank percentiles of the latencies', async (t) => {
+    // Iteration n takes n ms on a fake clock
+    let now = 0;
+    t.mock.method(performance, 'now', () => now);
+    let calls = 0;
+    const iterate = async () => {
+      now += ++calls;
+      return calls % 10 === 0 ? { status: 500, error: 'HTTP 500' } : { status: 200 };
+    };
+
+    const result = await runLoad(iterate, { requests: 100, concurrency: 1 }, caps);
+    assert.equal(result.requests, 100);
+    assert.equal(result.stoppedBy, 'requests');
+    assert.equal(result.durationMs, 5050);
+    assert.equal(result.throughputRps, 19.8);
+    assert.deepEqual(result.latencyMs, { min: 1, mean: 50.5, p50: 50, p90: 90, p99: 99, max: 100 });
+    assert.deepEqual(result.statusDistribution, { 200: 90, 500: 10 });
+    assert.equal(result.errors, 10);
+    assert.equal(result.errorRate, 0.1);
+    assert.deepEqual(result.errorSamples, ['HTTP 500']);
+  });
+
+  test('stops at the safety cap when only a duration is given', async () => {
+    const result = await runLoad(async () => ({ status: 200 }), { durationSeconds: 10, concurrency: 2 }, {
+      ...caps,
+      maxRequests: 7,
+    });
+    assert.equal(result.requests, 7);
+    assert.equal(result.stoppedBy, 'safety cap');
+  });
+
+  test('reports no latencies when nothing completed', async () => {
+    const result = await runLoad(async () => ({ status: 200 }), { durationSeconds: 1e-9, concurrency: 1 }, caps);
+    assert.equal(result.requests, 0);
+    assert.equal(result.latencyMs, null);
+    assert.equal(result.errorRate, 0);
+  });
+});
+
+describe('api_load_test against the mock API', { timeout: 60000 }, () => {
+  let mock;
+  let tester;
+
+  before(async () => {
+    mock = await startMockApi();
+    tester = await startMcpServer('api-tester-server.js', { API_BASE_URL: mock.url, API_LOAD_MAX_REQUESTS: '20' });
+  });
+
+  after(async () => {
+    await tester?.close();
+    await mock?.close();
+  });
+
+  test('sends the planned requests and counts statuses', async () => {
+    const { isError, results } = await tester.call('api_load_test', {
+      endpoint: '/api/coffeeitems',
+      requests: 12,
+      concurrency: 3,
+    });
+    assert.equal(isError, false);
+    assert.equal(results[0].target, 'GET /api/coffeeitems');
+    assert.equal(results[0].requests, 12);
+    assert.deepEqual(results[0].statusDistribution, { 200: 12 });
+    assert.equal(results[0].errorRate, 0);
+  });
+
+  test('refuses a run beyond API_LOAD_MAX_REQUESTS', async () => {
+    const { isError, results } = await tester.call('api_load_test', { endpoint: '/api/coffeeitems', requests: 21 });
+    assert.equal(isError, true);
+    assert.match(results[0].error, /requests \(21\) exceeds the safety cap of 20 \(API_LOAD_MAX_REQUESTS\)/);
+  });
+});
@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ADMIN, CUSTOMER_ID, startMcpServer, startMockApi } from './helpers.js';
+
+const ESPRESSO_ID = 'c1000000-0000-4000-8000-000000000001';
+const CROISSANT_ID = 'c1000000-0000-4000-8000-000000000009';
+const PASTRY_CATEGORY_ID = 'c0000000-0000-4000-8000-000000000007';
+
+describe('API tester request tools against the mock API', { timeout: 60000 }, () => {
+  let mock;
+  let tester;
+
+  before(async () => {
+    mock = await startMockApi();
+    tester = await startMcpServer('api-tester-server.js', { API_BASE_URL: mock.url });
+  });
+
+  after(async () => {
+    await tester?.close();
+    await mock?.close();
+  });
+
+  describe('auth', () => {
+    test('logs in as the seeded admin', async () => {
+      const { isError, results } = await tester.call('api_login', { ...ADMIN, session: 'admin' });
+      assert.equal(isError, false);
+      assert.equal(results[0].session, 'admin');
+      assert.deepEqual(results[0].user.roles, ['Admin']);
+    });
+
+    test('rejects a wrong password with the ApiResponse envelope', async () => {
+      const { isError, results } = await tester.call('api_login', { email: ADMIN.email, password: 'wrong' });
+      assert.equal(isError, true);
+      assert.equal(results[0].status, 400);
+      assert.equal(results[0].response.message, 'Invalid email or password.');
+    });
+
+    test('rejects bad relogin options before logging in', async () => {
+      const { isError, results } = await tester.call('api_login', {
+        ...ADMIN,
+        session: 'relogin',
+        reloginBeforeSeconds: -1,
+      });
+      assert.equal(isError, true);
+      assert.equal(results[0].error, 'reloginBeforeSeconds must be a non-negative integer');
+      const listed = (await tester.call('api_session_list')).results[0];
+      const session = listed.find((candidate) => candidate.name === 'relogin');
+      assert.equal(session?.authenticated ?? false, false);
+      assert.equal(session?.autoRelogin.credentialsStored ?? false, false);
+    });
+
+    test('registers a customer who can read /api/auth/me', async () => {
+      const email = `test-${Date.now()}@example.com`;
+      const registered = await tester.call('api_register', {
+        email,
+        password: 'Customer123!',
+        firstName: 'Test',
+        lastName: 'Customer',
+        phoneNumber: '+1-555-0199',
+      });
+      assert.equal(registered.results[0].success, true);
+
+      await tester.call('api_login', { email, password: 'Customer123!', session: 'customer' });
+      const me = await tester.call('api_custom_request', {
+        method: 'GET',
+        endpoint: '/api/auth/me',
+        session: 'customer',
+      });
+      assert.equal(me.results[0].status, 200);
+      assert.equal(me.results[0].data.data.email, email);
+      assert.deepEqual(me.results[0].data.data.roles, ['Customer']);
+    });
+
+    test('answers a request without a token with a 401 challenge', async () => {
+      const { isError, results } = await tester.call('api_custom_request', {
+        method: 'GET',
+        endpoint: '/api/orders',
+        requiresAuth: false,
+      });
+      assert.equal(isError, true);
+      assert.equal(results[0].status, 401);
+    });
+  });
+
+  describe('coffee items', () => {
+    test('lists the available seeded menu anonymously', async () => {
+      const { results } = await tester.call('api_get_coffee_items');
+      const espresso = results[0].data.find((item) => item.id === ESPRESSO_ID);
+      assert.equal(espresso.name, 'Single Espresso');
+      assert.equal(espresso.categoryName, 'Espresso');
+      assert.ok(results[0].data.every((item) => item.isAvailable));
+    });
+
+    test('creates a coffee item as Admin', async () => {
+      const { isError, results } = await tester.call('api_create_coffee_item', {
+        session: 'admin',
+        name: 'Test Scone',
+        description: 'Baked for the tests',
+        price: 3.25,
+        categoryId: PASTRY_CATEGORY_ID,
+      });
+      assert.equal(isError, false);
+      assert.equal(results[0].data.name, 'Test Scone');
+      assert.equal(results[0].data.price, 3.25);
+
+      const menu = await tester.call('api_get_coffee_items', { session: 'admin' });
+      assert.ok(menu.results[0].data.some((item) => item.name === 'Test Scone'));
+    });
+
+    test('returns the validator messages for an invalid item', async () => {
+      const { isError, results } = await tester.call('api_create_coffee_item', {
+        session: 'admin',
+        name: 'Free Scone',
+        description: 'Priced below zero',
+        price: -1,
+        categoryId: PASTRY_CATEGORY_ID,
+      });
+      assert.equal(isError, true);
+      assert.equal(results[0].status, 400);
+      assert.deepEqual(results[0].response.errors, ['Price must be greater than 0.']);
+    });
+
+    test('answers a missing required field with model binding problem details', async () => {
+      const { results } = await tester.call('api_create_coffee_item', {
+        session: 'admin',
+        description: 'No name',
+        price: 2,
+        categoryId: PASTRY_CATEGORY_ID,
+      });
+      assert.equal(results[0].status, 400);
+      assert.equal(results[0].response.title, 'One or more validation errors occurred.');
+      assert.ok(results[0].response.errors.Name);
+    });
+
+    test('forbids customers from creating coffee items', async () => {
+      const { results } = await tester.call('api_create_coffee_item', {
+        session: 'customer',
+        name: 'Forbidden Latte',
+        description: 'Not on the menu',
+        price: 4,
+        categoryId: PASTRY_CATEGORY_ID,
+      });
+      assert.equal(results[0].status, 403);
+    });
+  });
+
+  describe('orders', () => {
+    let order;
+
+    test('places an order priced from the menu', async () => {
+      const { isError, results } = await tester.call('api_create_order', {
+        session: 'admin',
+        customerId: CUSTOMER_ID,
+        orderItems: [
+          { coffeeItemId: ESPRESSO_ID, quantity: 2 },
+          { coffeeItemId: CROISSANT_ID, quantity: 1, specialInstructions: 'Warm' },
+        ],
+        notes: 'Test order',
+      });
+      assert.equal(isError, false);
+      order = results[0].data;
+      assert.equal(order.status, 'Pending');
+      assert.equal(order.orderItems.length, 2);
+      for (const item of order.orderItems) {
+        assert.equal(item.subtotal, Math.round(item.unitPrice * item.quantity * 100) / 100);
+      }
+      const total = order.orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+      assert.equal(order.totalPrice, Math.round(total * 100) / 100);
+    });
+
+    test('lists the new order', async () => {
+      const { results } = await tester.call('api_get_orders', { session: 'admin' });
+      const listed = results[0].data.find((candidate) => candidate.id === order.id);
+      assert.equal(listed.customerId, CUSTOMER_ID);
+      assert.equal(listed.totalPrice, order.totalPrice);
+    });
+
+    test('rejects an order without items', async () => {
+      const { isError, results } = await tester.call('api_create_order', {
+        session: 'admin',
+        customerId: CUSTOMER_ID,
+        orderItems: [],
+      });
+      assert.equal(isError, true);
+      assert.equal(results[0].status, 400);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { startMcpServer } from './helpers.js';
+
+const cursorFor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+describe('cursor pagination on the SQLite database', { timeout: 60000 }, () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer('database-server.js', { DB_DRIVER: 'sqlite', DB_SQLITE_PATH: '' });
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  const page = async (args) => (await server.call('query_coffee_items', { bypassCache: true, ...args })).results[0];
+
+  // Errors come back as "Error: <message>" text
+  const rejection = async (args) => {
+    const result = await server.client.callTool({ name: 'query_coffee_items', arguments: args });
+    assert.equal(result.isError, true);
+    return result.content[0].text;
+  };
+
+  test('walks every row once by following nextCursor', async () => {
+    const all = await page({ pageSize: 500, sortBy: 'price', sortDirection: 'desc' });
+    const ids = [];
+    let cursor;
+    do {
+      const current = await page({ pageSize: 3, sortBy: 'price', sortDirection: 'desc', cursor });
+      assert.equal(current.offset, ids.length);
+      assert.deepEqual(current.sort, { sortBy: 'price', sortDirection: 'desc' });
+      ids.push(...current.items.map((item) => item.Id));
+      cursor = current.nextCursor;
+    } while (cursor);
+
+    assert.equal(ids.length, all.totalCount);
+    assert.deepEqual(ids, all.items.map((item) => item.Id));
+  });
+
+  test('issues a base64url cursor holding the next offset and the sort', async () => {
+    const first = await page({ pageSize: 2, sortBy: 'name', sortDirection: 'asc' });
+    assert.match(first.nextCursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(JSON.parse(Buffer.from(first.nextCursor, 'base64url').toString('utf8')), {
+      offset: 2,
+      sortBy: 'name',
+      sortDirection: 'asc',
+    });
+  });
+
+  test('rejects a cursor used with another sort order', async () => {
+    const first = await page({ pageSize: 2, sortBy: 'name' });
+    assert.match(
+      await rejection({ pageSize: 2, sortBy: 'price', cursor: first.nextCursor }),
+      /cursor was issued for a different sort order/
+    );
+  });
+
+  test('rejects a cursor naming a sort column outside the allow-list', async () => {
+    const cursor = cursorFor({ offset: 0, sortBy: 'Price; DROP TABLE Orders', sortDirection: 'asc' });
+    assert.match(await rejection({ cursor }), /cursor was issued for a different sort order/);
+    assert.match(await rejection({ sortBy: 'Price; DROP TABLE Orders' }), /sortBy must be one of/);
+  });
+
+  test('rejects tampered and malformed cursors', async () => {
+    for (const cursor of [
+      cursorFor({ offset: -5, sortBy: 'name', sortDirection: 'asc' }),
+      cursorFor({ offset: 1.5, sortBy: 'name', sortDirection: 'asc' }),
+      cursorFor({ offset: '10', sortBy: 'name', sortDirection: 'asc' }),
+      'not a cursor',
+      '',
+    ]) {
+      assert.match(await rejection({ cursor }), /cursor is invalid/, cursor);
+    }
+  });
+});
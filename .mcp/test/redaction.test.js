@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, test } from 'node:test';
+import { loadRedactionPolicy, planQueryRedaction, redactPayload } from '../servers/lib/redaction.js';
+import { validateReadOnlyQuery } from '../servers/lib/sql-validator.js';
+import { startMcpServer } from './helpers.js';
+
+const policy = loadRedactionPolicy(fileURLToPath(new URL('../redaction-policy.json', import.meta.url)));
+const allowedTables = ['Categories', 'CoffeeItems', 'Customers', 'Orders', 'OrderItems', 'Baristas'];
+const tool = 'execute_custom_query';
+
+function redactQuery(text, rows) {
+  const query = planQueryRedaction(policy, validateReadOnlyQuery(text, { allowedTables }), { tool });
+  return redactPayload({ rows }, policy, { tool, query }).rows;
+}
+
+describe('execute_custom_query redaction', () => {
+  test('masks columns selected under an alias', () => {
+    const [row] = redactQuery('SELECT Email AS Contact, Name AS N FROM Customers', [
+      { Contact: 'alice@example.com', N: 'Alice Johnson' },
+    ]);
+    assert.deepEqual(row, { Contact: 'a****@e******.com', N: 'A**** J******' });
+  });
+
+  test('masks T-SQL "alias = column" and bare aliases', () => {
+    const [row] = redactQuery('SELECT Contact = c.Email, c.Name Who FROM Customers c', [
+      { Contact: 'alice@example.com', Who: 'Alice Johnson' },
+    ]);
+    assert.deepEqual(row, { Contact: 'a****@e******.com', Who: 'A**** J******' });
+  });
+
+  test('redacts computed columns that read a redacted column', () => {
+    const [row] = redactQuery("SELECT UPPER(Email) AS x, Email + '' FROM Customers", [
+      { x: 'ALICE@EXAMPLE.COM', '': 'alice@example.com' },
+    ]);
+    assert.deepEqual(row, { x: '[REDACTED]', '': '[REDACTED]' });
+  });
+
+  test('leaves counts of a redacted column alone', () => {
+    const [row] = redactQuery('SELECT COUNT(DISTINCT Email) AS Customers FROM Customers', [{ Customers: 4 }]);
+    assert.deepEqual(row, { Customers: 4 });
+  });
+
+  test('applies a table rule only to columns of that table', () => {
+    const [row] = redactQuery(
+      `SELECT ci.Name, c.Name AS CategoryName, cu.Name AS CustomerName
+       FROM CoffeeItems ci JOIN Categories c ON ci.CategoryId = c.Id, Customers cu`,
+      [{ Name: 'Caramel Latte', CategoryName: 'Latte', CustomerName: 'Alice Johnson' }]
+    );
+    assert.deepEqual(row, { Name: 'Caramel Latte', CategoryName: 'Latte', CustomerName: 'A**** J******' });
+  });
+
+  test('matches column rules whatever the case of the column name', () => {
+    const [row] = redactQuery('SELECT name, EMAIL FROM Customers', [
+      { name: 'Alice Johnson', EMAIL: 'alice@example.com' },
+    ]);
+    assert.deepEqual(row, { name: 'A**** J******', EMAIL: 'a****@e******.com' });
+    assert.deepEqual(redactPayload([{ name: 'Alice Johnson' }], policy, { tool: 'query_customers' }), [
+      { name: 'A**** J******' },
+    ]);
+  });
+
+  test('keeps name-based masking for SELECT *', () => {
+    const [row] = redactQuery('SELECT * FROM Customers', [{ Name: 'Alice Johnson', Email: 'alice@example.com' }]);
+    assert.deepEqual(row, { Name: 'A**** J******', Email: 'a****@e******.com' });
+  });
+
+  test('merges the parts of a UNION by position', () => {
+    const rows = redactQuery('SELECT Name FROM Categories UNION SELECT Email FROM Customers', [
+      { Name: 'alice@example.com' },
+    ]);
+    assert.deepEqual(rows, [{ Name: 'a****@e******.com' }]);
+  });
+
+  test('rejects subqueries and CTEs that rename a redacted column', () => {
+    for (const text of [
+      'SELECT e FROM (SELECT Email AS e FROM Customers) d',
+      'WITH x (a) AS (SELECT Email FROM Customers) SELECT a FROM x',
+      'WITH x AS (SELECT LOWER(Email) AS a FROM Customers) SELECT a FROM x',
+      'SELECT * FROM (SELECT Name FROM Categories UNION SELECT Name FROM Customers) u',
+    ]) {
+      assert.throws(
+        () => planQueryRedaction(policy, validateReadOnlyQuery(text, { allowedTables }), { tool }),
+        /cannot be redacted/,
+        text
+      );
+    }
+  });
+
+  test('checks tables listed after a join against the allow-list', () => {
+    assert.throws(
+      () => validateReadOnlyQuery('SELECT 1 FROM Orders o JOIN Customers c ON o.CustomerId = c.Id, Secrets s', {
+        allowedTables,
+      }),
+      /Table 'Secrets' at position \d+ is not allowed/
+    );
+  });
+
+  test('allows subqueries that keep column names', () => {
+    const [row] = redactQuery('SELECT Email FROM (SELECT Email FROM Customers) d', [{ Email: 'alice@example.com' }]);
+    assert.deepEqual(row, { Email: 'a****@e******.com' });
+  });
+});
+
+describe('execute_custom_query on the SQLite database', { timeout: 60000 }, () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer('database-server.js', { DB_DRIVER: 'sqlite', DB_SQLITE_PATH: '' });
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  test('masks aliased customer columns', async () => {
+    const { isError, results } = await server.call(tool, {
+      query: "SELECT Email AS Contact, Name AS N FROM Customers WHERE Email = 'alice@example.com'",
+    });
+    assert.equal(isError, false);
+    assert.deepEqual(results[0].rows, [{ Contact: 'a****@e******.com', N: 'A**** J******' }]);
+    assert.deepEqual(results[0].redacted, ['Contact', 'N']);
+  });
+
+  test('does not mask coffee item and category names joined with customers', async () => {
+    const { results } = await server.call(tool, {
+      query: `SELECT ci.Name AS Item, c.Name AS Category, cu.Name AS Customer
+        FROM CoffeeItems ci JOIN Categories c ON ci.CategoryId = c.Id, Customers cu
+        WHERE ci.Name = 'Single Espresso' AND cu.Email = 'alice@example.com'`,
+    });
+    assert.deepEqual(results[0].rows, [{ Item: 'Single Espresso', Category: 'Espresso', Customer: 'A**** J******' }]);
+  });
+});
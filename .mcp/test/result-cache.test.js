@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { ResultCache, parseCacheTtls } from '../servers/lib/result-cache.js';
+import { startMcpServer } from './helpers.js';
+
+describe('ResultCache', () => {
+  let now;
+  let cache;
+
+  beforeEach((t) => {
+    now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    cache = new ResultCache({ ttls: { query_categories: 5000, get_database_stats: 1000 }, maxEntries: 2 });
+  });
+
+  test('caches only tools with a TTL', () => {
+    assert.equal(cache.isCacheable('query_categories'), true);
+    assert.equal(cache.isCacheable('execute_custom_query'), false);
+  });
+
+  test('serves an entry until its TTL runs out', () => {
+    cache.set('query_categories', {}, 'categories');
+    now += 4999;
+    assert.deepEqual(cache.get('query_categories', {}), {
+      value: 'categories',
+      info: { status: 'hit', ageMs: 4999, ttlMs: 5000, expiresInMs: 1 },
+    });
+    now += 1;
+    assert.equal(cache.get('query_categories', {}), null);
+    assert.equal(cache.stats().entries, 0);
+  });
+
+  test('evicts the least recently used entry beyond maxEntries', () => {
+    cache.set('query_categories', { page: 1 }, 'first');
+    cache.set('query_categories', { page: 2 }, 'second');
+    cache.get('query_categories', { page: 1 });
+    cache.set('query_categories', { page: 3 }, 'third');
+
+    assert.equal(cache.get('query_categories', { page: 1 })?.value, 'first');
+    assert.equal(cache.get('query_categories', { page: 2 }), null);
+    assert.equal(cache.get('query_categories', { page: 3 })?.value, 'third');
+  });
+
+  test('keys on what is read, not how it is presented', () => {
+    cache.set('query_categories', { pageSize: 10, sortBy: 'name' }, 'page');
+    const presented = { sortBy: 'name', pageSize: 10, format: 'csv', columns: ['Name'], unmask: true };
+    assert.equal(cache.get('query_categories', presented)?.value, 'page');
+    assert.equal(cache.get('query_categories', { pageSize: 20, sortBy: 'name' }), null);
+    assert.equal(cache.get('get_database_stats', { pageSize: 10, sortBy: 'name' }), null);
+  });
+
+  test('stores a bypassed read under the same key, replacing the cached one', () => {
+    cache.set('query_categories', {}, 'stale');
+    const info = cache.set('query_categories', { bypassCache: true }, 'fresh', 'bypass');
+    assert.equal(info.status, 'bypass');
+    assert.equal(cache.get('query_categories', {})?.value, 'fresh');
+    assert.equal(cache.stats().entries, 1);
+  });
+
+  test('clears one tool or everything', () => {
+    cache.set('query_categories', {}, 'categories');
+    cache.set('get_database_stats', {}, 'stats');
+    assert.equal(cache.clear('get_database_stats'), 1);
+    assert.deepEqual(cache.stats().entriesByTool, { query_categories: 1 });
+    assert.equal(cache.clear(), 1);
+  });
+});
+
+describe('parseCacheTtls', () => {
+  const defaults = { query_categories: 300000, get_database_stats: 30000 };
+  const cacheable = ['query_categories', 'get_database_stats'];
+
+  test('overrides the defaults in seconds and turns a tool off with 0', () => {
+    assert.deepEqual(parseCacheTtls('query_categories=60, get_database_stats=0', defaults, cacheable), {
+      query_categories: 60000,
+    });
+  });
+
+  test('rejects malformed entries and tools that cannot be cached', () => {
+    assert.throws(() => parseCacheTtls('query_categories', defaults, cacheable), /expected tool=seconds/);
+    assert.throws(() => parseCacheTtls('execute_custom_query=10', defaults, cacheable), /cannot be cached/);
+  });
+});
+
+describe('database tool caching on the SQLite database', { timeout: 60000 }, () => {
+  let server;
+
+  before(async () => {
+    server = await startMcpServer('database-server.js', { DB_DRIVER: 'sqlite', DB_SQLITE_PATH: '' });
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  const cacheStatus = async (args) => {
+    const { results } = await server.call('describe_table', { tableName: 'Orders', ...args });
+    return results.find((result) => result.cache)?.cache.status;
+  };
+
+  test('misses, hits, and re-reads with bypassCache', async () => {
+    assert.equal(await cacheStatus(), 'miss');
+    assert.equal(await cacheStatus({ format: 'json' }), 'hit');
+    assert.equal(await cacheStatus({ bypassCache: true }), 'bypass');
+    assert.equal(await cacheStatus(), 'hit');
+  });
+});
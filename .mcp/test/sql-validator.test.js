@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { tokenize, validateReadOnlyQuery } from '../servers/lib/sql-validator.js';
+
+const allowedTables = ['Categories', 'CoffeeItems', 'Customers', 'Orders', 'OrderItems', 'Baristas'];
+const validate = (text) => validateReadOnlyQuery(text, { allowedTables });
+
+describe('tokenize', () => {
+  test('skips nested block comments and line comments', () => {
+    const tokens = tokenize('SELECT /* outer /* inner */ still comment */ 1 -- DROP TABLE Orders\n');
+    assert.deepEqual(tokens.map((token) => token.text), ['SELECT', '1']);
+  });
+
+  test('reads N-prefixed strings with doubled quotes as one literal', () => {
+    const [, literal] = tokenize("SELECT N'it''s; DELETE FROM Orders'");
+    assert.equal(literal.type, 'string');
+    assert.equal(literal.value, "it's; DELETE FROM Orders");
+  });
+
+  test('reads bracketed identifiers with ]] escapes', () => {
+    const [, identifier] = tokenize('SELECT [Order]]Id] FROM Orders');
+    assert.equal(identifier.type, 'quoted');
+    assert.equal(identifier.value, 'Order]Id');
+  });
+
+  test('rejects unterminated comments, strings and identifiers', () => {
+    assert.throws(() => tokenize('SELECT 1 /* /* */'), /Unterminated block comment/);
+    assert.throws(() => tokenize("SELECT N'open"), /Unterminated string literal/);
+    assert.throws(() => tokenize('SELECT [Name FROM Orders'), /Unterminated quoted identifier/);
+  });
+});
+
+describe('validateReadOnlyQuery', () => {
+  test('rejects writes hidden after a nested comment', () => {
+    assert.throws(() => validate('SELECT 1 /* a /* b */ c */ ; DELETE FROM Orders'), /Multiple statements/);
+  });
+
+  test('does not treat keywords inside strings and bracketed identifiers as SQL', () => {
+    const validated = validate("SELECT N'DROP TABLE Orders; EXEC xp_cmdshell' AS [Delete], Name FROM Customers");
+    assert.deepEqual(validated.tables, ['Customers']);
+  });
+
+  test('rejects SELECT ... INTO', () => {
+    assert.throws(() => validate('SELECT * INTO Backup FROM Orders'), /Keyword 'INTO' .* is not allowed/);
+  });
+
+  test('rejects EXEC, system procedures and extended procedures', () => {
+    assert.throws(() => validate('EXEC sp_who'), /Keyword 'EXEC' .* is not allowed/);
+    assert.throws(() => validate('EXECUTE (N\'SELECT 1\')'), /Keyword 'EXECUTE' .* is not allowed/);
+    assert.throws(() => validate('SELECT * FROM sp_helpdb'), /System procedures are not allowed/);
+    assert.throws(() => validate("SELECT xp_cmdshell('dir')"), /System procedures are not allowed/);
+  });
+
+  test('rejects temporary tables', () => {
+    assert.throws(() => validate('SELECT * FROM #orders'), /Temporary tables are not allowed/);
+    assert.throws(() => validate('SELECT * FROM ##orders'), /Temporary tables are not allowed/);
+  });
+
+  test('rejects multiple statements', () => {
+    assert.throws(() => validate('SELECT 1; SELECT 2'), /Multiple statements are not allowed/);
+    assert.throws(() => validate('SELECT Name FROM Customers SELECT Email FROM Customers'), /Multiple statements/);
+  });
+
+  test('allows a trailing semicolon', () => {
+    assert.equal(validate('SELECT Name FROM Customers;').text, 'SELECT Name FROM Customers');
+  });
+
+  test('allows the dbo schema only', () => {
+    assert.deepEqual(validate('SELECT * FROM dbo.Orders').tables, ['Orders']);
+    assert.deepEqual(validate('SELECT * FROM [dbo].[Orders]').tables, ['Orders']);
+    assert.throws(() => validate('SELECT * FROM sys.tables'), /Only the dbo schema is allowed/);
+    assert.throws(() => validate('SELECT * FROM [audit].[Orders]'), /Only the dbo schema is allowed/);
+    assert.throws(() => validate('SELECT * FROM master.dbo.Orders'), /Cross-database references are not allowed/);
+  });
+
+  test('rejects tables outside the allow-list', () => {
+    assert.throws(() => validate('SELECT * FROM AspNetUsers'), /Table 'AspNetUsers' .* is not allowed/);
+    assert.throws(
+      () => validate('SELECT * FROM Orders WHERE CustomerId IN (SELECT Id FROM AspNetUsers)'),
+      /Table 'AspNetUsers' .* is not allowed/
+    );
+  });
+
+  test('rejects statements that are not SELECT', () => {
+    assert.throws(() => validate('UPDATE Orders SET Status = 1'), /not allowed in read-only queries/);
+    assert.throws(() => validate('VALUES (1)'), /Only SELECT statements are allowed/);
+  });
+
+  test('allows CTEs over allow-listed tables', () => {
+    const validated = validate(`
+      WITH Totals (CustomerId, Spent) AS (
+        SELECT CustomerId, SUM(TotalPrice) FROM Orders GROUP BY CustomerId
+      ), Big AS (SELECT CustomerId FROM Totals WHERE Spent > 100)
+      SELECT c.Name, t.Spent FROM Customers c JOIN Totals t ON t.CustomerId = c.Id`);
+    assert.deepEqual(validated.tables.sort(), ['Customers', 'Orders']);
+  });
+
+  test('allows UNION, EXCEPT and INTERSECT', () => {
+    const validated = validate(`
+      SELECT Name FROM Categories
+      UNION ALL SELECT Name FROM CoffeeItems
+      EXCEPT SELECT Name FROM Baristas
+      INTERSECT SELECT Name FROM Customers`);
+    assert.deepEqual(validated.tables.sort(), ['Baristas', 'Categories', 'CoffeeItems', 'Customers']);
+  });
+
+  test('checks the tables CTEs read', () => {
+    assert.throws(
+      () => validate('WITH u AS (SELECT * FROM AspNetUsers) SELECT * FROM u'),
+      /Table 'AspNetUsers' .* is not allowed/
+    );
+  });
+});
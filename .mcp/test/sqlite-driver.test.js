@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { createSqliteDriver } from '../servers/lib/drivers/sqlite-driver.js';
+
+const ESPRESSO_ID = 'C1000000-0000-4000-8000-000000000001';
+const PRICE_QUERY = `SELECT Price FROM CoffeeItems WHERE Id = '${ESPRESSO_ID}'`;
+const UPDATE_PRICE = `UPDATE CoffeeItems SET Price = 9.99 WHERE Id = '${ESPRESSO_ID}'`;
+
+// Resolves to 'pending' when the promise has not settled once queued work has run
+const settled = (promise) =>
+  Promise.race([promise.then(() => 'settled'), new Promise((resolve) => setImmediate(resolve, 'pending'))]);
+
+describe('sqlite driver reads alongside a transaction', () => {
+  let driver;
+
+  beforeEach(async () => {
+    // No file: a fresh in-memory database from schema.sql and seed.sql
+    driver = createSqliteDriver();
+    await driver.connect();
+  });
+
+  test('waits for the transaction and then sees its committed rows', async () => {
+    const transaction = await driver.beginTransaction();
+    await transaction.query(UPDATE_PRICE);
+
+    const read = driver.query(PRICE_QUERY);
+    assert.equal(await settled(read), 'pending');
+
+    // The transaction's own statements do not wait
+    assert.deepEqual((await transaction.query(PRICE_QUERY)).recordset, [{ Price: 9.99 }]);
+
+    await transaction.commit();
+    assert.deepEqual((await read).recordset, [{ Price: 9.99 }]);
+  });
+
+  test('never sees the rows of a transaction that is rolled back', async () => {
+    const transaction = await driver.beginTransaction();
+    await transaction.query(UPDATE_PRICE);
+    const read = driver.query(PRICE_QUERY);
+
+    await transaction.rollback();
+    assert.deepEqual((await read).recordset, [{ Price: 2.5 }]);
+  });
+
+  test('also holds schema reads until the transaction ends', async () => {
+    const transaction = await driver.beginTransaction();
+    const description = driver.describeTable('CoffeeItems');
+    assert.equal(await settled(description), 'pending');
+
+    await transaction.rollback();
+    assert.ok((await description).columns.some((column) => column.ColumnName === 'Price'));
+  });
+});
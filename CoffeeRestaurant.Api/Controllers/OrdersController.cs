@@ -1,3 +1,6 @@
+using CoffeeRestaurant.Application.Orders.Commands.AssignBarista;
+using CoffeeRestaurant.Application.Orders.Commands.CancelOrder;
+using CoffeeRestaurant.Application.Orders.Commands.ChangeOrderStatus;
 using CoffeeRestaurant.Application.Orders.Commands.CreateOrder;
 using CoffeeRestaurant.Application.Orders.Queries.GetOrders;
 using CoffeeRestaurant.Shared.Common;
@@ -33,4 +36,46 @@ public class OrdersController : ControllerBase
         var result = await _mediator.Send(command);
         return Ok(ApiResponse<CreateOrderResponse>.SuccessResult(result, "Order created successfully."));
     }
+
+    [HttpPut("{id:guid}/status")]
+    [Authorize(Roles = "Admin,Barista")]
+    public async Task<ActionResult<ApiResponse<ChangeOrderStatusResponse>>> ChangeOrderStatus(Guid id, ChangeOrderStatusRequest request)
+    {
+        var command = new ChangeOrderStatusCommand { OrderId = id, Status = request.Status };
+        return await SendOrderCommand(command, "Order status updated successfully.");
+    }
+
+    [HttpPost("{id:guid}/cancel")]
+    [Authorize(Roles = "Admin,Barista")]
+    public async Task<ActionResult<ApiResponse<CancelOrderResponse>>> CancelOrder(Guid id, CancelOrderRequest? request = null)
+    {
+        var command = new CancelOrderCommand { OrderId = id, Reason = request?.Reason };
+        return await SendOrderCommand(command, "Order cancelled successfully.");
+    }
+
+    [HttpPost("{id:guid}/assign-barista")]
+    [Authorize(Roles = "Admin,Barista")]
+    public async Task<ActionResult<ApiResponse<AssignBaristaResponse>>> AssignBarista(Guid id, AssignBaristaRequest request)
+    {
+        var command = new AssignBaristaCommand { OrderId = id, BaristaId = request.BaristaId };
+        return await SendOrderCommand(command, "Barista assigned successfully.");
+    }
+
+    // A missing order or barista is a 404 and a transition the Order entity rejects a 400, both with its message
+    private async Task<ActionResult<ApiResponse<TResponse>>> SendOrderCommand<TResponse>(IRequest<TResponse> command, string message)
+    {
+        try
+        {
+            var result = await _mediator.Send(command);
+            return Ok(ApiResponse<TResponse>.SuccessResult(result, message));
+        }
+        catch (KeyNotFoundException ex)
+        {
+            return NotFound(ApiResponse<TResponse>.ErrorResult(ex.Message));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ApiResponse<TResponse>.ErrorResult(ex.Message));
+        }
+    }
 }
@@ -0,0 +1,57 @@
+using CoffeeRestaurant.Application.Common.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace CoffeeRestaurant.Application.Orders.Commands.AssignBarista;
+
+public record AssignBaristaCommand : IRequest<AssignBaristaResponse>
+{
+    public Guid OrderId { get; init; }
+    public Guid BaristaId { get; init; }
+}
+
+public record AssignBaristaRequest
+{
+    public Guid BaristaId { get; init; }
+}
+
+public class AssignBaristaCommandHandler : IRequestHandler<AssignBaristaCommand, AssignBaristaResponse>
+{
+    private readonly IApplicationDbContext _context;
+
+    public AssignBaristaCommandHandler(IApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<AssignBaristaResponse> Handle(AssignBaristaCommand request, CancellationToken cancellationToken)
+    {
+        var order = await _context.Orders
+            .FirstOrDefaultAsync(o => o.Id == request.OrderId, cancellationToken)
+            ?? throw new KeyNotFoundException("Order not found.");
+
+        if (!await _context.Baristas.AnyAsync(b => b.Id == request.BaristaId, cancellationToken))
+            throw new KeyNotFoundException("Barista not found.");
+
+        // Throws InvalidOperationException unless the order is pending; moves it to InProgress
+        order.AssignBarista(request.BaristaId);
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        return new AssignBaristaResponse
+        {
+            Id = order.Id,
+            BaristaId = order.BaristaId,
+            Status = order.Status.ToString(),
+            UpdatedAt = order.UpdatedAt
+        };
+    }
+}
+
+public record AssignBaristaResponse
+{
+    public Guid Id { get; init; }
+    public Guid? BaristaId { get; init; }
+    public string Status { get; init; } = string.Empty;
+    public DateTime? UpdatedAt { get; init; }
+}
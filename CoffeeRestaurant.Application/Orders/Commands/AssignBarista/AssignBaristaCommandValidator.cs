@@ -0,0 +1,15 @@
+using FluentValidation;
+
+namespace CoffeeRestaurant.Application.Orders.Commands.AssignBarista;
+
+public class AssignBaristaCommandValidator : AbstractValidator<AssignBaristaCommand>
+{
+    public AssignBaristaCommandValidator()
+    {
+        RuleFor(v => v.OrderId)
+            .NotEmpty().WithMessage("Order is required.");
+
+        RuleFor(v => v.BaristaId)
+            .NotEmpty().WithMessage("Barista is required.");
+    }
+}
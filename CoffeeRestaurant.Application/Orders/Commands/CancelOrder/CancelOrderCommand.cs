@@ -0,0 +1,54 @@
+using CoffeeRestaurant.Application.Common.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace CoffeeRestaurant.Application.Orders.Commands.CancelOrder;
+
+public record CancelOrderCommand : IRequest<CancelOrderResponse>
+{
+    public Guid OrderId { get; init; }
+    public string? Reason { get; init; }
+}
+
+public record CancelOrderRequest
+{
+    public string? Reason { get; init; }
+}
+
+public class CancelOrderCommandHandler : IRequestHandler<CancelOrderCommand, CancelOrderResponse>
+{
+    private readonly IApplicationDbContext _context;
+
+    public CancelOrderCommandHandler(IApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<CancelOrderResponse> Handle(CancelOrderCommand request, CancellationToken cancellationToken)
+    {
+        var order = await _context.Orders
+            .FirstOrDefaultAsync(o => o.Id == request.OrderId, cancellationToken)
+            ?? throw new KeyNotFoundException("Order not found.");
+
+        // Throws InvalidOperationException for a completed order
+        order.Cancel(request.Reason);
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        return new CancelOrderResponse
+        {
+            Id = order.Id,
+            BaristaId = order.BaristaId,
+            Status = order.Status.ToString(),
+            UpdatedAt = order.UpdatedAt
+        };
+    }
+}
+
+public record CancelOrderResponse
+{
+    public Guid Id { get; init; }
+    public Guid? BaristaId { get; init; }
+    public string Status { get; init; } = string.Empty;
+    public DateTime? UpdatedAt { get; init; }
+}
@@ -0,0 +1,15 @@
+using FluentValidation;
+
+namespace CoffeeRestaurant.Application.Orders.Commands.CancelOrder;
+
+public class CancelOrderCommandValidator : AbstractValidator<CancelOrderCommand>
+{
+    public CancelOrderCommandValidator()
+    {
+        RuleFor(v => v.OrderId)
+            .NotEmpty().WithMessage("Order is required.");
+
+        RuleFor(v => v.Reason)
+            .MaximumLength(500).WithMessage("Reason must not exceed 500 characters.");
+    }
+}
@@ -0,0 +1,55 @@
+using CoffeeRestaurant.Application.Common.Interfaces;
+using CoffeeRestaurant.Domain.Entities;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace CoffeeRestaurant.Application.Orders.Commands.ChangeOrderStatus;
+
+public record ChangeOrderStatusCommand : IRequest<ChangeOrderStatusResponse>
+{
+    public Guid OrderId { get; init; }
+    public string Status { get; init; } = string.Empty;
+}
+
+public record ChangeOrderStatusRequest
+{
+    public string Status { get; init; } = string.Empty;
+}
+
+public class ChangeOrderStatusCommandHandler : IRequestHandler<ChangeOrderStatusCommand, ChangeOrderStatusResponse>
+{
+    private readonly IApplicationDbContext _context;
+
+    public ChangeOrderStatusCommandHandler(IApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<ChangeOrderStatusResponse> Handle(ChangeOrderStatusCommand request, CancellationToken cancellationToken)
+    {
+        var order = await _context.Orders
+            .FirstOrDefaultAsync(o => o.Id == request.OrderId, cancellationToken)
+            ?? throw new KeyNotFoundException("Order not found.");
+
+        // Throws InvalidOperationException for a transition the order does not allow
+        order.ChangeStatus(Enum.Parse<OrderStatus>(request.Status, ignoreCase: true));
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        return new ChangeOrderStatusResponse
+        {
+            Id = order.Id,
+            BaristaId = order.BaristaId,
+            Status = order.Status.ToString(),
+            UpdatedAt = order.UpdatedAt
+        };
+    }
+}
+
+public record ChangeOrderStatusResponse
+{
+    public Guid Id { get; init; }
+    public Guid? BaristaId { get; init; }
+    public string Status { get; init; } = string.Empty;
+    public DateTime? UpdatedAt { get; init; }
+}
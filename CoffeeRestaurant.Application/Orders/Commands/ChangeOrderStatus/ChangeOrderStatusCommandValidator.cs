@@ -0,0 +1,18 @@
+using CoffeeRestaurant.Domain.Entities;
+using FluentValidation;
+
+namespace CoffeeRestaurant.Application.Orders.Commands.ChangeOrderStatus;
+
+public class ChangeOrderStatusCommandValidator : AbstractValidator<ChangeOrderStatusCommand>
+{
+    public ChangeOrderStatusCommandValidator()
+    {
+        RuleFor(v => v.OrderId)
+            .NotEmpty().WithMessage("Order is required.");
+
+        RuleFor(v => v.Status)
+            .NotEmpty().WithMessage("Status is required.")
+            .Must(status => Enum.GetNames<OrderStatus>().Contains(status, StringComparer.OrdinalIgnoreCase))
+            .WithMessage($"Status must be one of: {string.Join(", ", Enum.GetNames<OrderStatus>())}.");
+    }
+}